@@ -0,0 +1,643 @@
+// Email gateway for the helpdesk: turns incoming RFC 822 messages into tickets and emails requesters
+// when their ticket changes status.
+//
+//   node helpdesk_mail_gateway.mjs ingest --mbox inbox.mbox      one-off import of an mbox file
+//   node helpdesk_mail_gateway.mjs watch  --dir ./maildrop        pick up *.eml files dropped in a directory
+//   node helpdesk_mail_gateway.mjs smtp   --port 2525             accept mail over SMTP
+//   node helpdesk_mail_gateway.mjs notify --transport mbox:./outbox.mbox
+//
+// Every command needs --workflow FILE: the settings exported from the app's Settings page, so new tickets,
+// reopened tickets and notifications use the statuses the helpdesk actually has.
+//
+// Tickets are written to the sync server (--server, default http://localhost:4000) or, with --json FILE,
+// to a JSON file the app can load through Import/Export. Replies are threaded onto an existing ticket
+// when the subject carries its token, e.g. "Re: [HD-1A2B3C4D] Printer jammed".
+//
+// Outbound mail goes through a transport: "smtp://host:port" relays to a mail server, "mbox:FILE"
+// appends to a local mailbox (handy for testing), "console" prints to stdout.
+import { appendFile, mkdir, readdir, readFile, rename, writeFile } from "node:fs/promises";
+import { createConnection, createServer } from "node:net";
+import { randomUUID } from "node:crypto";
+import { hostname } from "node:os";
+import { join } from "node:path";
+import { pathToFileURL } from "node:url";
+
+const STATE_FILE = process.env.MAIL_STATE_FILE || "./helpdesk-mail-state.json";
+const HELPDESK_FROM = process.env.HELPDESK_FROM || "IT Helpdesk <helpdesk@localhost>";
+
+// Must match ticketToken() in the app.
+export const ticketToken = (id) => `HD-${id.slice(0, 8).toUpperCase()}`;
+const TOKEN_PATTERN = /\[(HD-[0-9A-F]{8})\]/i;
+
+// --- Parsing ---
+// Raw messages are handled as "binary" (latin1) strings so every byte survives until the charset is known.
+const decodeBytes = (binary, charset = "utf-8") => {
+  const bytes = Buffer.from(binary, "latin1");
+  try {
+    return new TextDecoder(charset.toLowerCase()).decode(bytes);
+  } catch {
+    return new TextDecoder("utf-8").decode(bytes);
+  }
+};
+
+const decodeQuotedPrintable = (text) =>
+  text.replace(/=\r?\n/g, "").replace(/=([0-9A-F]{2})/gi, (_, hex) => String.fromCharCode(parseInt(hex, 16)));
+
+// RFC 2047 encoded words, e.g. =?UTF-8?B?SGVsbG8=?= or =?iso-8859-1?Q?caf=E9?=
+export const decodeHeader = (value) =>
+  value
+    .replace(/(=\?[^?]+\?[BQ]\?[^?]*\?=)\s+(?==\?)/gi, "$1")
+    .replace(/=\?([^?]+)\?([BQ])\?([^?]*)\?=/gi, (_, charset, enc, text) =>
+      decodeBytes(
+        enc.toUpperCase() === "B" ? Buffer.from(text, "base64").toString("latin1") : decodeQuotedPrintable(text.replace(/_/g, " ")),
+        charset
+      )
+    );
+
+const splitHead = (raw) => {
+  const match = /\r?\n\r?\n/.exec(raw);
+  return match ? [raw.slice(0, match.index), raw.slice(match.index + match[0].length)] : [raw, ""];
+};
+
+const parseHeaders = (head) => {
+  const headers = {};
+  for (const line of head.replace(/\r?\n[ \t]+/g, " ").split(/\r?\n/)) {
+    const colon = line.indexOf(":");
+    if (colon <= 0) continue;
+    const name = line.slice(0, colon).trim().toLowerCase();
+    (headers[name] ||= []).push(line.slice(colon + 1).trim());
+  }
+  return headers;
+};
+
+// "text/plain; charset=utf-8; format=flowed" -> { type: "text/plain", params: { charset: "utf-8", ... } }
+const parseContentType = (value = "text/plain") => {
+  const [type, ...rest] = value.split(";");
+  const params = {};
+  for (const p of rest) {
+    const eq = p.indexOf("=");
+    if (eq > 0) params[p.slice(0, eq).trim().toLowerCase()] = p.slice(eq + 1).trim().replace(/^"|"$/g, "");
+  }
+  return { type: type.trim().toLowerCase(), params };
+};
+
+export const parseAddress = (value = "") => {
+  const decoded = decodeHeader(value);
+  const angle = /^(.*)<([^>]+)>/.exec(decoded);
+  if (angle) return { name: angle[1].trim().replace(/^"|"$/g, ""), address: angle[2].trim().toLowerCase() };
+  const comment = /^([^\s(]+)\s*\(([^)]*)\)/.exec(decoded);
+  if (comment) return { name: comment[2].trim(), address: comment[1].toLowerCase() };
+  return { name: "", address: decoded.trim().toLowerCase() };
+};
+
+const htmlToText = (html) =>
+  html
+    .replace(/<(br|\/p|\/div|\/li)\s*\/?>/gi, "\n")
+    .replace(/<[^>]+>/g, "")
+    .replace(/&nbsp;/g, " ")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&amp;/g, "&");
+
+// Returns the best human-readable body: the first text/plain part, else the first text/html part as text.
+const extractText = (headers, body) => {
+  const { type, params } = parseContentType(headers["content-type"]?.[0]);
+  if (type.startsWith("multipart/") && params.boundary) {
+    const parts = body
+      .split(`--${params.boundary}`)
+      .slice(1)
+      .filter((p) => !p.startsWith("--"))
+      .map((p) => {
+        const [head, content] = splitHead(p.replace(/^\r?\n/, ""));
+        return extractText(parseHeaders(head), content);
+      })
+      .filter(Boolean);
+    return parts.find((p) => p.type === "text/plain") || parts.find((p) => p.type === "text/html") || null;
+  }
+  if (!type.startsWith("text/")) return null;
+  const encoding = (headers["content-transfer-encoding"]?.[0] || "7bit").toLowerCase();
+  const binary = encoding === "base64" ? Buffer.from(body.replace(/\s+/g, ""), "base64").toString("latin1") : encoding === "quoted-printable" ? decodeQuotedPrintable(body) : body;
+  const text = decodeBytes(binary, params.charset);
+  return { type, text: type === "text/html" ? htmlToText(text) : text };
+};
+
+export const parseMessage = (raw) => {
+  const [head, body] = splitHead(raw);
+  const headers = parseHeaders(head);
+  const from = parseAddress(headers.from?.[0] || headers.sender?.[0]);
+  const date = Date.parse(headers.date?.[0] || "");
+  return {
+    messageId: (headers["message-id"]?.[0] || "").replace(/[<>]/g, ""),
+    from,
+    subject: decodeHeader(headers.subject?.[0] || "").trim(),
+    date: Number.isNaN(date) ? new Date() : new Date(date),
+    urgent: /^(1|2)\b|high|urgent/i.test(`${headers["x-priority"]?.[0] || ""} ${headers.importance?.[0] || ""}`),
+    text: (extractText(headers, body)?.text || "").replace(/\r\n/g, "\n").trim(),
+  };
+};
+
+// Drops quoted history from a reply so only the new text lands on the ticket.
+export const stripQuotedReply = (text) => {
+  const lines = [];
+  for (const line of text.split("\n")) {
+    if (/^On .+wrote:\s*$/.test(line) || /^-{2,}\s*Original Message\s*-{2,}/i.test(line) || line === "-- ") break;
+    if (!line.startsWith(">")) lines.push(line);
+  }
+  return lines.join("\n").trim();
+};
+
+export const cleanSubject = (subject) =>
+  subject.replace(TOKEN_PATTERN, "").replace(/^\s*((re|fw|fwd|aw)\s*:\s*)+/i, "").replace(/\s+/g, " ").trim() || "(no subject)";
+
+// mboxrd: messages start at "From " lines; ">From " inside bodies is unescaped by one level.
+export const splitMbox = (content) =>
+  content
+    .split(/\r?\n(?=From )/)
+    .map((chunk) => chunk.replace(/^From [^\n]*\n/, "").replace(/^>(>*From )/gm, "$1"))
+    .filter((m) => m.trim());
+
+// --- Workflow ---
+// Read from the app's exported settings, the way the app reads them: new tickets start in the first status, and
+// a status's kind says whether the requester is being waited on ("paused") or the ticket is finished ("done").
+// A reply to a paused ticket moves it to the first active status it may move to, unless --reopen-status names one.
+// Emailed tickets go in the last category, the app's catch-all for new tickets. Priorities are listed lowest first:
+// mail gets the middle one, or the one below the top when the sender marked it urgent.
+export const workflowFromConfig = (config, reopenStatus) => {
+  const named = (list) => (Array.isArray(list) ? list : []).filter((s) => typeof s?.name === "string" && s.name.trim());
+  const [statuses, priorities, categories] = [config?.statuses, config?.priorities, config?.categories].map(named);
+  if (!statuses.length || !priorities.length || !categories.length) throw new Error("the workflow needs statuses, priorities and categories; export it from Settings in the app");
+  const find = (name) => statuses.find((s) => s.name === name);
+  if (reopenStatus && !find(reopenStatus)) throw new Error(`--reopen-status "${reopenStatus}" is not a status in the workflow`);
+  const kindOf = (name) => find(name)?.kind || "active";
+  // The gateway can fill in a comment but no custom fields, so statuses that need those are out of reach.
+  const canMove = (from, s) => (!s.from?.length || s.from.includes(from)) && (s.requires || []).every((r) => r === "comment");
+  const initial = statuses[0].name;
+  const normal = Math.floor((priorities.length - 1) / 2);
+  const urgent = Math.min(priorities.length - 1, Math.max(normal + 1, priorities.length - 2));
+  return {
+    initial,
+    category: categories[categories.length - 1].name,
+    priority: (msg) => priorities[msg.urgent ? urgent : normal].name,
+    kindOf,
+    // The status someone is working on a ticket in; its notification says so.
+    working: statuses.find((s, i) => i > 0 && kindOf(s.name) === "active")?.name,
+    reopenFrom: (from) => (reopenStatus ? find(reopenStatus) : statuses.find((s) => s.name !== from && kindOf(s.name) === "active" && s.name !== initial && canMove(from, s)))?.name,
+  };
+};
+
+const loadWorkflow = async (file, reopenStatus) => {
+  if (!file || file === true) throw new Error("--workflow FILE is required (Settings → Export in the app)");
+  return workflowFromConfig(JSON.parse(await readFile(file, "utf8")), reopenStatus);
+};
+
+// --- Tickets ---
+const makeEvent = (kind, author, extra = {}) => ({ id: randomUUID(), kind, at: new Date().toISOString(), author, ...extra });
+
+const ticketFromMessage = (msg, workflow) => {
+  const at = msg.date.toISOString();
+  const requester = msg.from.name || msg.from.address || "Anonymous";
+  return {
+    id: randomUUID(),
+    title: cleanSubject(msg.subject),
+    description: msg.text,
+    category: workflow.category,
+    subcategory: "",
+    priority: workflow.priority(msg),
+    status: workflow.initial,
+    requester,
+    requesterEmail: msg.from.address,
+    assignee: "",
+    createdAt: at,
+    updatedAt: at,
+    fields: {},
+    history: [{ ...makeEvent("created", requester), at }, makeEvent("note", "Email gateway", { body: `Created from email ${msg.messageId || "(no Message-ID)"}` })],
+    attachments: [],
+    version: 0,
+  };
+};
+
+// A requester's reply becomes a public comment; if we were waiting on them, the ticket goes back to work.
+const threadReply = (ticket, msg, workflow) => {
+  const author = msg.from.name || msg.from.address;
+  const events = [makeEvent("comment", author, { body: stripQuotedReply(msg.text) || "(empty reply)" })];
+  let status = ticket.status;
+  const reopen = workflow.kindOf(ticket.status) === "paused" ? workflow.reopenFrom(ticket.status) : undefined;
+  if (reopen && reopen !== ticket.status) {
+    status = reopen;
+    events.push(makeEvent("change", "Email gateway", { field: "status", from: ticket.status, to: status }));
+  }
+  return { ...ticket, status, history: [...(ticket.history || []), ...events], updatedAt: events[0].at };
+};
+
+class ConflictError extends Error {}
+
+const serverSink = (baseUrl) => {
+  const url = (path) => `${baseUrl.replace(/\/+$/, "")}${path}`;
+  return {
+    name: baseUrl,
+    list: async () => {
+      const res = await fetch(url("/tickets?since=0"));
+      if (!res.ok) throw new Error(`GET /tickets failed (${res.status})`);
+      return (await res.json()).tickets;
+    },
+    save: async (ticket) => {
+      const res = await fetch(url(`/tickets/${encodeURIComponent(ticket.id)}`), {
+        method: "PUT",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ ticket, baseVersion: ticket.version || 0 }),
+      });
+      if (res.status === 409) throw new ConflictError(`Ticket ${ticket.id} changed on the server`);
+      if (!res.ok) throw new Error(`PUT /tickets/${ticket.id} failed (${res.status})`);
+      return (await res.json()).ticket;
+    },
+  };
+};
+
+const jsonSink = (file) => {
+  const read = async () => {
+    try {
+      return JSON.parse(await readFile(file, "utf8"));
+    } catch (e) {
+      if (e.code === "ENOENT") return [];
+      throw e;
+    }
+  };
+  return {
+    name: file,
+    list: read,
+    save: async (ticket) => {
+      const tickets = await read();
+      const next = tickets.some((t) => t.id === ticket.id) ? tickets.map((t) => (t.id === ticket.id ? ticket : t)) : [ticket, ...tickets];
+      await writeFile(file, JSON.stringify(next, null, 2));
+      return ticket;
+    },
+  };
+};
+
+// --- Transports ---
+const encodeHeader = (value) => (/^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`);
+
+// Lines end in CRLF on the wire; templates and replies come with bare LFs.
+const buildMessage = ({ to, subject, text, inReplyTo }) =>
+  [
+    `From: ${HELPDESK_FROM}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${randomUUID()}@${hostname()}>`,
+    ...(inReplyTo ? [`In-Reply-To: <${inReplyTo}>`] : []),
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit",
+    "",
+    text.replace(/\r?\n/g, "\r\n"),
+  ].join("\r\n");
+
+const addressOf = (value) => parseAddress(value).address;
+
+const smtpTransport = (host, port) => ({
+  name: `smtp://${host}:${port}`,
+  send: (mail) =>
+    new Promise((resolve, reject) => {
+      const socket = createConnection({ host, port });
+      // Dot-stuffing: any line starting with "." gets another, so a lone "." can't end DATA early.
+      const data = buildMessage(mail).replace(/^\./gm, "..");
+      const steps = [
+        [220, `EHLO ${hostname()}`],
+        [250, `MAIL FROM:<${addressOf(HELPDESK_FROM)}>`],
+        [250, `RCPT TO:<${addressOf(mail.to)}>`],
+        [250, "DATA"],
+        [354, `${data}\r\n.`],
+        [250, "QUIT"],
+        [221, null],
+      ];
+      let buffer = "";
+      socket.setEncoding("utf8");
+      socket.setTimeout(15000, () => socket.destroy(new Error("SMTP timeout")));
+      socket.on("error", reject);
+      socket.on("data", (chunk) => {
+        buffer += chunk;
+        // Multi-line replies use "250-..." for every line but the last ("250 ...").
+        const complete = buffer.match(/^(\d{3}) .*\r?\n/m);
+        if (!complete) return;
+        buffer = "";
+        const [expected, command] = steps.shift();
+        if (Number(complete[1]) !== expected) {
+          socket.destroy();
+          return reject(new Error(`SMTP: expected ${expected}, got "${complete[0].trim()}"`));
+        }
+        if (command === null) {
+          socket.end();
+          return resolve();
+        }
+        socket.write(`${command}\r\n`);
+      });
+    }),
+});
+
+const mboxTransport = (file) => ({
+  name: `mbox:${file}`,
+  send: async (mail) => {
+    const body = buildMessage(mail).replace(/\r\n/g, "\n").replace(/^(>*From )/gm, ">$1");
+    await appendFile(file, `From ${addressOf(HELPDESK_FROM)} ${new Date().toString()}\n${body}\n\n`);
+  },
+});
+
+const consoleTransport = () => ({
+  name: "console",
+  send: async (mail) => console.log(`${buildMessage(mail)}\n${"-".repeat(60)}`),
+});
+
+export const createTransport = (spec = "console") => {
+  if (spec === "console") return consoleTransport();
+  if (spec.startsWith("mbox:")) return mboxTransport(spec.slice(5));
+  const smtp = /^smtp:\/\/([^:/]+)(?::(\d+))?/.exec(spec);
+  if (smtp) return smtpTransport(smtp[1], Number(smtp[2]) || 25);
+  throw new Error(`Unknown transport "${spec}" (use console, mbox:FILE or smtp://host:port)`);
+};
+
+// --- Templates ---
+// {placeholders} are filled from the ticket; unknown ones are left as-is so typos are visible. Status changes
+// pick a template by what the new status means in the workflow (see templateFor), not by its name.
+const TEMPLATES = {
+  received: {
+    subject: "[{token}] We received your request: {title}",
+    body: "Hi {requester},\n\nThanks for getting in touch. Your request has been logged as {token}.\nReply to this email to add more details; keep {token} in the subject.\n\n— IT Helpdesk",
+  },
+  working: {
+    subject: "[{token}] We're working on it: {title}",
+    body: "Hi {requester},\n\n{assignee} has started working on your request.\n\n— IT Helpdesk",
+  },
+  waiting: {
+    subject: "[{token}] We need more information: {title}",
+    body: "Hi {requester},\n\nWe need a bit more information before we can continue. Please reply to this email.\n\n{lastComment}\n\n— IT Helpdesk",
+  },
+  resolved: {
+    subject: "[{token}] {status}: {title}",
+    body: "Hi {requester},\n\nYour request has been resolved.\n\n{lastComment}\n\nIf the problem isn't fixed, just reply and we'll reopen it.\n\n— IT Helpdesk",
+  },
+  closed: {
+    subject: "[{token}] {status}: {title}",
+    body: "Hi {requester},\n\nYour request is now {status}.\n\n— IT Helpdesk",
+  },
+  default: {
+    subject: "[{token}] Status changed to {status}: {title}",
+    body: "Hi {requester},\n\nYour request is now {status}.\n\n— IT Helpdesk",
+  },
+};
+
+// Moving between two done statuses (Resolved → Closed) is a closing note, not a second resolution.
+export const templateFor = (workflow, from, to) => {
+  const kind = workflow.kindOf(to);
+  if (kind === "done") return workflow.kindOf(from) === "done" ? "closed" : "resolved";
+  if (kind === "paused") return "waiting";
+  return to === workflow.working ? "working" : "default";
+};
+
+export const renderTemplate = (name, ticket) => {
+  const template = TEMPLATES[name] || TEMPLATES.default;
+  const lastComment = [...(ticket.history || [])].reverse().find((e) => e.kind === "comment")?.body || "";
+  const values = { ...ticket, token: ticketToken(ticket.id), assignee: ticket.assignee || "A technician", lastComment };
+  const fill = (s) => s.replace(/\{(\w+)\}/g, (m, key) => (values[key] === undefined ? m : String(values[key])));
+  return { subject: fill(template.subject), text: fill(template.body).replace(/\n{3,}/g, "\n\n") };
+};
+
+// --- State ---
+// Remembers which Message-IDs were already ingested and which status events were already announced,
+// so re-reading an mbox or restarting the notifier never duplicates work.
+const loadState = async () => {
+  try {
+    return { ingested: [], notified: {}, cursor: 0, ...JSON.parse(await readFile(STATE_FILE, "utf8")) };
+  } catch (e) {
+    if (e.code === "ENOENT") return { ingested: [], notified: {}, cursor: 0, fresh: true };
+    throw e;
+  }
+};
+const saveState = ({ fresh, ...state }) => writeFile(STATE_FILE, JSON.stringify(state, null, 2));
+
+// --- Ingestion ---
+const createIngestor = async ({ sink, transport, workflow }) => {
+  const state = await loadState();
+  const ingested = new Set(state.ingested);
+
+  const ingest = async (raw) => {
+    const msg = parseMessage(raw);
+    if (msg.messageId && ingested.has(msg.messageId)) return { skipped: true };
+    const token = TOKEN_PATTERN.exec(msg.subject)?.[1]?.toUpperCase();
+    let result;
+    // A concurrent edit in the app makes the PUT fail with 409; re-read and reapply a couple of times.
+    for (let attempt = 0; ; attempt++) {
+      try {
+        const tickets = token ? await sink.list() : [];
+        const quoted = tickets.find((t) => ticketToken(t.id) === token);
+        // Replies to a ticket that was merged away go to the ticket it was merged into.
+        const primaryId = quoted?.links?.find((l) => l.kind === "merged-into")?.id;
+        const existing = (primaryId && tickets.find((t) => t.id === primaryId)) || quoted;
+        result = existing ? { threaded: await sink.save(threadReply(existing, msg, workflow)) } : { created: await sink.save(ticketFromMessage(msg, workflow)) };
+        break;
+      } catch (e) {
+        if (!(e instanceof ConflictError) || attempt >= 2) throw e;
+      }
+    }
+    if (msg.messageId) {
+      ingested.add(msg.messageId);
+      await saveState({ ...(await loadState()), ingested: [...ingested] });
+    }
+    // The ticket exists now; a receipt that can't be sent is reported, not retried by ingesting the message again.
+    const { created } = result;
+    if (transport && created?.requesterEmail) {
+      try {
+        await transport.send({ to: created.requesterEmail, inReplyTo: msg.messageId, ...renderTemplate("received", created) });
+      } catch (e) {
+        console.error(`${ticketToken(created.id)}: receipt to ${created.requesterEmail} not sent: ${e.message}`);
+      }
+    }
+    return result;
+  };
+
+  return async (raw, label) => {
+    try {
+      const result = await ingest(raw);
+      if (result.created) console.log(`${label}: created ${ticketToken(result.created.id)} "${result.created.title}"`);
+      else if (result.threaded) console.log(`${label}: added reply to ${ticketToken(result.threaded.id)}`);
+      else console.log(`${label}: already ingested, skipped`);
+      return true;
+    } catch (e) {
+      console.error(`${label}: ${e.message}`);
+      return false;
+    }
+  };
+};
+
+const ingestMbox = async (file, handle) => {
+  const messages = splitMbox(await readFile(file, "latin1"));
+  for (const [i, raw] of messages.entries()) await handle(raw, `${file}#${i + 1}`);
+};
+
+// Processed files move to <dir>/processed, failures to <dir>/failed, so nothing is read twice.
+const watchDirectory = async (dir, handle, intervalSec) => {
+  await mkdir(join(dir, "processed"), { recursive: true });
+  await mkdir(join(dir, "failed"), { recursive: true });
+  const scan = async () => {
+    for (const name of (await readdir(dir)).filter((n) => /\.(eml|msg|txt)$/i.test(n))) {
+      const ok = await handle(await readFile(join(dir, name), "latin1"), name);
+      await rename(join(dir, name), join(dir, ok ? "processed" : "failed", name));
+    }
+  };
+  console.log(`Watching ${dir} every ${intervalSec}s`);
+  for (;;) {
+    await scan().catch((e) => console.error(`scan failed: ${e.message}`));
+    await new Promise((r) => setTimeout(r, intervalSec * 1000));
+  }
+};
+
+// Just enough SMTP (RFC 5321) to accept mail from a local MTA or a test script: no auth, no TLS.
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+const listenSmtp = (port, handle) => {
+  const server = createServer((socket) => {
+    let buffer = "";
+    let data = null;
+    let tooLarge = false; // the message in progress went over MAX_MESSAGE_BYTES; it's read to its end and dropped
+    let id = 0;
+    // Chunks are handled one after another: a pipelining client can send its next commands while a message is
+    // still being turned into a ticket, and those must wait for the buffer that message leaves behind.
+    let queue = Promise.resolve();
+    const reply = (line) => socket.write(`${line}\r\n`);
+    socket.setEncoding("latin1");
+    reply(`220 ${hostname()} helpdesk ESMTP ready`);
+    const receive = async (chunk) => {
+      buffer += chunk;
+      if (data !== null) {
+        const end = buffer.indexOf("\r\n.\r\n");
+        if (end < 0) {
+          // Only the tail that may hold the start of the terminator is worth keeping once the message is too big.
+          if (buffer.length > MAX_MESSAGE_BYTES) {
+            tooLarge = true;
+            buffer = buffer.slice(-4);
+          }
+          return;
+        }
+        const raw = (data + buffer.slice(0, end)).replace(/^\.\./gm, ".");
+        buffer = buffer.slice(end + 5);
+        data = null;
+        if (tooLarge || raw.length > MAX_MESSAGE_BYTES) {
+          tooLarge = false;
+          reply("552 Message too large");
+        } else {
+          const ok = await handle(raw, `smtp#${++id}`);
+          reply(ok ? "250 OK: queued as ticket" : "451 Could not create ticket, try again later");
+        }
+      }
+      let nl;
+      while (data === null && (nl = buffer.indexOf("\r\n")) >= 0) {
+        const line = buffer.slice(0, nl);
+        buffer = buffer.slice(nl + 2);
+        const verb = line.slice(0, 4).toUpperCase();
+        if (verb === "HELO") reply(`250 ${hostname()}`);
+        else if (verb === "EHLO") reply(`250-${hostname()}\r\n250-SIZE ${MAX_MESSAGE_BYTES}\r\n250 8BITMIME`);
+        else if (verb === "MAIL" || verb === "RCPT" || verb === "RSET" || verb === "NOOP") reply("250 OK");
+        else if (verb === "DATA") {
+          data = "";
+          reply("354 End data with <CR><LF>.<CR><LF>");
+        } else if (verb === "QUIT") {
+          reply("221 Bye");
+          socket.end();
+        } else reply("502 Command not implemented");
+      }
+      // The message may have arrived in the same chunk as its DATA command.
+      if (data !== null && buffer) await receive("");
+    };
+    socket.on("data", (chunk) => {
+      queue = queue.then(() => receive(chunk)).catch(() => socket.destroy());
+    });
+    socket.on("error", () => {});
+  });
+  server.listen(port, () => console.log(`SMTP listener on port ${port}`));
+};
+
+// --- Notifications ---
+// Polls the sync server and emails the requester once per status-change event.
+const notifyLoop = async ({ server, transport, workflow, intervalSec }) => {
+  const sink = serverSink(server);
+  const pull = async (since) => {
+    const res = await fetch(`${server.replace(/\/+$/, "")}/tickets?since=${since}`);
+    if (!res.ok) throw new Error(`GET /tickets failed (${res.status})`);
+    return res.json();
+  };
+  const statusEvents = (t) => (t.history || []).filter((e) => e.kind === "change" && e.field === "status");
+
+  let state = await loadState();
+  if (state.fresh) {
+    // First run: everything that already happened is considered announced.
+    const { tickets, revision } = await pull(0);
+    state = { ...state, cursor: revision, notified: Object.fromEntries(tickets.map((t) => [t.id, statusEvents(t).map((e) => e.id)])) };
+    await saveState(state);
+  }
+  console.log(`Notifying requesters via ${transport.name}, polling ${sink.name} every ${intervalSec}s`);
+  for (;;) {
+    try {
+      const { tickets, revision } = await pull(state.cursor);
+      for (const t of tickets) {
+        const seen = new Set(state.notified[t.id] || []);
+        for (const e of statusEvents(t).filter((e) => !seen.has(e.id))) {
+          // Requesters merged into the ticket (cc) hear about it too, each greeted by name.
+          for (const c of [{ name: t.requester, email: t.requesterEmail }, ...(t.cc || [])].filter((c) => c.email)) {
+            await transport.send({ to: c.email, ...renderTemplate(templateFor(workflow, e.from, e.to), { ...t, requester: c.name, status: e.to }) });
+            console.log(`${ticketToken(t.id)}: notified ${c.email} (${e.from} → ${e.to})`);
+          }
+          seen.add(e.id);
+        }
+        state.notified[t.id] = [...seen];
+      }
+      state.cursor = revision;
+      await saveState({ ...(await loadState()), notified: state.notified, cursor: state.cursor });
+    } catch (e) {
+      console.error(`notify: ${e.message}`);
+    }
+    await new Promise((r) => setTimeout(r, intervalSec * 1000));
+  }
+};
+
+// --- CLI ---
+const parseArgs = (argv) => {
+  const [command, ...rest] = argv;
+  const opts = { command };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i].startsWith("--")) opts[rest[i].slice(2)] = rest[i + 1]?.startsWith("--") || rest[i + 1] === undefined ? true : rest[++i];
+  }
+  return opts;
+};
+
+const main = async () => {
+  const opts = parseArgs(process.argv.slice(2));
+  const server = opts.server || "http://localhost:4000";
+  const sink = opts.json ? jsonSink(opts.json) : serverSink(server);
+  const transport = opts.transport ? createTransport(opts.transport) : null;
+  const interval = Number(opts.interval) || (opts.command === "notify" ? 30 : 5);
+  const workflow = () => loadWorkflow(opts.workflow, opts["reopen-status"]);
+
+  switch (opts.command) {
+    case "ingest":
+      if (!opts.mbox) throw new Error("ingest needs --mbox FILE");
+      return ingestMbox(opts.mbox, await createIngestor({ sink, transport, workflow: await workflow() }));
+    case "watch":
+      return watchDirectory(opts.dir || "./maildrop", await createIngestor({ sink, transport, workflow: await workflow() }), interval);
+    case "smtp":
+      return listenSmtp(Number(opts.port) || 2525, await createIngestor({ sink, transport, workflow: await workflow() }));
+    case "notify":
+      return notifyLoop({ server, transport: transport || createTransport("console"), workflow: await workflow(), intervalSec: interval });
+    default:
+      console.log(
+        "usage: node helpdesk_mail_gateway.mjs <ingest --mbox FILE | watch --dir DIR | smtp --port N | notify> --workflow FILE [--reopen-status NAME] [--server URL | --json FILE] [--transport SPEC]"
+      );
+      process.exitCode = 1;
+  }
+};
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((e) => {
+    console.error(e.message);
+    process.exit(1);
+  });
+}
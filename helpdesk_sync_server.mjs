@@ -0,0 +1,140 @@
+// Reference sync server for the helpdesk app: a small REST API over a JSON file.
+//
+//   node helpdesk_sync_server.mjs            (PORT=4000, DATA_FILE=./helpdesk-data.json, MAX_BODY_BYTES=2097152)
+//
+// GET    /tickets?since=<rev>          -> { revision, tickets: Ticket[], deleted: string[] } changed after <rev>
+// PUT    /tickets/:id                  body { ticket, baseVersion } -> { ticket } | 409 { current }
+// DELETE /tickets/:id?baseVersion=<n>  -> 204 | 409 { current }
+//
+// Every accepted write bumps the ticket's `version` and the store-wide `revision`. A write whose
+// baseVersion doesn't match the stored version is rejected with the current copy so the client can
+// show a conflict instead of silently overwriting someone else's edit.
+import { createServer } from "node:http";
+import { readFile, rename, writeFile } from "node:fs/promises";
+
+const PORT = Number(process.env.PORT) || 4000;
+const DATA_FILE = process.env.DATA_FILE || "./helpdesk-data.json";
+const MAX_BODY_BYTES = Number(process.env.MAX_BODY_BYTES) || 2 * 1024 * 1024;
+
+// { revision, tickets: { [id]: { ticket, rev } }, tombstones: { [id]: { rev, version } } }
+const emptyStore = () => ({ revision: 0, tickets: {}, tombstones: {} });
+
+const loadStore = async () => {
+  try {
+    return { ...emptyStore(), ...JSON.parse(await readFile(DATA_FILE, "utf8")) };
+  } catch (e) {
+    if (e.code === "ENOENT") return emptyStore();
+    throw e;
+  }
+};
+
+let store = await loadStore();
+// Writes are serialized so overlapping requests can't interleave a read-modify-write.
+let queue = Promise.resolve();
+// Writes build the next store and swap it in only once it's on disk, so a failed write never serves unsaved data.
+const persist = async (next) => {
+  const tmp = `${DATA_FILE}.tmp`;
+  await writeFile(tmp, JSON.stringify(next, null, 2));
+  await rename(tmp, DATA_FILE);
+  store = next;
+};
+const exclusive = (fn) => {
+  const run = queue.then(fn);
+  queue = run.catch(() => {});
+  return run;
+};
+
+const send = (res, status, body) => {
+  res.writeHead(status, {
+    "Access-Control-Allow-Origin": "*",
+    "Access-Control-Allow-Methods": "GET, PUT, DELETE, OPTIONS",
+    "Access-Control-Allow-Headers": "Content-Type",
+    ...(body === undefined ? {} : { "Content-Type": "application/json" }),
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+// Oversized bodies are drained but not buffered, then rejected.
+const readBody = (req) =>
+  new Promise((resolve, reject) => {
+    let data = "";
+    let size = 0;
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size <= MAX_BODY_BYTES) data += chunk;
+    });
+    req.on("end", () => {
+      if (size > MAX_BODY_BYTES) return reject(Object.assign(new Error(`Body is larger than ${MAX_BODY_BYTES} bytes`), { status: 413 }));
+      try {
+        resolve(data ? JSON.parse(data) : {});
+      } catch {
+        reject(Object.assign(new Error("Body is not valid JSON"), { status: 400 }));
+      }
+    });
+    req.on("error", reject);
+  });
+
+const currentOf = (id) => store.tickets[id]?.ticket ?? null;
+
+const listChanges = (since) => ({
+  revision: store.revision,
+  tickets: Object.values(store.tickets).filter((e) => e.rev > since).map((e) => e.ticket),
+  deleted: Object.entries(store.tombstones).filter(([, t]) => t.rev > since).map(([id]) => id),
+});
+
+const putTicket = async (id, { ticket, baseVersion }) => {
+  if (!ticket || typeof ticket !== "object" || ticket.id !== id || typeof ticket.title !== "string") {
+    return [400, { error: "Body must be { ticket, baseVersion } with ticket.id matching the URL" }];
+  }
+  const current = currentOf(id);
+  if ((current?.version ?? 0) !== Number(baseVersion)) return [409, { current }];
+  // A recreated ticket continues from its tombstone so clients never see its version go backwards.
+  const version = (current?.version ?? store.tombstones[id]?.version ?? 0) + 1;
+  const saved = { ...ticket, version };
+  const revision = store.revision + 1;
+  const { [id]: _, ...tombstones } = store.tombstones;
+  await persist({ ...store, revision, tickets: { ...store.tickets, [id]: { ticket: saved, rev: revision } }, tombstones });
+  return [200, { ticket: saved }];
+};
+
+const deleteTicket = async (id, baseVersion) => {
+  const current = currentOf(id);
+  if (!current) return [204];
+  if (current.version !== baseVersion) return [409, { current }];
+  const revision = store.revision + 1;
+  const { [id]: _, ...tickets } = store.tickets;
+  await persist({ ...store, revision, tickets, tombstones: { ...store.tombstones, [id]: { rev: revision, version: current.version } } });
+  return [204];
+};
+
+const server = createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host || "localhost"}`);
+  const match = url.pathname.match(/^\/tickets(?:\/([^/]+))?\/?$/);
+  try {
+    if (req.method === "OPTIONS") return send(res, 204);
+    if (url.pathname === "/health") return send(res, 200, { ok: true, revision: store.revision });
+    if (!match) return send(res, 404, { error: "Not found" });
+    const id = match[1] && decodeURIComponent(match[1]);
+
+    if (req.method === "GET" && !id) return send(res, 200, listChanges(Number(url.searchParams.get("since")) || 0));
+    if (req.method === "GET" && id) {
+      const ticket = currentOf(id);
+      return ticket ? send(res, 200, { ticket }) : send(res, 404, { error: "Not found" });
+    }
+    if (req.method === "PUT" && id) {
+      const body = await readBody(req);
+      const [status, payload] = await exclusive(() => putTicket(id, body));
+      return send(res, status, payload);
+    }
+    if (req.method === "DELETE" && id) {
+      const baseVersion = Number(url.searchParams.get("baseVersion"));
+      const [status, payload] = await exclusive(() => deleteTicket(id, baseVersion));
+      return send(res, status, payload);
+    }
+    send(res, 405, { error: "Method not allowed" });
+  } catch (e) {
+    send(res, e.status || 500, { error: e.message || "Internal error" });
+  }
+});
+
+server.listen(PORT, () => console.log(`Helpdesk sync server on http://localhost:${PORT} (data: ${DATA_FILE})`));
@@ -1,4 +1,4 @@
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import { v4 as uuidv4 } from "uuid";
 import {
@@ -27,397 +27,6452 @@ import {
   TooltipTrigger,
 } from "@/components/ui";
 import { Table, TableBody, TableCaption, TableCell, TableHead, TableHeader, TableRow } from "@/components/ui/table";
-import { Search, Plus, Filter, Trash2, Edit3, CheckCircle2, CircleDot, AlertTriangle, ChevronDown, X, RefreshCw } from "lucide-react";
+import { Search, Plus, Filter, Trash2, Edit3, CheckCircle2, CircleDot, AlertTriangle, ChevronDown, X, RefreshCw, MessageSquare, Lock, History, UserCircle2, Download, Upload, ArrowUpDown, Cloud, CloudOff, GitMerge, Users, LogOut, LayoutGrid, List, Undo2, Bookmark, Link2, BarChart3, Paperclip, FileText, ImageIcon, Zap, Play, Settings2, ArrowUp, ArrowDown, BookOpen, LifeBuoy, Laptop, ChevronLeft, ChevronRight, Keyboard, ListChecks, Command } from "lucide-react";
 
 // --- Types ---
-const PRIORITIES = ["Low", "Medium", "High", "Critical"] as const;
-const STATUSES = ["Open", "In Progress", "Waiting", "Resolved", "Closed"] as const;
-const CATEGORIES = ["Hardware", "Software", "Network", "Account/Access", "Security", "Other"] as const;
+const TRACKED_FIELDS = ["status", "priority", "assignee", "category"] as const;
 
-type Priority = typeof PRIORITIES[number];
-type Status = typeof STATUSES[number];
+// Names from the admin-defined HelpdeskConfig (see Settings).
+type Priority = string;
+type Status = string;
+type TrackedField = typeof TRACKED_FIELDS[number];
+
+// Append-only: events are never edited or removed once written.
+type TicketEvent = {
+  id: string;
+  kind: "created" | "change" | "note" | "comment" | "automation" | "link" | "unlink"; // note = internal, comment = visible to requester, automation = rule audit
+  at: string; // ISO
+  author: string;
+  field?: TrackedField;
+  from?: string;
+  to?: string;
+  body?: string;
+  ruleId?: string; // set on everything an automation rule wrote
+  link?: TicketLink; // link/unlink: the link as seen from this ticket
+  asset?: { id: string; tag: string }; // link/unlink of a device instead of a ticket; the tag outlives the asset
+};
+
+// Every link is stored on both tickets, named from each side: a parent lists its "child", the child its "parent".
+const LINK_KINDS = ["parent", "child", "related", "merged-into", "merged-from"] as const;
+type LinkKind = typeof LINK_KINDS[number];
+type TicketLink = { kind: LinkKind; id: string };
+const LINK_LABELS: Record<LinkKind, string> = { parent: "Parent", child: "Child", related: "Related", "merged-into": "Merged into", "merged-from": "Merged from" };
+type Contact = { name: string; email?: string };
 
 type Ticket = {
   id: string;
   title: string;
   description: string;
   category: string;
+  subcategory: string; // "" when the category has none or none was picked
   priority: Priority;
   status: Status;
+  fields: Record<string, string>; // custom field values keyed by CustomFieldDef.id
   requester: string;
+  requesterEmail?: string; // where status notifications go; from the directory or the sender of an emailed ticket
   assignee?: string;
+  cc: Contact[]; // requesters folded in by a merge; they see the ticket and get its notifications
+  links: TicketLink[];
+  assetIds: string[]; // devices the ticket is about (see Assets)
   createdAt: string; // ISO
   updatedAt: string; // ISO
+  history: TicketEvent[];
+  attachments: Attachment[]; // metadata only; the bytes are in the file store
+  version: number; // server revision this copy is based on; 0 = never synced
+};
+
+// Short reference quoted in email subjects ("Re: [HD-1A2B3C4D] ...") so the mail gateway can thread replies.
+const ticketToken = (id: string) => `HD-${id.slice(0, 8).toUpperCase()}`;
+
+// --- Settings ---
+// Admins shape the workflow here: statuses (in board order), priorities (lowest first, each with its SLA),
+// categories with sub-categories, and custom fields. A status can limit which statuses may move into it and
+// what has to be filled in first. Tickets store plain names, so renames are cascaded (see renameInTickets) and
+// logged, so history written under an old name still reads and times correctly (see historyName).
+const CONFIG_KEY = "helpdesk_config";
+const COMMENT_REQUIREMENT = "comment"; // "requires" entry meaning "explain the change in a comment"
+const FIELD_TYPES = ["text", "number", "select"] as const;
+const STATUS_KINDS = ["active", "paused", "done"] as const;
+
+const BADGE_COLORS = ["slate", "gray", "blue", "sky", "purple", "violet", "emerald", "green", "yellow", "amber", "orange", "red"] as const;
+type BadgeColor = typeof BADGE_COLORS[number];
+// Spelled out in full so Tailwind keeps the classes.
+const BADGE_STYLES: Record<BadgeColor, string> = {
+  slate: "bg-slate-200 text-slate-700",
+  gray: "bg-gray-100 text-gray-700",
+  blue: "bg-blue-100 text-blue-700",
+  sky: "bg-sky-100 text-sky-700",
+  purple: "bg-purple-100 text-purple-700",
+  violet: "bg-violet-100 text-violet-700",
+  emerald: "bg-emerald-100 text-emerald-700",
+  green: "bg-green-100 text-green-700",
+  yellow: "bg-yellow-100 text-yellow-700",
+  amber: "bg-amber-100 text-amber-700",
+  orange: "bg-orange-100 text-orange-700",
+  red: "bg-red-100 text-red-700",
+};
+const BAR_STYLES: Record<BadgeColor, string> = {
+  slate: "bg-slate-400",
+  gray: "bg-gray-400",
+  blue: "bg-blue-400",
+  sky: "bg-sky-400",
+  purple: "bg-purple-400",
+  violet: "bg-violet-400",
+  emerald: "bg-emerald-400",
+  green: "bg-green-400",
+  yellow: "bg-yellow-400",
+  amber: "bg-amber-400",
+  orange: "bg-orange-400",
+  red: "bg-red-500",
+};
+
+type StatusKind = typeof STATUS_KINDS[number]; // paused stops the SLA clock; done stops it and counts as resolved
+type StatusDef = { name: string; color: BadgeColor; kind: StatusKind; from: string[]; requires: string[] }; // from: [] = from any status
+type PriorityDef = { name: string; color: BadgeColor } & SlaTarget;
+// hint: what the portal asks requesters to include; sla: per-priority overrides
+type CategoryDef = { name: string; subcategories: string[]; hint?: string; sla?: Record<string, SlaTarget> };
+type CustomFieldDef = { id: string; label: string; type: typeof FIELD_TYPES[number]; options: string[]; required: boolean };
+type HelpdeskConfig = {
+  statuses: StatusDef[];
+  priorities: PriorityDef[];
+  categories: CategoryDef[];
+  fields: CustomFieldDef[];
+  renamed?: { at: string; names: ConfigRenames }[]; // one entry per save that renamed something, oldest first
+};
+type ConfigRenames = Record<"status" | "priority" | "category", Record<string, string>>; // old name -> new name
+
+const DEFAULT_CONFIG: HelpdeskConfig = {
+  statuses: [
+    { name: "Open", color: "blue", kind: "active", from: [], requires: [] },
+    { name: "In Progress", color: "purple", kind: "active", from: [], requires: [] },
+    { name: "Waiting", color: "gray", kind: "paused", from: [], requires: [] },
+    { name: "Resolved", color: "emerald", kind: "done", from: [], requires: [] },
+    { name: "Closed", color: "slate", kind: "done", from: [], requires: [] },
+  ],
+  priorities: [
+    { name: "Low", color: "green", responseMins: 8 * 60, resolveMins: 5 * 24 * 60 },
+    { name: "Medium", color: "yellow", responseMins: 4 * 60, resolveMins: 3 * 24 * 60 },
+    { name: "High", color: "orange", responseMins: 2 * 60, resolveMins: 24 * 60 },
+    { name: "Critical", color: "red", responseMins: 60, resolveMins: 8 * 60 },
+  ],
+  categories: [
+    { name: "Hardware", subcategories: [], hint: "Which device is it (asset tag if you have one), and what happens?" },
+    { name: "Software", subcategories: [], hint: "Which application and version, what were you doing, and what error did you see?" },
+    { name: "Network", subcategories: [], hint: "Where are you (office, floor, home), wired or Wi-Fi, and what can't you reach?" },
+    { name: "Account/Access", subcategories: [], hint: "Which system or shared folder, and what access do you need?" },
+    {
+      name: "Security",
+      subcategories: [],
+      hint: "What happened and when? Don't forward suspicious attachments; describe them instead.",
+      sla: { High: { responseMins: 60, resolveMins: 8 * 60 }, Critical: { responseMins: 60, resolveMins: 4 * 60 } },
+    },
+    { name: "Other", subcategories: [] },
+  ],
+  fields: [],
+};
+
+const namesOf = (defs: { name: string }[]) => defs.map((d) => d.name);
+// Values that aren't in the config (renamed elsewhere, imported) fall back to a neutral badge.
+const badgeClass = (defs: { name: string; color: BadgeColor }[], name: string) => BADGE_STYLES[defs.find((d) => d.name === name)?.color || "slate"];
+const barClass = (defs: { name: string; color: BadgeColor }[], name: string) => BAR_STYLES[defs.find((d) => d.name === name)?.color || "slate"];
+const statusKind = (config: HelpdeskConfig, status: string): StatusKind => config.statuses.find((s) => s.name === status)?.kind || "active";
+const isDone = (config: HelpdeskConfig, status: string) => statusKind(config, status) === "done";
+const priorityRank = (config: HelpdeskConfig, priority: string) => config.priorities.findIndex((p) => p.name === priority);
+const initialStatus = (config: HelpdeskConfig) => config.statuses[0].name;
+const defaultPriority = (config: HelpdeskConfig) => (config.priorities.some((p) => p.name === "Medium") ? "Medium" : config.priorities[0].name);
+const requirementLabel = (config: HelpdeskConfig, req: string) =>
+  req === COMMENT_REQUIREMENT ? "a comment" : config.fields.find((f) => f.id === req)?.label || req;
+
+// Whether `t` may move to `to`, and which requirements (custom field ids or COMMENT_REQUIREMENT) are still unmet
+// given the field values and comment the caller is about to save with it.
+const checkTransition = (config: HelpdeskConfig, t: Ticket, to: string, fields: Record<string, string> = t.fields, comment = "") => {
+  const def = config.statuses.find((s) => s.name === to);
+  if (to === t.status) return { allowed: true, missing: [] as string[] };
+  if (!def) return { allowed: false, missing: [] as string[] };
+  return {
+    allowed: !def.from.length || def.from.includes(t.status),
+    missing: def.requires.filter((r) => (r === COMMENT_REQUIREMENT ? !comment.trim() : !(fields[r] || "").trim())),
+  };
+};
+const allowedStatuses = (config: HelpdeskConfig, t: Ticket) => namesOf(config.statuses).filter((s) => checkTransition(config, t, s).allowed);
+
+const BADGE_COLOR_SET: readonly string[] = BADGE_COLORS;
+const validateConfig = (raw: any): HelpdeskConfig | null => {
+  const list = (v: any) => (Array.isArray(v) ? v : []);
+  const text = (v: any) => (Array.isArray(v) ? v.filter(isText) : []);
+  const color = (v: any): BadgeColor => (BADGE_COLOR_SET.includes(v) ? v : "slate");
+  const mins = (v: any, fallback: number) => (Number(v) > 0 ? Number(v) : fallback);
+  if (!raw || typeof raw !== "object") return null;
+  const config: HelpdeskConfig = {
+    statuses: list(raw.statuses)
+      .filter((s: any) => isText(s?.name))
+      .map((s: any) => ({ name: s.name, color: color(s.color), kind: STATUS_KINDS.includes(s.kind) ? s.kind : "active", from: text(s.from), requires: text(s.requires) })),
+    priorities: list(raw.priorities)
+      .filter((p: any) => isText(p?.name))
+      .map((p: any) => ({ name: p.name, color: color(p.color), responseMins: mins(p.responseMins, 240), resolveMins: mins(p.resolveMins, 3 * 24 * 60) })),
+    categories: list(raw.categories)
+      .filter((c: any) => isText(c?.name))
+      .map((c: any) => ({
+        name: c.name,
+        subcategories: text(c.subcategories),
+        ...(isText(c.hint) ? { hint: c.hint } : {}),
+        ...(c.sla && typeof c.sla === "object" ? { sla: c.sla } : {}),
+      })),
+    fields: list(raw.fields)
+      .filter((f: any) => isText(f?.id) && isText(f?.label))
+      .map((f: any) => ({ id: f.id, label: f.label, type: FIELD_TYPES.includes(f.type) ? f.type : "text", options: text(f.options), required: !!f.required })),
+  };
+  const names = (v: any) => Object.fromEntries(Object.entries(v && typeof v === "object" ? v : {}).filter(([, n]) => isText(n))) as Record<string, string>;
+  const renamed = list(raw.renamed)
+    .filter((r: any) => isIsoDate(r?.at))
+    .map((r: any) => ({ at: r.at, names: { status: names(r.names?.status), priority: names(r.names?.priority), category: names(r.names?.category) } }));
+  if (renamed.length) config.renamed = renamed;
+  return config.statuses.length && config.priorities.length && config.categories.length ? config : null;
+};
+
+const loadConfig = async (backend: StorageBackend): Promise<HelpdeskConfig> => {
+  try {
+    return validateConfig(JSON.parse((await backend.read(CONFIG_KEY)) || "null")) || DEFAULT_CONFIG;
+  } catch {
+    return DEFAULT_CONFIG;
+  }
+};
+
+const hasRenames = (renames: ConfigRenames) => Object.values(renames).some((names) => Object.keys(names).length > 0);
+
+// Only tickets whose value was renamed change, and the rename is recorded on them like any other edit. History keeps
+// the names it was written with; historyName reads them in today's terms.
+const renameInTickets = (tickets: Ticket[], renames: ConfigRenames, author: string) => {
+  if (!hasRenames(renames)) return tickets;
+  return tickets.map((t) => {
+    const patch = Object.fromEntries(
+      (["status", "priority", "category"] as const).flatMap((f) => (renames[f][t[f]] ? [[f, renames[f][t[f]]]] : []))
+    ) as Partial<Ticket>;
+    return Object.keys(patch).length ? applyChanges(t, patch, author) : t;
+  });
+};
+
+// What a name recorded at `at` is called now: every rename saved after the event is applied in turn.
+const historyName = (config: HelpdeskConfig, field: TrackedField, name: string, at: string) => {
+  if (field === "assignee") return name;
+  return (config.renamed || []).reduce((n, r) => (r.at > at && r.names[field][n]) || n, name);
+};
+
+// --- Users ---
+// Tickets reference people by display name (requester/assignee), so names are unique in the directory
+// and renaming a user rewrites the tickets that mention them.
+const ROLES = ["requester", "agent", "admin"] as const;
+type Role = typeof ROLES[number];
+type User = { id: string; name: string; email: string; role: Role };
+type Permission = "viewAll" | "triage" | "internalNotes" | "writeArticles" | "manageAssets" | "delete" | "manageUsers" | "configure";
+
+const ROLE_PERMISSIONS: Record<Role, Permission[]> = {
+  requester: [],
+  agent: ["viewAll", "triage", "internalNotes", "writeArticles", "manageAssets"],
+  admin: ["viewAll", "triage", "internalNotes", "writeArticles", "manageAssets", "delete", "manageUsers", "configure"],
+};
+const USERS_KEY = "helpdesk_users";
+const SESSION_KEY = "helpdesk_session";
+
+const can = (user: User | null, permission: Permission) => !!user && ROLE_PERMISSIONS[user.role].includes(permission);
+const isAssignable = (u: User) => u.role !== "requester";
+
+const roleBadgeStyle: Record<Role, string> = {
+  requester: "bg-sky-100 text-sky-700",
+  agent: "bg-violet-100 text-violet-700",
+  admin: "bg-rose-100 text-rose-700",
+};
+
+const validateUser = (raw: any): User | null =>
+  raw && isText(raw.id) && isText(raw.name) && typeof raw.email === "string" && ROLES.includes(raw.role)
+    ? { id: raw.id, name: raw.name.trim(), email: raw.email.trim(), role: raw.role }
+    : null;
+
+const loadUsers = async (backend: StorageBackend): Promise<User[]> => {
+  try {
+    const parsed = JSON.parse((await backend.read(USERS_KEY)) || "[]");
+    return Array.isArray(parsed) ? parsed.map(validateUser).filter((u): u is User => !!u) : [];
+  } catch {
+    return [];
+  }
+};
+
+// --- History ---
+const makeEvent = (kind: TicketEvent["kind"], author: string, extra: Partial<TicketEvent> = {}, at = new Date().toISOString()): TicketEvent => ({
+  id: uuidv4(),
+  kind,
+  at,
+  author: author || "Anonymous",
+  ...extra,
+});
+
+// Applies a patch and records one "change" event per tracked field whose value actually moved.
+const applyChanges = (ticket: Ticket, patch: Partial<Ticket>, author: string): Ticket => {
+  const at = new Date().toISOString();
+  const events = TRACKED_FIELDS.filter((f) => patch[f] !== undefined && (patch[f] || "") !== (ticket[f] || "")).map((f) =>
+    makeEvent("change", author, { field: f, from: ticket[f] || "", to: patch[f] || "" }, at)
+  );
+  return { ...ticket, ...patch, id: ticket.id, history: [...ticket.history, ...events], updatedAt: at };
+};
+
+// Undo for bulk actions and merges. A batch remembers the fields it changed on each ticket, before and after; undoing
+// writes the old values back on the current ticket, so the undo is recorded like any other edit. A field that was
+// edited again after the batch keeps the newer value.
+const UNDO_FIELDS = [...TRACKED_FIELDS, "description", "cc", "assetIds", "links"] as const;
+type BatchChange = { id: string; before: Partial<Ticket>; after: Partial<Ticket> };
+
+const sameValue = (a: unknown, b: unknown) => JSON.stringify(a ?? "") === JSON.stringify(b ?? "");
+
+const batchChanges = (before: Ticket[], after: Ticket[]): BatchChange[] => {
+  const byId = new Map(before.map((t) => [t.id, t]));
+  return after.flatMap((t) => {
+    const old = byId.get(t.id);
+    if (!old || old === t) return [];
+    const keys = UNDO_FIELDS.filter((k) => !sameValue(old[k], t[k]));
+    const pick = (from: Ticket) => Object.fromEntries(keys.map((k) => [k, from[k]])) as Partial<Ticket>;
+    return keys.length ? [{ id: t.id, before: pick(old), after: pick(t) }] : [];
+  });
+};
+
+// Links go back through withLink so each side records the unlink (or relink), and devices through withAssets.
+const revertBatch = (tickets: Ticket[], changes: BatchChange[], author: string, assets: Asset[]) => {
+  const byId = new Map(changes.map((c) => [c.id, c]));
+  const at = new Date().toISOString();
+  const has = (list: TicketLink[], l: TicketLink) => list.some((x) => x.kind === l.kind && x.id === l.id);
+  return tickets.map((t) => {
+    const change = byId.get(t.id);
+    if (!change) return t;
+    const keys = (Object.keys(change.before) as (keyof Ticket)[]).filter((k) => k !== "links" && k !== "assetIds" && sameValue(t[k], change.after[k]));
+    let next = keys.length ? applyChanges(t, Object.fromEntries(keys.map((k) => [k, change.before[k]])), author) : t;
+    const had = change.before.links || [];
+    const got = change.after.links || [];
+    got.filter((l) => !has(had, l) && has(next.links, l)).forEach((l) => (next = withLink(next, l, author, at, false)));
+    had.filter((l) => !has(got, l) && !has(next.links, l)).forEach((l) => (next = withLink(next, l, author, at, true)));
+    if (change.before.assetIds) {
+      const before = change.before.assetIds;
+      const after = change.after.assetIds || [];
+      const kept = next.assetIds.filter((id) => before.includes(id) || !after.includes(id));
+      next = withAssets(next, [...kept, ...before.filter((id) => !after.includes(id) && !kept.includes(id))], assets, author, at);
+    }
+    return next;
+  });
+};
+
+// With a config, values renamed since are shown under their current name.
+const describeEvent = (e: TicketEvent, config?: HelpdeskConfig) => {
+  const name = (v?: string) => (v && config && e.field ? historyName(config, e.field, v, e.at) : v) || "–";
+  if (e.asset) return `${e.kind === "link" ? "linked" : "unlinked"} device ${e.asset.tag}`;
+  switch (e.kind) {
+    case "created":
+      return "created the ticket";
+    case "change":
+      return `changed ${e.field} from ${name(e.from)} to ${name(e.to)}`;
+    case "note":
+      return "added an internal note";
+    case "comment":
+      return "commented";
+    case "automation":
+      return "ran a rule";
+    case "link":
+      return e.link!.kind === "merged-into"
+        ? `merged this ticket into ${ticketToken(e.link!.id)}`
+        : e.link!.kind === "merged-from"
+          ? `merged ${ticketToken(e.link!.id)} into this ticket`
+          : `added ${LINK_LABELS[e.link!.kind].toLowerCase()} link ${ticketToken(e.link!.id)}`;
+    case "unlink":
+      return `removed ${LINK_LABELS[e.link!.kind].toLowerCase()} link ${ticketToken(e.link!.id)}`;
+  }
+};
+
+// --- Import / Export ---
+const CSV_COLUMNS = ["id", "title", "description", "category", "subcategory", "priority", "status", "fields", "requester", "requesterEmail", "cc", "assignee", "createdAt", "updatedAt", "history", "attachments", "links", "assetIds"] as const;
+const JSON_CSV_COLUMNS = ["history", "attachments", "fields", "cc", "links", "assetIds"];
+const EVENT_KINDS: TicketEvent["kind"][] = ["created", "change", "note", "comment", "automation", "link", "unlink"];
+
+type ImportFormat = "json" | "csv";
+type ImportRejection = { row: number; errors: string[] };
+type ImportPreview = {
+  format: ImportFormat;
+  accepted: Ticket[];
+  rejected: ImportRejection[];
+  conflicts: { incoming: Ticket; existing: Ticket }[];
+};
+
+const isIsoDate = (v: unknown) => typeof v === "string" && v !== "" && !Number.isNaN(Date.parse(v));
+const isText = (v: unknown) => typeof v === "string" && v.trim() !== "";
+const isLink = (l: any) => !!l && LINK_KINDS.includes(l.kind) && isText(l.id);
+const isContact = (c: any) => !!c && isText(c.name) && (c.email == null || typeof c.email === "string");
+
+const validateEvent = (e: any) =>
+  !!e && typeof e === "object" && typeof e.id === "string" && EVENT_KINDS.includes(e.kind) && isIsoDate(e.at) && typeof e.author === "string";
+
+// Checks one incoming record against the Ticket shape. A missing id means "new ticket" and gets one assigned.
+// With a config, status/priority/category must also be known values (imports); without, any name is kept (storage, sync).
+const validateTicket = (raw: any, config?: HelpdeskConfig): { ticket?: Ticket; errors: string[] } => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { errors: ["not a ticket object"] };
+  const errors: string[] = [];
+  if (raw.id !== undefined && !isText(raw.id)) errors.push("id must be a non-empty string");
+  if (!isText(raw.title)) errors.push("title is required");
+  if (raw.description !== undefined && typeof raw.description !== "string") errors.push("description must be text");
+  const known = (field: "category" | "priority" | "status", defs: { name: string }[]) => {
+    if (!isText(raw[field])) errors.push(`${field} is required`);
+    else if (config && !namesOf(defs).includes(raw[field])) errors.push(`${field} "${raw[field]}" is not one of ${namesOf(defs).join(", ")}`);
+  };
+  known("category", config?.categories || []);
+  known("priority", config?.priorities || []);
+  known("status", config?.statuses || []);
+  if (raw.subcategory != null && typeof raw.subcategory !== "string") errors.push("subcategory must be text");
+  if (raw.fields != null && (typeof raw.fields !== "object" || Array.isArray(raw.fields) || !Object.values(raw.fields).every((v) => typeof v === "string")))
+    errors.push("fields must map field ids to text");
+  if (!isText(raw.requester)) errors.push("requester is required");
+  if (raw.requesterEmail != null && typeof raw.requesterEmail !== "string") errors.push("requesterEmail must be text");
+  if (raw.cc != null && (!Array.isArray(raw.cc) || !raw.cc.every(isContact))) errors.push("cc must be a list of { name, email }");
+  if (raw.assignee != null && typeof raw.assignee !== "string") errors.push("assignee must be text");
+  if (!isIsoDate(raw.createdAt)) errors.push("createdAt must be an ISO date");
+  if (!isIsoDate(raw.updatedAt)) errors.push("updatedAt must be an ISO date");
+  if (raw.history !== undefined && (!Array.isArray(raw.history) || !raw.history.every(validateEvent))) errors.push("history contains malformed events");
+  if (raw.attachments !== undefined && (!Array.isArray(raw.attachments) || !raw.attachments.every(validateAttachment))) errors.push("attachments contain malformed entries");
+  if (raw.links != null && (!Array.isArray(raw.links) || !raw.links.every(isLink))) errors.push("links contain malformed entries");
+  if (raw.assetIds != null && (!Array.isArray(raw.assetIds) || !raw.assetIds.every(isText))) errors.push("assetIds must be a list of asset ids");
+  if (raw.version !== undefined && !(Number.isInteger(raw.version) && raw.version >= 0)) errors.push("version must be a non-negative integer");
+  if (errors.length) return { errors };
+  return {
+    errors,
+    ticket: {
+      id: raw.id || uuidv4(),
+      title: raw.title,
+      description: raw.description || "",
+      category: raw.category,
+      subcategory: raw.subcategory || "",
+      priority: raw.priority,
+      status: raw.status,
+      fields: raw.fields || {},
+      requester: raw.requester,
+      requesterEmail: raw.requesterEmail || undefined,
+      cc: raw.cc || [],
+      assignee: raw.assignee || "",
+      createdAt: raw.createdAt,
+      updatedAt: raw.updatedAt,
+      history: raw.history || [],
+      attachments: raw.attachments || [],
+      links: raw.links || [],
+      assetIds: raw.assetIds || [],
+      version: raw.version || 0,
+    },
+  };
+};
+
+const csvCell = (v: string) => (/[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v);
+
+const toCsv = (rows: (string | number)[][]) => rows.map((row) => row.map((v) => csvCell(String(v))).join(",")).join("\r\n");
+
+// History, attachment lists, custom fields, cc, links and asset ids have no flat representation, so they travel as JSON-encoded cells to keep CSV round-trips lossless.
+const ticketsToCsv = (tickets: Ticket[]) =>
+  toCsv([[...CSV_COLUMNS], ...tickets.map((t) => CSV_COLUMNS.map((c) => (JSON_CSV_COLUMNS.includes(c) ? JSON.stringify(t[c]) : String(t[c] ?? ""))))]);
+
+// RFC 4180: quoted fields may contain commas, doubled quotes and line breaks.
+const parseCsv = (text: string): string[][] => {
+  const rows: string[][] = [];
+  let row: string[] = [];
+  let cell = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') quoted = false;
+      else cell += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else cell += ch;
+  }
+  if (cell !== "" || row.length) rows.push([...row, cell]);
+  return rows.filter((r) => r.some((c) => c !== ""));
+};
+
+const csvToRecords = (text: string): any[] => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return [];
+  const missing = ["title", "priority", "status"].filter((c) => !header.includes(c));
+  if (missing.length) throw new Error(`CSV header is missing: ${missing.join(", ")}`);
+  return rows.map((cells) => {
+    const rec: any = Object.fromEntries(header.map((h, i) => [h.trim(), cells[i] ?? ""]));
+    if (rec.id === "") delete rec.id;
+    for (const key of JSON_CSV_COLUMNS) {
+      if (rec[key] === "" || rec[key] === undefined) delete rec[key];
+      else {
+        try {
+          rec[key] = JSON.parse(rec[key]);
+        } catch {
+          rec[key] = null;
+        }
+      }
+    }
+    return rec;
+  });
+};
+
+const buildImportPreview = (text: string, format: ImportFormat, existing: Ticket[], config: HelpdeskConfig): ImportPreview => {
+  let records: any[];
+  if (format === "json") {
+    const parsed = JSON.parse(text);
+    if (!Array.isArray(parsed)) throw new Error("JSON import must be an array of tickets");
+    records = parsed;
+  } else {
+    records = csvToRecords(text);
+  }
+  const byId = new Map(existing.map((t) => [t.id, t]));
+  const seen = new Set<string>();
+  const preview: ImportPreview = { format, accepted: [], rejected: [], conflicts: [] };
+  records.forEach((raw, i) => {
+    const { ticket, errors } = validateTicket(raw, config);
+    if (ticket && seen.has(ticket.id)) errors.push(`duplicate id ${ticket.id} in file`);
+    if (!ticket || errors.length) {
+      preview.rejected.push({ row: i + 1, errors });
+      return;
+    }
+    seen.add(ticket.id);
+    preview.accepted.push(ticket);
+    const current = byId.get(ticket.id);
+    if (current) preview.conflicts.push({ incoming: ticket, existing: current });
+  });
+  return preview;
+};
+
+// Merge keeps every existing ticket and adds new ones; on id conflicts `preferIncoming` decides which copy wins.
+const applyImport = (existing: Ticket[], preview: ImportPreview, mode: "merge" | "replace", preferIncoming: boolean): Ticket[] => {
+  if (mode === "replace") return preview.accepted;
+  const incoming = new Map(preview.accepted.map((t) => [t.id, t]));
+  const merged = existing.map((t) => (preferIncoming && incoming.has(t.id) ? incoming.get(t.id)! : t));
+  const known = new Set(existing.map((t) => t.id));
+  return [...preview.accepted.filter((t) => !known.has(t.id)), ...merged];
+};
+
+const downloadFile = (filename: string, mime: string, content: string | Blob) => {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  a.click();
+  URL.revokeObjectURL(url);
+};
+
+// --- Storage ---
+// Tickets are stored as a versioned envelope; anything older is upgraded through MIGRATIONS on load.
+// Since schema 6 the envelope only lists the shard count and tickets live in SHARD_COUNT keys grouped by id, so a
+// save rewrites just the shards whose tickets changed instead of serializing the whole list.
+const SCHEMA_VERSION = 8;
+const STORAGE_KEY = "helpdesk_store";
+const LEGACY_STORAGE_KEY = "helpdesk_tickets_v1"; // bare Ticket[] written before versioning, i.e. schema 1
+const SHARD_COUNT = 64;
+const STORAGE_BACKEND: BackendKind = "localStorage";
+
+type BackendKind = "localStorage" | "indexedDB" | "memory";
+type StorageBackend = {
+  name: string;
+  read: (key: string) => Promise<string | null>;
+  write: (key: string, value: string) => Promise<void>;
+  remove: (key: string) => Promise<void>;
+};
+type StorageIssue = { kind: "corrupt" | "quota" | "unavailable" | "newer-version" | "invalid-rows"; message: string };
+type StoredEnvelope = { version: number; savedAt: string; tickets?: any[]; shards?: number }; // tickets inline up to schema 5
+
+// MIGRATIONS[n] turns tickets stored at schema n into schema n + 1.
+const MIGRATIONS: Record<number, (tickets: any[]) => any[]> = {
+  1: (tickets) => tickets.map((t) => ({ ...t, history: Array.isArray(t?.history) ? t.history : [] })),
+  2: (tickets) => tickets.map((t) => ({ ...t, version: 0 })),
+  3: (tickets) => tickets.map((t) => ({ ...t, attachments: [] })),
+  4: (tickets) => tickets.map((t) => ({ ...t, subcategory: "", fields: {} })),
+  5: (tickets) => tickets, // rows unchanged; only the layout moved to shards
+  6: (tickets) => tickets.map((t) => ({ ...t, cc: [], links: [] })),
+  7: (tickets) => tickets.map((t) => ({ ...t, assetIds: [] })),
+};
+
+const shardKey = (shard: number) => `${STORAGE_KEY}_shard_${shard}`;
+const shardOf = (id: string, shards = SHARD_COUNT) => {
+  let hash = 0;
+  for (let i = 0; i < id.length; i++) hash = (Math.imul(hash, 31) + id.charCodeAt(i)) | 0;
+  return (hash >>> 0) % shards;
+};
+
+const localStorageBackend = (): StorageBackend => ({
+  name: "browser storage",
+  read: async (key) => localStorage.getItem(key),
+  write: async (key, value) => localStorage.setItem(key, value),
+  remove: async (key) => localStorage.removeItem(key),
+});
+
+const memoryBackend = (seed: Record<string, string> = {}): StorageBackend => {
+  const data = new Map(Object.entries(seed));
+  return {
+    name: "memory",
+    read: async (key) => data.get(key) ?? null,
+    write: async (key, value) => void data.set(key, value),
+    remove: async (key) => void data.delete(key),
+  };
+};
+
+const indexedDbBackend = (dbName = "helpdesk"): StorageBackend => {
+  let db: Promise<IDBDatabase> | null = null;
+  const open = () =>
+    (db ??= new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore("kv");
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }));
+  // Resolves on transaction completion, not request success, so quota failures at commit time are surfaced.
+  const run = async <T,>(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest<T>) => {
+    const tx = (await open()).transaction("kv", mode);
+    const req = fn(tx.objectStore("kv"));
+    return new Promise<T>((resolve, reject) => {
+      tx.oncomplete = () => resolve(req.result);
+      tx.onerror = tx.onabort = () => reject(tx.error || req.error);
+    });
+  };
+  return {
+    name: "IndexedDB",
+    read: async (key) => ((await run("readonly", (s) => s.get(key))) as string | undefined) ?? null,
+    write: async (key, value) => void (await run("readwrite", (s) => s.put(value, key))),
+    remove: async (key) => void (await run("readwrite", (s) => s.delete(key))),
+  };
+};
+
+// Falls back to memory when the requested backend can't be used (private mode, disabled storage).
+const resolveBackend = (kind: BackendKind): { backend: StorageBackend; issue?: StorageIssue } => {
+  try {
+    if (kind === "indexedDB" && typeof indexedDB !== "undefined") return { backend: indexedDbBackend() };
+    if (kind === "localStorage") {
+      localStorage.setItem("helpdesk_probe", "1");
+      localStorage.removeItem("helpdesk_probe");
+      return { backend: localStorageBackend() };
+    }
+    if (kind === "memory") return { backend: memoryBackend() };
+  } catch {
+    // handled below
+  }
+  return {
+    backend: memoryBackend(),
+    issue: { kind: "unavailable", message: `${kind} is not available; tickets are kept in memory only and will be lost on reload.` },
+  };
+};
+
+const isQuotaError = (e: any) =>
+  e?.name === "QuotaExceededError" || e?.name === "NS_ERROR_DOM_QUOTA_REACHED" || e?.code === 22 || e?.code === 1014;
+
+const createTicketStore = (backend: StorageBackend) => {
+  // What each id looked like when last written; null until a complete write (or a clean load) has happened, which
+  // makes the next save rewrite every shard.
+  let saved: Map<string, Ticket> | null = null;
+
+  const readShards = async (count: number, issues: StorageIssue[]) => {
+    const rows: any[] = [];
+    for (let shard = 0; shard < count; shard++) {
+      const raw = await backend.read(shardKey(shard));
+      if (raw === null) continue;
+      try {
+        const parsed = JSON.parse(raw);
+        if (!Array.isArray(parsed)) throw new Error("unexpected layout");
+        rows.push(...parsed);
+      } catch {
+        const backupKey = `${shardKey(shard)}_corrupt_${Date.now()}`;
+        await backend.write(backupKey, raw);
+        issues.push({ kind: "corrupt", message: `Part of the saved tickets could not be read and was set aside as "${backupKey}".` });
+      }
+    }
+    // Shards don't keep the list order; newest first matches how tickets are added.
+    return rows.sort((a, b) => String(b?.createdAt).localeCompare(String(a?.createdAt)));
+  };
+
+  const load = async (): Promise<{ tickets: Ticket[]; issues: StorageIssue[]; readOnly: boolean }> => {
+    const issues: StorageIssue[] = [];
+    let raw = await backend.read(STORAGE_KEY);
+    let key = STORAGE_KEY;
+    if (raw === null) {
+      raw = await backend.read(LEGACY_STORAGE_KEY);
+      key = LEGACY_STORAGE_KEY;
+    }
+    if (raw === null) return { tickets: [], issues, readOnly: false };
+
+    let envelope: StoredEnvelope;
+    try {
+      const parsed = JSON.parse(raw);
+      envelope = Array.isArray(parsed) ? { version: 1, savedAt: "", tickets: parsed } : parsed;
+      const sharded = typeof envelope?.shards === "number" && envelope.shards > 0;
+      if (!envelope || typeof envelope.version !== "number" || !(sharded || Array.isArray(envelope.tickets))) throw new Error("unexpected layout");
+    } catch {
+      // Keep the unreadable blob around so it can be recovered by hand instead of being overwritten.
+      const backupKey = `${key}_corrupt_${Date.now()}`;
+      await backend.write(backupKey, raw);
+      issues.push({ kind: "corrupt", message: `Saved tickets could not be read and were set aside as "${backupKey}". Starting with an empty list.` });
+      return { tickets: [], issues, readOnly: false };
+    }
+
+    if (envelope.version > SCHEMA_VERSION) {
+      issues.push({
+        kind: "newer-version",
+        message: `Tickets were saved by a newer version of the app (schema ${envelope.version}). Changes won't be saved until you update.`,
+      });
+      return { tickets: [], issues, readOnly: true };
+    }
+    let rows = envelope.shards ? await readShards(envelope.shards, issues) : envelope.tickets!;
+    for (let v = envelope.version; v < SCHEMA_VERSION; v++) rows = MIGRATIONS[v](rows);
+
+    const tickets: Ticket[] = [];
+    const invalid: any[] = [];
+    rows.forEach((row) => {
+      const { ticket } = validateTicket(row);
+      if (ticket) tickets.push(ticket);
+      else invalid.push(row);
+    });
+    if (invalid.length) {
+      const backupKey = `${STORAGE_KEY}_invalid_${Date.now()}`;
+      await backend.write(backupKey, JSON.stringify(invalid));
+      issues.push({ kind: "invalid-rows", message: `${invalid.length} stored ticket(s) failed validation and were set aside as "${backupKey}".` });
+    }
+    // Migrated, repaired or differently sharded data is written out in full on the next save.
+    const clean = envelope.version === SCHEMA_VERSION && envelope.shards === SHARD_COUNT && !issues.length;
+    saved = clean ? new Map(tickets.map((t) => [t.id, t])) : null;
+    return { tickets, issues, readOnly: false };
+  };
+
+  const save = async (tickets: Ticket[]): Promise<StorageIssue | null> => {
+    const previous = saved;
+    const dirty = new Set<number>();
+    const current = new Map<string, Ticket>();
+    tickets.forEach((t) => {
+      current.set(t.id, t);
+      if (previous?.get(t.id) !== t) dirty.add(shardOf(t.id));
+    });
+    previous?.forEach((_, id) => current.has(id) || dirty.add(shardOf(id)));
+    if (previous && !dirty.size) return null;
+
+    const groups = new Map<number, Ticket[]>();
+    tickets.forEach((t) => {
+      const shard = shardOf(t.id);
+      if (previous && !dirty.has(shard)) return;
+      const rows = groups.get(shard);
+      if (rows) rows.push(t);
+      else groups.set(shard, [t]);
+    });
+    const envelope: StoredEnvelope = { version: SCHEMA_VERSION, savedAt: new Date().toISOString(), shards: SHARD_COUNT };
+    try {
+      for (let shard = 0; shard < SHARD_COUNT; shard++) {
+        if (previous && !dirty.has(shard)) continue;
+        const rows = groups.get(shard);
+        await (rows ? backend.write(shardKey(shard), JSON.stringify(rows)) : backend.remove(shardKey(shard)));
+      }
+      await backend.write(STORAGE_KEY, JSON.stringify(envelope));
+      if (!previous) await backend.remove(LEGACY_STORAGE_KEY);
+      saved = current;
+      return null;
+    } catch (e) {
+      if (isQuotaError(e)) return { kind: "quota", message: `Storage is full; the last change was not saved. Export your tickets and clear old ones.` };
+      return { kind: "unavailable", message: `Could not save tickets: ${(e as any)?.message || e}` };
+    }
+  };
+
+  return { backend: backend.name, load, save };
+};
+
+// --- Attachments ---
+// File contents live in their own IndexedDB database and only the metadata rides along on the ticket, so the
+// ticket blob stays small. Synced tickets carry the metadata too; the bytes stay on the device that added them.
+const FILES_DB = "helpdesk_files";
+const MAX_FILE_BYTES = 5 * 1024 * 1024;
+const MAX_TICKET_FILES_BYTES = 20 * 1024 * 1024;
+const THUMB_SIZE = 160;
+const TEXT_PREVIEW_BYTES = 64 * 1024;
+
+type Attachment = {
+  id: string;
+  name: string;
+  type: string;
+  size: number;
+  addedAt: string; // ISO
+  addedBy: string;
+  eventId?: string; // the comment/note it was posted with; inherits that entry's visibility
+};
+type StoredFile = { id: string; ticketId: string; blob: Blob; thumb?: Blob };
+type FileStore = ReturnType<typeof createFileStore>;
+
+const validateAttachment = (a: any) =>
+  !!a && typeof a === "object" && isText(a.id) && isText(a.name) && typeof a.type === "string" && Number.isFinite(a.size) && isIsoDate(a.addedAt);
+
+const isImage = (a: { type: string }) => a.type.startsWith("image/");
+const isTextLike = (a: { type: string; name: string }) =>
+  a.type.startsWith("text/") || /json|xml|javascript|yaml/.test(a.type) || /\.(log|txt|csv|json|xml|ini|conf|cfg|ya?ml|md)$/i.test(a.name);
+
+const formatBytes = (n: number) => (n < 1024 ? `${n} B` : n < 1024 * 1024 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1024 / 1024).toFixed(1)} MB`);
+
+// Splits picked files into what fits and a message per file that doesn't.
+const checkFiles = <F extends { name: string; size: number }>(files: F[], alreadyUsed: number) => {
+  const accepted: F[] = [];
+  const errors: string[] = [];
+  let used = alreadyUsed;
+  for (const f of files) {
+    if (f.size > MAX_FILE_BYTES) errors.push(`${f.name} is ${formatBytes(f.size)}; files can be at most ${formatBytes(MAX_FILE_BYTES)}.`);
+    else if (used + f.size > MAX_TICKET_FILES_BYTES) errors.push(`${f.name} would take this ticket past ${formatBytes(MAX_TICKET_FILES_BYTES)} of attachments.`);
+    else {
+      accepted.push(f);
+      used += f.size;
+    }
+  }
+  return { accepted, errors };
+};
+
+// Clipboard screenshots all arrive as "image.png"; give them a name worth keeping.
+const pastedFiles = (e: React.ClipboardEvent) =>
+  Array.from(e.clipboardData.files).map((f) =>
+    f.name === "image.png" ? new File([f], `screenshot-${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.png`, { type: f.type }) : f
+  );
+
+// Images the browser can't decode (e.g. some SVGs, HEIC) simply get no thumbnail.
+const makeThumbnail = async (file: Blob): Promise<Blob | undefined> => {
+  try {
+    const bitmap = await createImageBitmap(file);
+    const scale = Math.min(1, THUMB_SIZE / Math.max(bitmap.width, bitmap.height));
+    const canvas = document.createElement("canvas");
+    canvas.width = Math.max(1, Math.round(bitmap.width * scale));
+    canvas.height = Math.max(1, Math.round(bitmap.height * scale));
+    canvas.getContext("2d")!.drawImage(bitmap, 0, 0, canvas.width, canvas.height);
+    bitmap.close();
+    return await new Promise((resolve) => canvas.toBlob((b) => resolve(b || undefined), "image/jpeg", 0.8));
+  } catch {
+    return undefined;
+  }
+};
+
+const createFileStore = (dbName = FILES_DB) => {
+  let db: Promise<IDBDatabase> | null = null;
+  const open = () =>
+    (db ??= new Promise((resolve, reject) => {
+      const req = indexedDB.open(dbName, 1);
+      req.onupgradeneeded = () => req.result.createObjectStore("files", { keyPath: "id" }).createIndex("ticketId", "ticketId");
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    }));
+  // Same completion semantics as indexedDbBackend: quota errors surface when the transaction commits.
+  const run = async <T,>(mode: IDBTransactionMode, fn: (store: IDBObjectStore) => IDBRequest<T> | void) => {
+    const tx = (await open()).transaction("files", mode);
+    const req: IDBRequest<T> | undefined = fn(tx.objectStore("files")) || undefined;
+    return new Promise<T | undefined>((resolve, reject) => {
+      tx.oncomplete = () => resolve(req ? req.result : undefined);
+      tx.onerror = tx.onabort = () => reject(tx.error || req?.error);
+    });
+  };
+  // Deletes every stored file whose key fails `drop`, in a single transaction.
+  const sweep = (drop: (file: { id: string; ticketId: string }) => boolean) =>
+    run("readwrite", (s) => {
+      s.index("ticketId").openCursor().onsuccess = (e) => {
+        const cursor = (e.target as IDBRequest<IDBCursorWithValue | null>).result;
+        if (!cursor) return;
+        if (drop({ id: cursor.primaryKey as string, ticketId: cursor.key as string })) cursor.delete();
+        cursor.continue();
+      };
+    });
+  return {
+    put: (file: StoredFile) => run("readwrite", (s) => s.put(file)).then(() => undefined),
+    get: (id: string) => run<StoredFile | undefined>("readonly", (s) => s.get(id)),
+    remove: (id: string) => run("readwrite", (s) => s.delete(id)).then(() => undefined),
+    removeForTickets: (ticketIds: string[]) => {
+      const ids = new Set(ticketIds);
+      return sweep((f) => ids.has(f.ticketId));
+    },
+    clear: () => run("readwrite", (s) => s.clear()).then(() => undefined),
+    // Drops files no ticket refers to any more: bulk deletes past their undo, remote deletions, replaced imports.
+    prune: (tickets: Ticket[]) => {
+      const live = new Set(tickets.flatMap((t) => t.attachments.map((a) => a.id)));
+      return sweep((f) => !live.has(f.id));
+    },
+  };
+};
+
+// Minimal ZIP writer (stored, no compression) for "download all"; screenshots and logs are mostly small or already compressed.
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  return c >>> 0;
+});
+const crc32 = (data: Uint8Array) => {
+  let c = 0xffffffff;
+  for (let i = 0; i < data.length; i++) c = CRC_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+  return (c ^ 0xffffffff) >>> 0;
+};
+
+const zipFiles = (entries: { name: string; data: ArrayBuffer; date: Date }[]) => {
+  const encoder = new TextEncoder();
+  const parts: BlobPart[] = [];
+  const central: BlobPart[] = [];
+  let offset = 0;
+  let centralSize = 0;
+  for (const { name, data, date } of entries) {
+    const nameBytes = encoder.encode(name);
+    const crc = crc32(new Uint8Array(data));
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((Math.max(date.getFullYear(), 1980) - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    // Fields shared by the local and central headers: version, UTF-8 flag, method 0, time, date, crc, sizes, name length.
+    const common = (v: DataView, at: number) => {
+      [20, 0x0800, 0, time, day].forEach((x, i) => v.setUint16(at + i * 2, x, true));
+      v.setUint32(at + 10, crc, true);
+      v.setUint32(at + 14, data.byteLength, true);
+      v.setUint32(at + 18, data.byteLength, true);
+      v.setUint16(at + 22, nameBytes.length, true);
+    };
+    const local = new Uint8Array(30 + nameBytes.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034b50, true);
+    common(lv, 4);
+    local.set(nameBytes, 30);
+    const entry = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(entry.buffer);
+    cv.setUint32(0, 0x02014b50, true);
+    cv.setUint16(4, 20, true);
+    common(cv, 6);
+    cv.setUint32(42, offset, true);
+    entry.set(nameBytes, 46);
+    parts.push(local, data);
+    central.push(entry);
+    offset += local.length + data.byteLength;
+    centralSize += entry.length;
+  }
+  const end = new Uint8Array(22);
+  const ev = new DataView(end.buffer);
+  ev.setUint32(0, 0x06054b50, true);
+  ev.setUint16(8, entries.length, true);
+  ev.setUint16(10, entries.length, true);
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);
+  return new Blob([...parts, ...central, end], { type: "application/zip" });
+};
+
+// Two "screenshot.png"s on one ticket become "screenshot.png" and "screenshot (2).png" inside the archive.
+const uniqueNames = (names: string[]) => {
+  const seen = new Map<string, number>();
+  return names.map((name) => {
+    const n = (seen.get(name) || 0) + 1;
+    seen.set(name, n);
+    return n === 1 ? name : name.replace(/(\.[^.]*)?$/, (ext) => ` (${n})${ext}`);
+  });
+};
+
+// --- Sync ---
+// Optional: local mutations are queued in an outbox and pushed to the REST API in helpdesk_sync_server.mjs,
+// remote changes are pulled back on an interval. The server bumps `version` on every accepted write and
+// rejects writes whose base version is stale, which is how concurrent edits are detected.
+const SYNC_CONFIG_KEY = "helpdesk_sync";
+const SYNC_STATE_KEY = "helpdesk_sync_state";
+
+type SyncConfig = { enabled: boolean; baseUrl: string; intervalSec: number };
+type OutboxOp = { ticketId: string; kind: "upsert" | "delete"; ticket?: Ticket; baseVersion: number; seq: number; queuedAt: string };
+type SyncConflict = { ticketId: string; local: Ticket | null; remote: Ticket | null; detectedAt: string };
+type SyncState = { outbox: OutboxOp[]; conflicts: SyncConflict[]; cursor: number };
+type SyncStatus = { state: "off" | "idle" | "syncing" | "offline" | "error"; lastSyncedAt?: string; message?: string };
+type PushResult = { ok: true; version: number } | { ok: false; current: Ticket | null };
+
+const DEFAULT_SYNC_CONFIG: SyncConfig = { enabled: false, baseUrl: "http://localhost:4000", intervalSec: 15 };
+const EMPTY_SYNC_STATE: SyncState = { outbox: [], conflicts: [], cursor: 0 };
+
+const loadSyncConfig = (): SyncConfig => {
+  try {
+    return { ...DEFAULT_SYNC_CONFIG, ...JSON.parse(localStorage.getItem(SYNC_CONFIG_KEY) || "{}") };
+  } catch {
+    return DEFAULT_SYNC_CONFIG;
+  }
+};
+
+// One pending op per ticket: later edits replace the payload but keep the base version the server last confirmed.
+const enqueueOp = (outbox: OutboxOp[], op: Pick<OutboxOp, "ticketId" | "kind" | "ticket" | "baseVersion">): OutboxOp[] => {
+  const pending = outbox.find((o) => o.ticketId === op.ticketId);
+  if (!pending) return [...outbox, { ...op, seq: 1, queuedAt: new Date().toISOString() }];
+  // Created and deleted without ever reaching the server: nothing to send.
+  if (op.kind === "delete" && pending.baseVersion === 0) return outbox.filter((o) => o !== pending);
+  return outbox.map((o) => (o === pending ? { ...op, baseVersion: pending.baseVersion, seq: pending.seq + 1, queuedAt: pending.queuedAt } : o));
+};
+
+const syncApi = (baseUrl: string) => {
+  const url = (path: string) => `${baseUrl.replace(/\/+$/, "")}${path}`;
+  return {
+    pull: async (since: number): Promise<{ tickets: Ticket[]; deleted: string[]; revision: number }> => {
+      const res = await fetch(url(`/tickets?since=${since}`));
+      if (!res.ok) throw new Error(`Pull failed (${res.status})`);
+      const body = await res.json();
+      const tickets = (body.tickets as unknown[]).map((t) => validateTicket(t).ticket).filter((t): t is Ticket => !!t);
+      return { tickets, deleted: body.deleted, revision: body.revision };
+    },
+    push: async (op: OutboxOp): Promise<PushResult> => {
+      const id = encodeURIComponent(op.ticketId);
+      const res =
+        op.kind === "delete"
+          ? await fetch(url(`/tickets/${id}?baseVersion=${op.baseVersion}`), { method: "DELETE" })
+          : await fetch(url(`/tickets/${id}`), {
+              method: "PUT",
+              headers: { "Content-Type": "application/json" },
+              body: JSON.stringify({ ticket: op.ticket, baseVersion: op.baseVersion }),
+            });
+      if (res.status === 409) return { ok: false, current: (await res.json()).current ?? null };
+      if (!res.ok) throw new Error(`Push failed (${res.status})`);
+      return { ok: true, version: op.kind === "delete" ? 0 : (await res.json()).ticket.version };
+    },
+  };
+};
+
+const mergeHistory = (a: TicketEvent[], b: TicketEvent[]) => {
+  const byId = new Map([...a, ...b].map((e) => [e.id, e]));
+  return [...byId.values()].sort((x, y) => x.at.localeCompare(y.at));
+};
+
+// Tickets that still have a queued op or an open conflict are left alone: the push decides their fate.
+const mergeRemote = (local: Ticket[], remote: Ticket[], deleted: string[], blocked: Set<string>, mark: (t: Ticket) => Ticket) => {
+  const incoming = new Map(remote.filter((t) => !blocked.has(t.id)).map((t) => [t.id, t]));
+  const gone = new Set(deleted.filter((id) => !blocked.has(id)));
+  const next = local
+    .filter((t) => !gone.has(t.id))
+    .map((t) => {
+      const r = incoming.get(t.id);
+      incoming.delete(t.id);
+      return r && r.version > t.version ? mark(r) : t;
+    });
+  return [...[...incoming.values()].map(mark), ...next];
+};
+
+// Keeps the outbox in step with `tickets` by diffing successive renders, so every mutation path
+// (form, quick status, comments, import, delete) is captured without each one knowing about sync.
+function useTicketSync(
+  tickets: Ticket[],
+  setTickets: React.Dispatch<React.SetStateAction<Ticket[]>>,
+  backend: StorageBackend,
+  ready: boolean
+) {
+  const [config, setConfigState] = useState<SyncConfig>(loadSyncConfig);
+  const [sync, setSync] = useState<SyncState>(EMPTY_SYNC_STATE);
+  const [status, setStatus] = useState<SyncStatus>({ state: "off" });
+  const [syncLoaded, setSyncLoaded] = useState(false);
+  const fromRemote = useRef(new WeakSet<Ticket>());
+  const remoteDeletes = useRef(new Set<string>());
+  const prevTickets = useRef<Ticket[] | null>(null);
+  const ticketsRef = useRef(tickets);
+  const syncRef = useRef(sync);
+  const configRef = useRef(config);
+  const busy = useRef(false);
+  ticketsRef.current = tickets;
+  syncRef.current = sync;
+  configRef.current = config;
+
+  const mark = (t: Ticket) => {
+    fromRemote.current.add(t);
+    return t;
+  };
+  const updateSync = (fn: (s: SyncState) => SyncState) =>
+    setSync((s) => {
+      const next = fn(s);
+      syncRef.current = next;
+      return next;
+    });
+
+  useEffect(() => {
+    backend
+      .read(SYNC_STATE_KEY)
+      .then((raw) => raw && setSync({ ...EMPTY_SYNC_STATE, ...JSON.parse(raw) }))
+      .catch(() => setSync(EMPTY_SYNC_STATE))
+      .finally(() => setSyncLoaded(true));
+  }, [backend]);
+  useEffect(() => {
+    if (syncLoaded) backend.write(SYNC_STATE_KEY, JSON.stringify(sync)).catch(() => {});
+  }, [sync, syncLoaded, backend]);
+
+  useEffect(() => {
+    const prev = prevTickets.current;
+    prevTickets.current = ready && syncLoaded ? tickets : null;
+    if (!prev || !config.enabled) return;
+    const prevById = new Map(prev.map((t) => [t.id, t]));
+    const nextIds = new Set(tickets.map((t) => t.id));
+    const ops: Parameters<typeof enqueueOp>[1][] = [];
+    for (const t of tickets) {
+      if (prevById.get(t.id) !== t && !fromRemote.current.has(t)) ops.push({ ticketId: t.id, kind: "upsert", ticket: t, baseVersion: t.version });
+    }
+    for (const t of prev) {
+      if (!nextIds.has(t.id) && !remoteDeletes.current.delete(t.id)) ops.push({ ticketId: t.id, kind: "delete", baseVersion: t.version });
+    }
+    if (ops.length) updateSync((s) => ({ ...s, outbox: ops.reduce(enqueueOp, s.outbox) }));
+  }, [tickets, ready, syncLoaded, config.enabled]);
+
+  const runSync = async () => {
+    const cfg = configRef.current;
+    if (!cfg.enabled || busy.current) return;
+    busy.current = true;
+    setStatus((s) => ({ ...s, state: "syncing" }));
+    const api = syncApi(cfg.baseUrl);
+    try {
+      for (const op of syncRef.current.outbox) {
+        const result = await api.push(op);
+        if (result.ok === false) {
+          const local = ticketsRef.current.find((t) => t.id === op.ticketId) || null;
+          const conflict: SyncConflict = { ticketId: op.ticketId, local, remote: result.current, detectedAt: new Date().toISOString() };
+          updateSync((s) => ({
+            ...s,
+            outbox: s.outbox.filter((o) => o.ticketId !== op.ticketId),
+            conflicts: [...s.conflicts.filter((c) => c.ticketId !== op.ticketId), conflict],
+          }));
+          continue;
+        }
+        // If the ticket was edited again while this op was in flight, keep the newer op but rebase it.
+        updateSync((s) => ({
+          ...s,
+          outbox: s.outbox.flatMap((o) => (o.ticketId !== op.ticketId ? [o] : o.seq === op.seq ? [] : [{ ...o, baseVersion: result.version }])),
+        }));
+        if (op.kind === "upsert") setTickets((prev) => prev.map((t) => (t.id === op.ticketId ? mark({ ...t, version: result.version }) : t)));
+      }
+      const { tickets: remote, deleted, revision } = await api.pull(syncRef.current.cursor);
+      const blocked = new Set([...syncRef.current.outbox.map((o) => o.ticketId), ...syncRef.current.conflicts.map((c) => c.ticketId)]);
+      deleted.forEach((id) => !blocked.has(id) && remoteDeletes.current.add(id));
+      setTickets((prev) => mergeRemote(prev, remote, deleted, blocked, mark));
+      updateSync((s) => ({ ...s, cursor: revision }));
+      setStatus({ state: "idle", lastSyncedAt: new Date().toISOString() });
+    } catch (e: any) {
+      setStatus((s) => ({ ...s, state: navigator.onLine ? "error" : "offline", message: e?.message || String(e) }));
+    } finally {
+      busy.current = false;
+    }
+  };
+
+  useEffect(() => {
+    if (!config.enabled || !ready || !syncLoaded) {
+      setStatus({ state: "off" });
+      return;
+    }
+    runSync();
+    const timer = setInterval(runSync, Math.max(5, config.intervalSec) * 1000);
+    window.addEventListener("online", runSync);
+    return () => {
+      clearInterval(timer);
+      window.removeEventListener("online", runSync);
+    };
+  }, [config.enabled, config.baseUrl, config.intervalSec, ready, syncLoaded]);
+
+  // Push local edits shortly after they're made rather than waiting for the next interval.
+  useEffect(() => {
+    if (!config.enabled || !sync.outbox.length) return;
+    const timer = setTimeout(runSync, 1000);
+    return () => clearTimeout(timer);
+  }, [sync.outbox, config.enabled]);
+
+  const setConfig = (next: SyncConfig) => {
+    localStorage.setItem(SYNC_CONFIG_KEY, JSON.stringify(next));
+    // Turning sync on for the first time uploads everything that has never been on the server.
+    if (next.enabled && !config.enabled) {
+      const unsynced = ticketsRef.current.filter((t) => t.version === 0);
+      updateSync((s) => ({
+        ...s,
+        outbox: unsynced.reduce((outbox, t) => enqueueOp(outbox, { ticketId: t.id, kind: "upsert", ticket: t, baseVersion: 0 }), s.outbox),
+      }));
+    }
+    setConfigState(next);
+  };
+
+  const resolveConflict = (ticketId: string, keep: "mine" | "theirs") => {
+    const conflict = syncRef.current.conflicts.find((c) => c.ticketId === ticketId);
+    if (!conflict) return;
+    const { local, remote } = conflict;
+    const rest = (s: SyncState) => s.conflicts.filter((c) => c.ticketId !== ticketId);
+    if (keep === "theirs") {
+      if (!remote) remoteDeletes.current.add(ticketId);
+      setTickets((prev) => {
+        const others = prev.filter((t) => t.id !== ticketId);
+        return remote ? [mark(remote), ...others] : others;
+      });
+      updateSync((s) => ({ ...s, conflicts: rest(s) }));
+      return;
+    }
+    // Keep mine: rebase the local copy on the server's version so the next push overwrites it.
+    // Comments and notes from both sides survive either way.
+    const baseVersion = remote?.version ?? 0;
+    if (!local) {
+      updateSync((s) => ({ ...s, conflicts: rest(s), outbox: remote ? enqueueOp(s.outbox, { ticketId, kind: "delete", baseVersion }) : s.outbox }));
+      return;
+    }
+    const rebased = mark({ ...local, history: mergeHistory(local.history, remote?.history || []), version: baseVersion });
+    setTickets((prev) => (prev.some((t) => t.id === ticketId) ? prev.map((t) => (t.id === ticketId ? rebased : t)) : [rebased, ...prev]));
+    updateSync((s) => ({ ...s, conflicts: rest(s), outbox: enqueueOp(s.outbox, { ticketId, kind: "upsert", ticket: rebased, baseVersion }) }));
+  };
+
+  return { config, setConfig, status, pending: sync.outbox.length, conflicts: sync.conflicts, resolveConflict, syncNow: runSync };
+}
+
+// --- Board ---
+const VIEW_KEY = "helpdesk_view";
+const WIP_LIMITS_KEY = "helpdesk_wip_limits";
+type WipLimits = Partial<Record<Status, number>>;
+
+const loadWipLimits = (): WipLimits => {
+  try {
+    return JSON.parse(localStorage.getItem(WIP_LIMITS_KEY) || "{}");
+  } catch {
+    return {};
+  }
+};
+
+// --- Query ---
+// Search box syntax, all terms ANDed together:
+//   status:open,waiting   priority:>=high   assignee:me   created:<7d   updated:>2024-05-01
+//   sla:breached          -category:Other   "exact phrase"   bare words
+// A leading "-" negates a term; comma-separated values match any of them.
+const VIEWS_KEY = "helpdesk_views";
+const QUERY_FIELDS = ["status", "priority", "category", "assignee", "requester", "created", "updated", "sla"] as const;
+const SLA_STATES: SlaState[] = ["ok", "at-risk", "breached", "paused", "met"];
+
+type QueryField = typeof QUERY_FIELDS[number];
+type QueryContext = { me: string; now: number; sla: (t: Ticket) => ReturnType<typeof slaFor> };
+type QueryError = { term: string; message: string };
+type ParsedQuery = { test: (t: Ticket, ctx: QueryContext) => boolean; errors: QueryError[] };
+type SavedView = { id: string; name: string; query: string; sortBy: string };
+
+const DURATION_UNITS: Record<string, number> = { m: 60000, h: 3600000, d: 86400000, w: 604800000 };
+const normalizeTerm = (v: string) => v.toLowerCase().replace(/[\s_-]/g, "");
+
+const tokenizeQuery = (input: string) => {
+  const tokens: { raw: string; negate: boolean; field?: string; value: string; quoted: boolean }[] = [];
+  const errors: QueryError[] = [];
+  let i = 0;
+  while (i < input.length) {
+    if (/\s/.test(input[i])) {
+      i++;
+      continue;
+    }
+    const start = i;
+    const negate = input[i] === "-";
+    if (negate) i++;
+    const field = /^([a-z]+):/i.exec(input.slice(i));
+    if (field) i += field[0].length;
+    let value: string;
+    const quoted = input[i] === '"';
+    if (quoted) {
+      const end = input.indexOf('"', i + 1);
+      if (end < 0) errors.push({ term: input.slice(start), message: "Missing closing quote" });
+      value = input.slice(i + 1, end < 0 ? input.length : end);
+      i = end < 0 ? input.length : end + 1;
+    } else {
+      const from = i;
+      while (i < input.length && !/\s/.test(input[i])) i++;
+      value = input.slice(from, i);
+    }
+    tokens.push({ raw: input.slice(start, i), negate, field: field?.[1].toLowerCase(), value, quoted });
+  }
+  return { tokens, errors };
+};
+
+const compare = (op: string, a: number, b: number) =>
+  op === ">" ? a > b : op === ">=" ? a >= b : op === "<" ? a < b : op === "<=" ? a <= b : a === b;
+
+// Resolves comma-separated enum values ("open,in-progress") against the allowed list, case/space-insensitively.
+const matchEnum = <T extends string,>(values: string[], allowed: readonly T[], term: string, errors: QueryError[]) =>
+  values.map((v) => {
+    const hit = allowed.find((a) => normalizeTerm(a) === normalizeTerm(v));
+    if (!hit) errors.push({ term, message: `"${v}" is not one of ${allowed.join(", ")}` });
+    return hit;
+  });
+
+// `created:<7d` reads as "less than 7 days old"; absolute dates compare the timestamp itself.
+const dateClause = (field: "createdAt" | "updatedAt", op: string, value: string, term: string, errors: QueryError[]) => {
+  const rel = /^(\d+)([mhdw])$/i.exec(value);
+  if (rel) {
+    const span = Number(rel[1]) * DURATION_UNITS[rel[2].toLowerCase()];
+    return (t: Ticket, ctx: QueryContext) => compare(op || "<", ctx.now - Date.parse(t[field]), span);
+  }
+  const day = Date.parse(value);
+  if (!/^\d{4}-\d{2}-\d{2}/.test(value) || Number.isNaN(day)) {
+    errors.push({ term, message: `"${value}" is not a date (YYYY-MM-DD) or age like 7d, 12h` });
+    return null;
+  }
+  if (!op || op === "=") return (t: Ticket) => t[field].slice(0, 10) === value.slice(0, 10);
+  return (t: Ticket) => compare(op, Date.parse(t[field]), day);
+};
+
+// Lowercased text that bare words are matched against, built once per ticket object.
+const searchIndex = new WeakMap<Ticket, string>();
+const searchTextOf = (t: Ticket) => {
+  let text = searchIndex.get(t);
+  if (text === undefined) searchIndex.set(t, (text = [ticketToken(t.id), t.title, t.description, t.requester, ...t.cc.map((c) => c.name), t.assignee || ""].join("\n").toLowerCase()));
+  return text;
+};
+
+const parseQuery = (input: string, config: HelpdeskConfig): ParsedQuery => {
+  const { tokens, errors } = tokenizeQuery(input);
+  const clauses: ((t: Ticket, ctx: QueryContext) => boolean)[] = [];
+  for (const { raw, negate, field, value, quoted } of tokens) {
+    let clause: ((t: Ticket, ctx: QueryContext) => boolean) | null = null;
+    if (!field) {
+      const needle = value.toLowerCase();
+      if (!needle) continue;
+      clause = (t) => searchTextOf(t).includes(needle);
+    } else if (!(QUERY_FIELDS as readonly string[]).includes(field)) {
+      errors.push({ term: raw, message: `Unknown field "${field}". Try ${QUERY_FIELDS.join(", ")}` });
+    } else if (!value) {
+      errors.push({ term: raw, message: `"${field}:" needs a value` });
+    } else {
+      const [, op = "", rest] = quoted ? [null, "", value] : /^(>=|<=|>|<|=)?(.*)$/.exec(value)!;
+      const values = rest.split(",").map((v) => v.trim()).filter(Boolean);
+      const f = field as QueryField;
+      if (op && !["priority", "created", "updated"].includes(f)) {
+        errors.push({ term: raw, message: `"${op}" only works with priority, created and updated` });
+      } else if (f === "priority" && op) {
+        const [p] = matchEnum([rest], namesOf(config.priorities), raw, errors);
+        if (p) clause = (t) => compare(op, priorityRank(config, t.priority), priorityRank(config, p));
+      } else if (f === "priority" || f === "status" || f === "category" || f === "sla") {
+        const allowed: readonly string[] =
+          f === "priority" ? namesOf(config.priorities) : f === "status" ? namesOf(config.statuses) : f === "category" ? namesOf(config.categories) : SLA_STATES;
+        const hits = matchEnum(values, allowed, raw, errors);
+        if (hits.every(Boolean)) {
+          const set = new Set(hits);
+          clause = f === "sla" ? (t, ctx) => set.has(ctx.sla(t).current.state) : (t) => set.has(t[f]);
+        }
+      } else if (f === "assignee" || f === "requester") {
+        clause = (t, ctx) =>
+          values.some((v) => {
+            const who = (t[f] || "").toLowerCase();
+            if (v.toLowerCase() === "me") return !!ctx.me && who === ctx.me.toLowerCase();
+            if (v.toLowerCase() === "none") return !who;
+            return who.includes(v.toLowerCase());
+          });
+      } else {
+        clause = dateClause(f === "created" ? "createdAt" : "updatedAt", op, rest, raw, errors);
+      }
+    }
+    if (clause) {
+      const c = clause;
+      clauses.push(negate ? (t, ctx) => !c(t, ctx) : c);
+    }
+  }
+  return { errors, test: (t, ctx) => clauses.every((c) => c(t, ctx)) };
 };
-const STORAGE_KEY = "helpdesk_tickets_v1";
-const loadTickets = (): Ticket[] => {  
+
+const loadViews = (): SavedView[] => {
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return [];
-    const parsed = JSON.parse(raw);
-    if (!Array.isArray(parsed)) return [];
-    return parsed as Ticket[];
+    const parsed = JSON.parse(localStorage.getItem(VIEWS_KEY) || "[]");
+    return Array.isArray(parsed) ? parsed : [];
   } catch {
     return [];
   }
 };
-const saveTickets = (tickets: Ticket[]) => localStorage.setItem(STORAGE_KEY, JSON.stringify(tickets));
 
-const priorityBadgeStyle: Record<Priority, string> = {
-  Low: "bg-green-100 text-green-700",
-  Medium: "bg-yellow-100 text-yellow-700",
-  High: "bg-orange-100 text-orange-700",
-  Critical: "bg-red-100 text-red-700",
-};
+const PAGES = ["tickets", "reports", "kb", "assets", "portal"] as const;
+type Page = typeof PAGES[number];
+
+const readUrlParams = () => {
+  const params = new URLSearchParams(window.location.search);
+  const page = PAGES.find((p) => p === params.get("page")) || "tickets";
+  return { query: params.get("q") || "", sortBy: params.get("sort") || "updatedAt_desc", page, benchmark: Number(params.get("benchmark")) || 0 };
+};
+
+// --- SLA ---
+type SlaTarget = { responseMins: number; resolveMins: number };
+type SlaState = "ok" | "at-risk" | "breached" | "paused" | "met";
+type SlaClock = { label: string; targetMins: number; elapsedMins: number; remainingMins: number; state: SlaState };
+
+// Targets come from the priority in HelpdeskConfig; a category can override them for the priorities it lists.
+const SLA_AT_RISK_RATIO = 0.25; // at risk once less than this share of the target remains
+const FALLBACK_SLA: SlaTarget = { responseMins: 4 * 60, resolveMins: 3 * 24 * 60 }; // priorities missing from the config
+
+const slaBadgeStyle: Record<SlaState, string> = {
+  ok: "bg-green-100 text-green-700",
+  "at-risk": "bg-amber-100 text-amber-700",
+  breached: "bg-red-100 text-red-700",
+  paused: "bg-gray-100 text-gray-700",
+  met: "bg-emerald-100 text-emerald-700",
+};
+
+const slaTargetFor = (t: Ticket, config: HelpdeskConfig): SlaTarget =>
+  config.categories.find((c) => c.name === t.category)?.sla?.[t.priority] || config.priorities.find((p) => p.name === t.priority) || FALLBACK_SLA;
+
+// Rebuilds the status timeline from history; tickets without status events sat in their current status since creation.
+const statusSpans = (t: Ticket, now: number, config: HelpdeskConfig) => {
+  const changes = t.history.filter((e) => e.kind === "change" && e.field === "status");
+  const spans: { status: Status; start: number; end: number }[] = [];
+  let status = (changes[0] ? historyName(config, "status", changes[0].from || "", changes[0].at) : t.status) as Status;
+  let start = Date.parse(t.createdAt);
+  for (const c of changes) {
+    const at = Date.parse(c.at);
+    spans.push({ status, start, end: at });
+    status = historyName(config, "status", c.to || "", c.at) as Status;
+    start = at;
+  }
+  spans.push({ status, start, end: now });
+  return spans;
+};
+
+// Minutes the clock was running before `until`: time spent waiting on the requester or already resolved doesn't count.
+const runningMins = (spans: ReturnType<typeof statusSpans>, until: number, config: HelpdeskConfig) =>
+  spans.reduce((sum, s) => {
+    if (statusKind(config, s.status) !== "active") return sum;
+    return sum + Math.max(0, Math.min(s.end, until) - s.start) / 60000;
+  }, 0);
+
+const makeClock = (label: string, targetMins: number, elapsedMins: number, stopped: boolean, paused: boolean): SlaClock => {
+  const remainingMins = targetMins - elapsedMins;
+  const state: SlaState =
+    remainingMins < 0 ? "breached" : stopped ? "met" : paused ? "paused" : remainingMins < targetMins * SLA_AT_RISK_RATIO ? "at-risk" : "ok";
+  return { label, targetMins, elapsedMins, remainingMins, state };
+};
+
+// First response is the first public comment or the first move out of the initial status, whichever came first.
+const firstResponseAt = (t: Ticket, config: HelpdeskConfig) => {
+  // A rule moving the ticket along isn't a response from a person.
+  const initial = initialStatus(config);
+  const responded = t.history.find(
+    (e) => !e.ruleId && (e.kind === "comment" || (e.kind === "change" && e.field === "status" && historyName(config, "status", e.from || "", e.at) === initial))
+  );
+  return responded ? Date.parse(responded.at) : null;
+};
+
+const slaFor = (t: Ticket, now: number, config: HelpdeskConfig) => {
+  const target = slaTargetFor(t, config);
+  const spans = statusSpans(t, now, config);
+  const respondedAt = firstResponseAt(t, config);
+  const paused = statusKind(config, t.status) === "paused";
+  const done = isDone(config, t.status);
+  const response = makeClock("Response", target.responseMins, runningMins(spans, respondedAt ?? now, config), respondedAt !== null || done, paused);
+  const resolution = makeClock("Resolve", target.resolveMins, runningMins(spans, now, config), done, paused);
+  return { response, resolution, current: response.state === "met" || done ? resolution : response };
+};
+
+// Sort key for "due soonest": clocks that are already met sink to the bottom.
+const slaDue = (sla: ReturnType<typeof slaFor>) => (sla.current.state === "met" ? Infinity : sla.current.remainingMins);
+
+const formatMins = (mins: number) => {
+  const m = Math.round(Math.abs(mins));
+  if (m < 60) return `${m}m`;
+  if (m < 24 * 60) return `${Math.floor(m / 60)}h ${m % 60}m`;
+  return `${Math.floor(m / (24 * 60))}d ${Math.floor((m % (24 * 60)) / 60)}h`;
+};
+
+const slaLabel = (c: SlaClock) => {
+  switch (c.state) {
+    case "met":
+      return `${c.label} met`;
+    case "breached":
+      return `${c.label} breached ${formatMins(c.remainingMins)} ago`;
+    case "paused":
+      return `${c.label} ${formatMins(c.remainingMins)} left (paused)`;
+    default:
+      return `${c.label} ${formatMins(c.remainingMins)} left`;
+  }
+};
+
+// --- Ticket list ---
+// The list is built in steps that each rerun only when their own inputs change: SLA clocks are cached per ticket
+// object (edits replace a ticket, never mutate it), the sort reruns when tickets or the order change, and typing
+// only re-filters the already sorted list. The table then renders one page of it.
+const SEARCH_DEBOUNCE_MS = 150;
+const TABLE_PAGE_SIZES = [25, 50, 100, 250];
+const PAGE_SIZE_KEY = "helpdesk_page_size";
+const BOARD_COLUMN_LIMIT = 100; // cards rendered per column; the count in the header is always the full one
+const SORT_ORDERS = ["updatedAt_desc", "updatedAt_asc", "createdAt_desc", "createdAt_asc", "priority_desc", "priority_asc", "due_asc"] as const;
+
+type ListFilters = { priority: string; status: string; category: string }; // "All" = no filter
+
+// Clocks only move with the ticket, the minute tick or the settings, so one cache serves until `now` or the
+// config changes.
+const createSlaCache = () => {
+  let cache = new WeakMap<Ticket, ReturnType<typeof slaFor>>();
+  let stamp: { now: number; config: HelpdeskConfig } | null = null;
+  return (t: Ticket, now: number, config: HelpdeskConfig) => {
+    if (stamp?.now !== now || stamp.config !== config) {
+      cache = new WeakMap();
+      stamp = { now, config };
+    }
+    let sla = cache.get(t);
+    if (!sla) cache.set(t, (sla = slaFor(t, now, config)));
+    return sla;
+  };
+};
+
+// Keys are computed once per ticket rather than once per comparison, and compared without localeCompare.
+const sortTickets = (tickets: Ticket[], sortBy: string, config: HelpdeskConfig, sla: (t: Ticket) => ReturnType<typeof slaFor>) => {
+  const [key, dir]: [(t: Ticket) => string | number, number] =
+    sortBy === "updatedAt_asc" ? [(t) => t.updatedAt, 1]
+    : sortBy === "createdAt_desc" ? [(t) => t.createdAt, -1]
+    : sortBy === "createdAt_asc" ? [(t) => t.createdAt, 1]
+    : sortBy === "priority_desc" ? [(t) => priorityRank(config, t.priority), -1]
+    : sortBy === "priority_asc" ? [(t) => priorityRank(config, t.priority), 1]
+    : sortBy === "due_asc" ? [(t) => slaDue(sla(t)), 1]
+    : [(t) => t.updatedAt, -1];
+  return tickets
+    .map((t) => ({ t, k: key(t) }))
+    .sort((a, b) => (a.k < b.k ? -dir : a.k > b.k ? dir : 0))
+    .map((e) => e.t);
+};
+
+const filterTickets = (sorted: Ticket[], query: ParsedQuery | null, filters: ListFilters, ctx: QueryContext) => {
+  const { priority, status, category } = filters;
+  if (!query && priority === "All" && status === "All" && category === "All") return sorted;
+  return sorted.filter(
+    (t) =>
+      (priority === "All" || t.priority === priority) &&
+      (status === "All" || t.status === status) &&
+      (category === "All" || t.category === category) &&
+      (!query || query.test(t, ctx))
+  );
+};
+
+function useDebouncedValue<T>(value: T, delayMs: number) {
+  const [settled, setSettled] = useState(value);
+  useEffect(() => {
+    const timer = setTimeout(() => setSettled(value), delayMs);
+    return () => clearTimeout(timer);
+  }, [value, delayMs]);
+  return settled;
+}
+
+const loadPageSize = () => {
+  const n = Number(localStorage.getItem(PAGE_SIZE_KEY));
+  return TABLE_PAGE_SIZES.includes(n) ? n : 50;
+};
+
+// --- Benchmark ---
+// Open the app with ?benchmark=50000 to time the list pipeline against that many synthetic tickets (in memory
+// only; stored tickets are not touched). Each step has a budget and the run fails if any step goes over it.
+const LIST_BUDGETS_MS = { sla: 1500, index: 500, sort: 250, filter: 150, saveAll: 3000, saveOne: 150 };
+const BENCHMARK_QUERIES = ["vpn", "printer status:open", "priority:>=high assignee:none", "sla:breached", "created:<30d -category:Other", '"disk crash"'];
+
+type BenchmarkResult = { step: string; ms: number; budgetMs: number; ok: boolean; detail?: string };
+type BenchmarkRun = { ok: boolean; results: BenchmarkResult[]; failed: BenchmarkResult[] };
+
+// Deterministic for a given seed so runs can be compared.
+const syntheticTickets = (count: number, config: HelpdeskConfig, now = Date.now(), seed = 1): Ticket[] => {
+  let state = seed >>> 0;
+  const random = () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let x = Math.imul(state ^ (state >>> 15), state | 1);
+    x ^= x + Math.imul(x ^ (x >>> 7), x | 61);
+    return ((x ^ (x >>> 14)) >>> 0) / 4294967296;
+  };
+  const pick = <T,>(list: readonly T[]) => list[Math.floor(random() * list.length)];
+  const words = ["printer", "vpn", "laptop", "email", "password", "monitor", "wifi", "outlook", "license", "badge", "disk", "update", "crash", "slow", "access", "share", "phone", "login", "backup", "driver"];
+  const requesters = Array.from({ length: 500 }, (_, i) => `Requester ${i + 1}`);
+  const agents = Array.from({ length: 25 }, (_, i) => `Agent ${i + 1}`);
+  const start = initialStatus(config);
+  return Array.from({ length: count }, (_, i) => {
+    const created = now - Math.floor(random() * 365 * DAY_MS);
+    const createdAt = new Date(created).toISOString();
+    const updatedAt = new Date(created + Math.floor(random() * (now - created))).toISOString();
+    const status = pick(config.statuses).name;
+    const requester = pick(requesters);
+    const assignee = random() < 0.2 ? "" : pick(agents);
+    const history = [makeEvent("created", requester, {}, createdAt)];
+    if (status !== start) history.push(makeEvent("change", assignee || "Agent 1", { field: "status", from: start, to: status }, updatedAt));
+    return {
+      id: uuidv4(),
+      title: `${pick(words)} ${pick(words)} ${pick(words)} #${i + 1}`,
+      description: Array.from({ length: 12 }, () => pick(words)).join(" "),
+      category: pick(config.categories).name,
+      subcategory: "",
+      priority: pick(config.priorities).name,
+      status,
+      requester,
+      cc: [],
+      assignee,
+      createdAt,
+      updatedAt,
+      history,
+      attachments: [],
+      links: [],
+      assetIds: [],
+      fields: {},
+      version: 0,
+    };
+  });
+};
+
+const runListBenchmark = async (count: number, config: HelpdeskConfig = DEFAULT_CONFIG): Promise<BenchmarkRun> => {
+  const results: BenchmarkResult[] = [];
+  const time = async (step: string, budgetMs: number, fn: () => unknown) => {
+    const started = performance.now();
+    const detail = await fn();
+    const ms = performance.now() - started;
+    results.push({ step, ms, budgetMs, ok: ms <= budgetMs, ...(typeof detail === "string" ? { detail } : {}) });
+  };
+  const now = Date.now();
+  const tickets = syntheticTickets(count, config, now);
+  const cache = createSlaCache();
+  const sla = (t: Ticket) => cache(t, now, config);
+  const ctx: QueryContext = { me: "Agent 1", now, sla };
+  const noFilters: ListFilters = { priority: "All", status: "All", category: "All" };
+
+  await time("SLA clocks", LIST_BUDGETS_MS.sla, () => tickets.forEach(sla));
+  await time("Search index", LIST_BUDGETS_MS.index, () => tickets.forEach(searchTextOf));
+  for (const order of SORT_ORDERS) await time(`Sort ${order}`, LIST_BUDGETS_MS.sort, () => void sortTickets(tickets, order, config, sla));
+  const sorted = sortTickets(tickets, "updatedAt_desc", config, sla);
+  for (const q of BENCHMARK_QUERIES) {
+    await time(`Filter ${q}`, LIST_BUDGETS_MS.filter, () => `${filterTickets(sorted, parseQuery(q, config), noFilters, ctx).length} matches`);
+  }
+  await time("Filter status + priority", LIST_BUDGETS_MS.filter, () => {
+    const filters = { ...noFilters, status: initialStatus(config), priority: config.priorities[config.priorities.length - 1].name };
+    return `${filterTickets(sorted, null, filters, ctx).length} matches`;
+  });
+
+  const store = createTicketStore(memoryBackend());
+  await time("Save all", LIST_BUDGETS_MS.saveAll, () => store.save(tickets));
+  const edited = tickets.map((t, i) => (i === Math.floor(count / 2) ? applyChanges(t, { priority: config.priorities[0].name }, "Agent 1") : t));
+  await time("Save after one edit", LIST_BUDGETS_MS.saveOne, () => store.save(edited));
+  const failed = results.filter((r) => !r.ok);
+  return { ok: !failed.length, results, failed };
+};
+
+// --- Keyboard ---
+// Keys are written as "mod+k", "shift+enter", "?" or "j": "mod" is Ctrl, or Cmd on a Mac. Letters are lowercase
+// with an explicit "shift+"; other printable characters are written as typed, so "?" rather than "shift+/".
+const KEYMAP_KEY = "helpdesk_keymap";
+const IS_MAC = typeof navigator !== "undefined" && /Mac|iPhone|iPad/.test(navigator.platform);
+
+type ShortcutScope = "global" | "triage";
+type ShortcutDef = { id: string; label: string; scope: ShortcutScope; keys: string };
+type Keymap = Record<string, string>; // ShortcutDef.id -> keys
+
+// Triage shortcuts only fire while triage mode is on; global ones everywhere except while typing (mod+ combos
+// excepted) or with a dialog open.
+const SHORTCUTS: ShortcutDef[] = [
+  { id: "palette", label: "Command palette", scope: "global", keys: "mod+k" },
+  { id: "help", label: "Keyboard shortcuts", scope: "global", keys: "?" },
+  { id: "newTicket", label: "New ticket", scope: "global", keys: "n" },
+  { id: "search", label: "Focus search", scope: "global", keys: "/" },
+  { id: "triage", label: "Start or stop triage mode", scope: "global", keys: "t" },
+  { id: "next", label: "Next ticket", scope: "triage", keys: "j" },
+  { id: "previous", label: "Previous ticket", scope: "triage", keys: "k" },
+  { id: "priority1", label: "Set most urgent priority", scope: "triage", keys: "1" },
+  { id: "priority2", label: "Set second priority", scope: "triage", keys: "2" },
+  { id: "priority3", label: "Set third priority", scope: "triage", keys: "3" },
+  { id: "priority4", label: "Set fourth priority", scope: "triage", keys: "4" },
+  { id: "status", label: "Set status", scope: "triage", keys: "s" },
+  { id: "assign", label: "Assign", scope: "triage", keys: "a" },
+  { id: "assignMe", label: "Assign to me", scope: "triage", keys: "m" },
+  { id: "open", label: "Open ticket", scope: "triage", keys: "enter" },
+  { id: "edit", label: "Edit ticket", scope: "triage", keys: "e" },
+  { id: "exitTriage", label: "Leave triage mode", scope: "triage", keys: "escape" },
+];
+
+const DEFAULT_KEYMAP: Keymap = Object.fromEntries(SHORTCUTS.map((s) => [s.id, s.keys]));
+
+const loadKeymap = (): Keymap => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(KEYMAP_KEY) || "{}");
+    const valid = Object.entries(saved).filter((e): e is [string, string] => e[0] in DEFAULT_KEYMAP && typeof e[1] === "string" && e[1] !== "");
+    return { ...DEFAULT_KEYMAP, ...Object.fromEntries(valid) };
+  } catch {
+    return { ...DEFAULT_KEYMAP };
+  }
+};
+
+// Null for bare modifier presses, which can't be bound on their own.
+const keyOf = (e: { key: string; ctrlKey: boolean; metaKey: boolean; altKey: boolean; shiftKey: boolean }) => {
+  if (["Control", "Meta", "Alt", "Shift"].includes(e.key)) return null;
+  const key = e.key === " " ? "space" : e.key.toLowerCase();
+  const letter = /^[a-z]$/.test(key);
+  return [e.ctrlKey || e.metaKey ? "mod" : "", e.altKey ? "alt" : "", e.shiftKey && (letter || key.length > 1) ? "shift" : "", key].filter(Boolean).join("+");
+};
+
+const formatKeys = (keys: string) =>
+  keys
+    .split("+")
+    .map((k) => (k === "mod" ? (IS_MAC ? "⌘" : "Ctrl") : k === "alt" ? (IS_MAC ? "⌥" : "Alt") : k === "shift" ? (IS_MAC ? "⇧" : "Shift") : k.length === 1 ? k.toUpperCase() : k[0].toUpperCase() + k.slice(1)))
+    .join(IS_MAC ? "" : "+");
+
+// Every binding must be unique: a triage key that's also a global key would never reach one of them.
+const keymapConflict = (keymap: Keymap, id: string, keys: string) => SHORTCUTS.find((s) => s.id !== id && keymap[s.id] === keys) || null;
+
+const isTypingIn = (target: EventTarget | null) =>
+  target instanceof HTMLElement &&
+  (target.isContentEditable ||
+    ["TEXTAREA", "SELECT"].includes(target.tagName) ||
+    (target instanceof HTMLInputElement && !["checkbox", "radio", "button", "submit", "reset"].includes(target.type)));
+
+// Priority shortcuts count from the most urgent priority, so "1" stays the top one whatever the config names it.
+const priorityForShortcut = (config: HelpdeskConfig, id: string) => {
+  const n = Number(id.replace("priority", ""));
+  return n ? config.priorities[config.priorities.length - n]?.name : undefined;
+};
+const shortcutLabel = (s: ShortcutDef, config: HelpdeskConfig) => {
+  const priority = priorityForShortcut(config, s.id);
+  return priority ? `Set priority ${priority}` : s.id.startsWith("priority") ? `${s.label} (none)` : s.label;
+};
+
+type PaletteCommand = { id: string; group: string; label: string; keys?: string; run: () => void };
+
+// Every word typed has to appear in the group or label; commands keep their order.
+const matchCommands = (commands: PaletteCommand[], query: string) => {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  return commands.filter((c) => {
+    const text = `${c.group} ${c.label}`.toLowerCase();
+    return words.every((w) => text.includes(w));
+  });
+};
+
+// --- Reports ---
+const DAY_MS = 86400000;
+const BACKLOG_AGE_BUCKETS = [
+  { label: "< 1 day", maxDays: 1 },
+  { label: "1–3 days", maxDays: 3 },
+  { label: "3–7 days", maxDays: 7 },
+  { label: "1–2 weeks", maxDays: 14 },
+  { label: "2–4 weeks", maxDays: 28 },
+  { label: "> 4 weeks", maxDays: Infinity },
+];
+
+type ReportBucket = "day" | "week";
+type MeanRow = { key: string; count: number; meanMins: number };
+
+// When a currently-done ticket last went from a not-done status to a done one (Resolved → Closed doesn't restart it).
+const resolvedAt = (t: Ticket, config: HelpdeskConfig) => {
+  if (!isDone(config, t.status)) return null;
+  let at: number | null = null;
+  for (const e of t.history) {
+    const name = (v?: string) => historyName(config, "status", v || "", e.at);
+    if (e.kind === "change" && e.field === "status" && isDone(config, name(e.to)) && !isDone(config, name(e.from))) at = Date.parse(e.at);
+  }
+  return at ?? Date.parse(t.updatedAt);
+};
+
+const localDay = (ms: number) => {
+  const d = new Date(ms);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+// Weeks start on Monday; buckets are keyed by their first day as YYYY-MM-DD.
+const bucketStart = (ms: number, unit: ReportBucket) => {
+  const d = localDay(ms);
+  if (unit === "week") d.setDate(d.getDate() - ((d.getDay() + 6) % 7));
+  return d;
+};
+const dayKey = (d: Date) => `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+
+const meanBy = (items: { key: string; mins: number }[]): MeanRow[] => {
+  const groups = new Map<string, number[]>();
+  items.forEach(({ key, mins }) => groups.set(key, [...(groups.get(key) || []), mins]));
+  return [...groups.entries()]
+    .map(([key, mins]) => ({ key, count: mins.length, meanMins: mins.reduce((a, b) => a + b, 0) / mins.length }))
+    .sort((a, b) => b.meanMins - a.meanMins);
+};
+
+// Opened and response times cover tickets created in [from, to]; resolution times cover tickets resolved in it.
+// Backlog age and workload are a snapshot of what's open right now.
+const buildReport = (tickets: Ticket[], from: number, to: number, unit: ReportBucket, now: number, config: HelpdeskConfig) => {
+  const inRange = (ms: number | null) => ms !== null && ms >= from && ms <= to;
+  const buckets = new Map<string, { bucket: string; opened: number; resolved: number }>();
+  for (let d = bucketStart(from, unit); d.getTime() <= to; d.setDate(d.getDate() + (unit === "week" ? 7 : 1))) {
+    buckets.set(dayKey(d), { bucket: dayKey(d), opened: 0, resolved: 0 });
+  }
+  const response: { category: string; priority: string; mins: number }[] = [];
+  const resolution: { category: string; priority: string; mins: number }[] = [];
+  for (const t of tickets) {
+    const created = Date.parse(t.createdAt);
+    const resolved = resolvedAt(t, config);
+    if (inRange(created)) {
+      buckets.get(dayKey(bucketStart(created, unit)))!.opened++;
+      const responded = firstResponseAt(t, config);
+      if (responded !== null) response.push({ category: t.category, priority: t.priority, mins: (responded - created) / 60000 });
+    }
+    if (inRange(resolved)) {
+      buckets.get(dayKey(bucketStart(resolved!, unit)))!.resolved++;
+      resolution.push({ category: t.category, priority: t.priority, mins: (resolved! - created) / 60000 });
+    }
+  }
+
+  const open = tickets.filter((t) => !isDone(config, t.status));
+  const backlogAges = BACKLOG_AGE_BUCKETS.map((b, i) => ({
+    label: b.label,
+    count: open.filter((t) => {
+      const days = (now - Date.parse(t.createdAt)) / DAY_MS;
+      return days < b.maxDays && days >= (BACKLOG_AGE_BUCKETS[i - 1]?.maxDays ?? 0);
+    }).length,
+  }));
+  const workload = [...new Set(open.map((t) => t.assignee || ""))]
+    .map((assignee) => {
+      const mine = open.filter((t) => (t.assignee || "") === assignee);
+      return { assignee: assignee || "Unassigned", total: mine.length, byPriority: config.priorities.map((p) => mine.filter((t) => t.priority === p.name).length) };
+    })
+    .sort((a, b) => b.total - a.total);
+
+  return {
+    throughput: [...buckets.values()],
+    responseByCategory: meanBy(response.map((r) => ({ key: r.category, mins: r.mins }))),
+    responseByPriority: meanBy(response.map((r) => ({ key: r.priority, mins: r.mins }))),
+    resolutionByCategory: meanBy(resolution.map((r) => ({ key: r.category, mins: r.mins }))),
+    resolutionByPriority: meanBy(resolution.map((r) => ({ key: r.priority, mins: r.mins }))),
+    backlogAges,
+    workload,
+  };
+};
+
+// --- Knowledge base ---
+// Agents write articles (often straight from a resolved ticket). The portal suggests them while a requester types
+// a title, so a known fix can answer the question before a ticket is filed; `helpful` counts those deflections.
+const KB_KEY = "helpdesk_kb";
+const KB_SUGGESTIONS = 3;
+const KB_STOP_WORDS = new Set(["a", "an", "and", "are", "be", "can", "cant", "do", "does", "for", "from", "get", "how", "in", "is", "it", "me", "my", "no", "not", "of", "on", "or", "the", "this", "to", "what", "when", "why", "with"]);
+
+type KbArticle = {
+  id: string;
+  title: string;
+  category: string; // "" = any category
+  body: string;
+  sourceTicketId?: string; // the resolved ticket it was written from
+  author: string;
+  createdAt: string;
+  updatedAt: string;
+  helpful: number; // times a requester said it solved their problem instead of filing a ticket
+};
+
+const validateArticle = (raw: any): KbArticle | null => {
+  if (!raw || !isText(raw.id) || !isText(raw.title) || typeof raw.body !== "string") return null;
+  const createdAt = isIsoDate(raw.createdAt) ? raw.createdAt : new Date().toISOString();
+  return {
+    id: raw.id,
+    title: raw.title,
+    category: typeof raw.category === "string" ? raw.category : "",
+    body: raw.body,
+    ...(isText(raw.sourceTicketId) ? { sourceTicketId: raw.sourceTicketId } : {}),
+    author: typeof raw.author === "string" ? raw.author : "",
+    createdAt,
+    updatedAt: isIsoDate(raw.updatedAt) ? raw.updatedAt : createdAt,
+    helpful: Number(raw.helpful) > 0 ? Math.floor(Number(raw.helpful)) : 0,
+  };
+};
+
+const loadArticles = async (backend: StorageBackend): Promise<KbArticle[]> => {
+  try {
+    const parsed = JSON.parse((await backend.read(KB_KEY)) || "[]");
+    return Array.isArray(parsed) ? parsed.map(validateArticle).filter((a): a is KbArticle => !!a) : [];
+  } catch {
+    return [];
+  }
+};
+
+const kbWords = (text: string) => text.toLowerCase().split(/[^\p{L}\p{N}]+/u).filter((w) => w.length > 1 && !KB_STOP_WORDS.has(w));
+
+// Title hits weigh triple. The last word is matched as a prefix while it's still being typed, and articles for the
+// chosen category win ties.
+const searchArticles = (articles: KbArticle[], text: string, category = "", limit = Infinity) => {
+  const words = kbWords(text);
+  if (!words.length) return [];
+  const partial = /[\p{L}\p{N}]$/u.test(text) ? words[words.length - 1] : "";
+  const hit = (tokens: string[], w: string) => tokens.some((t) => t === w || (w === partial && t.startsWith(w)));
+  return articles
+    .map((article) => {
+      const title = kbWords(article.title);
+      const body = kbWords(article.body);
+      const score = words.reduce((n, w) => n + (hit(title, w) ? 3 : 0) + (hit(body, w) ? 1 : 0), 0);
+      return { article, score: score && score + (category && article.category === category ? 0.5 : 0) };
+    })
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score || b.article.helpful - a.article.helpful)
+    .slice(0, limit)
+    .map((r) => r.article);
+};
+
+// The resolution is taken to be the last public reply from someone other than the requester; agents edit the
+// draft before it's saved.
+const articleFromTicket = (t: Ticket, author: string): KbArticle => {
+  const reply = [...t.history].reverse().find((e) => e.kind === "comment" && e.author !== t.requester && e.body?.trim());
+  const at = new Date().toISOString();
+  return {
+    id: "",
+    title: t.title,
+    category: t.category,
+    body: [t.description.trim() && `Problem\n${t.description.trim()}`, reply && `Resolution\n${reply.body!.trim()}`].filter(Boolean).join("\n\n"),
+    sourceTicketId: t.id,
+    author,
+    createdAt: at,
+    updatedAt: at,
+    helpful: 0,
+  };
+};
+
+// --- Links ---
+// Duplicates are open tickets from around the same time whose words overlap: title overlap counts most, then
+// the whole text, then a shared category. Scores are Dice coefficients over distinct words, so 0–1 before the bonus.
+const DUPLICATE_WINDOW_DAYS = 3;
+const DUPLICATE_MIN_SCORE = 0.35;
+const DUPLICATE_LIMIT = 5;
+
+type DuplicateDraft = Pick<Ticket, "title" | "description" | "category"> & Partial<Pick<Ticket, "id" | "createdAt" | "links">>;
+
+const duplicateWords = new WeakMap<Ticket, { title: Set<string>; all: Set<string> }>();
+const wordsOf = (t: DuplicateDraft) => {
+  const title = new Set(kbWords(t.title));
+  return { title, all: new Set([...title, ...kbWords(t.description)]) };
+};
+const dice = (a: Set<string>, b: Set<string>) => {
+  if (!a.size || !b.size) return 0;
+  let shared = 0;
+  a.forEach((w) => b.has(w) && shared++);
+  return (2 * shared) / (a.size + b.size);
+};
+
+// Requesters merged in through cc follow the ticket just like the original requester.
+const isRequesterOf = (t: Ticket, name: string) => t.requester === name || t.cc.some((c) => c.name === name);
+const mergedInto = (t: Ticket) => t.links.find((l) => l.kind === "merged-into")?.id;
+const parentOf = (t: Ticket) => t.links.find((l) => l.kind === "parent")?.id;
+
+const findDuplicates = (tickets: Ticket[], draft: DuplicateDraft, config: HelpdeskConfig, now = Date.now()) => {
+  const words = wordsOf(draft);
+  if (!words.title.size && !words.all.size) return [];
+  const around = draft.createdAt ? Date.parse(draft.createdAt) : now;
+  const linked = new Set((draft.links || []).map((l) => l.id));
+  return tickets
+    .filter((t) => t.id !== draft.id && !linked.has(t.id) && !isDone(config, t.status) && Math.abs(Date.parse(t.createdAt) - around) <= DUPLICATE_WINDOW_DAYS * DAY_MS)
+    .map((ticket) => {
+      let theirs = duplicateWords.get(ticket);
+      if (!theirs) duplicateWords.set(ticket, (theirs = wordsOf(ticket)));
+      const score = 0.6 * dice(words.title, theirs.title) + 0.4 * dice(words.all, theirs.all) + (ticket.category === draft.category ? 0.1 : 0);
+      return { ticket, score };
+    })
+    .filter((r) => r.score >= DUPLICATE_MIN_SCORE)
+    .sort((a, b) => b.score - a.score || b.ticket.createdAt.localeCompare(a.ticket.createdAt))
+    .slice(0, DUPLICATE_LIMIT)
+    .map((r) => r.ticket);
+};
+
+const INVERSE_LINK: Record<LinkKind, LinkKind> = { parent: "child", child: "parent", related: "related", "merged-into": "merged-from", "merged-from": "merged-into" };
+
+const descendantsOf = (tickets: Ticket[], ids: Iterable<string>) => {
+  const byId = new Map(tickets.map((t) => [t.id, t]));
+  const found = new Map<string, Ticket>();
+  const queue = [...ids];
+  while (queue.length) {
+    byId.get(queue.shift()!)?.links.forEach((l) => {
+      const child = byId.get(l.id);
+      if (l.kind !== "child" || !child || found.has(child.id)) return;
+      found.set(child.id, child);
+      queue.push(child.id);
+    });
+  }
+  return [...found.values()];
+};
+
+// Why `id` can't get this link, or null. Merges go through mergeTickets, not here.
+const linkError = (tickets: Ticket[], id: string, kind: LinkKind, otherId: string): string | null => {
+  const ticket = tickets.find((t) => t.id === id);
+  const other = tickets.find((t) => t.id === otherId);
+  if (!ticket || !other) return "Ticket not found.";
+  if (id === otherId) return "A ticket can't link to itself.";
+  if (ticket.links.some((l) => l.id === otherId)) return `Already linked to ${ticketToken(otherId)}.`;
+  const [parent, child] = kind === "parent" ? [other, ticket] : kind === "child" ? [ticket, other] : [null, null];
+  if (!parent || !child) return null;
+  if (parentOf(child)) return `${ticketToken(child.id)} already has a parent.`;
+  if (descendantsOf(tickets, [child.id]).some((t) => t.id === parent.id)) return `${ticketToken(parent.id)} is already below ${ticketToken(child.id)}.`;
+  return null;
+};
+
+const withLink = (t: Ticket, link: TicketLink, author: string, at: string, add: boolean): Ticket => ({
+  ...t,
+  links: add ? [...t.links, link] : t.links.filter((l) => !(l.kind === link.kind && l.id === link.id)),
+  history: [...t.history, makeEvent(add ? "link" : "unlink", author, { link }, at)],
+  updatedAt: at,
+});
+
+// Adds or removes the link on both tickets.
+const setLink = (tickets: Ticket[], id: string, link: TicketLink, author: string, add = true) => {
+  const at = new Date().toISOString();
+  return tickets.map((t) =>
+    t.id === id ? withLink(t, link, author, at, add) : t.id === link.id ? withLink(t, { kind: INVERSE_LINK[link.kind], id }, author, at, add) : t
+  );
+};
+
+// Keeps `primaryId` and closes the others into it: their descriptions are appended to the primary, their requesters
+// (and cc) join its cc, and each side records the merge link. Closing ignores workflow requirements; the comment
+// left on each closed ticket says where it went.
+const mergeTickets = (tickets: Ticket[], primaryId: string, otherIds: string[], author: string, config: HelpdeskConfig, assets: Asset[]) => {
+  const primary = tickets.find((t) => t.id === primaryId);
+  const others = tickets.filter((t) => t.id !== primaryId && otherIds.includes(t.id));
+  if (!primary || !others.length) return tickets;
+  const at = new Date().toISOString();
+  const closed = [...config.statuses].reverse().find((s) => s.kind === "done")?.name;
+  const token = ticketToken(primary.id);
+
+  const cc = [...primary.cc];
+  const addCc = (c: Contact) => c.name !== primary.requester && !cc.some((x) => x.name === c.name) && cc.push(c);
+  others.forEach((o) => [{ name: o.requester, ...(o.requesterEmail ? { email: o.requesterEmail } : {}) }, ...o.cc].forEach(addCc));
+  const folded = others
+    .filter((o) => o.description.trim())
+    .map((o) => `--- Merged from ${ticketToken(o.id)} (${o.requester}, ${new Date(o.createdAt).toLocaleString()}) ---\n${o.description.trim()}`);
+  const merged = others.reduce(
+    (t, o) => withLink(t, { kind: "merged-from", id: o.id }, author, at, true),
+    withAssets(
+      { ...primary, description: [primary.description.trim(), ...folded].filter(Boolean).join("\n\n"), cc },
+      [...new Set([...primary.assetIds, ...others.flatMap((o) => o.assetIds)])],
+      assets,
+      author,
+      at
+    )
+  );
+
+  const byId = new Map(
+    others.map((o) => {
+      const moved = closed ? applyChanges(o, { status: closed }, author) : o;
+      const linked = withLink(moved, { kind: "merged-into", id: primary.id }, author, at, true);
+      const note = makeEvent("comment", author, { body: `Merged into ${token} "${primary.title}". Updates continue there.` }, at);
+      return [o.id, { ...linked, history: [...linked.history, note] }];
+    })
+  );
+  byId.set(primary.id, merged);
+  return tickets.map((t) => byId.get(t.id) || t);
+};
+
+// Moves the children of `parentIds` (and theirs, in turn) to their parent's status wherever the workflow allows it
+// without extra input; children that can't move are left where they are.
+const cascadeStatus = (tickets: Ticket[], parentIds: Iterable<string>, author: string, config: HelpdeskConfig) => {
+  const byId = new Map(tickets.map((t) => [t.id, t]));
+  const queue = [...parentIds];
+  let changed = false;
+  while (queue.length) {
+    const parent = byId.get(queue.shift()!);
+    parent?.links.forEach((l) => {
+      const child = byId.get(l.id);
+      if (l.kind !== "child" || !child || child.status === parent.status || mergedInto(child)) return;
+      const body = `Status follows parent ${ticketToken(parent.id)} "${parent.title}".`;
+      const check = checkTransition(config, child, parent.status, child.fields, body);
+      if (!check.allowed || check.missing.length) return;
+      const moved = applyChanges(child, { status: parent.status }, author);
+      byId.set(child.id, { ...moved, history: [...moved.history, makeEvent("comment", author, { body }, moved.updatedAt)] });
+      queue.push(child.id);
+      changed = true;
+    });
+  }
+  return changed ? tickets.map((t) => byId.get(t.id)!) : tickets;
+};
+
+// --- Assets ---
+// The devices tickets are about. An asset's owner is a directory display name, like Ticket.requester, so the
+// requester's own devices can be offered when they file. Tickets store asset ids; an asset's ticket history is
+// looked up from them rather than stored twice.
+const ASSETS_KEY = "helpdesk_assets";
+const ASSET_TYPES = ["Laptop", "Desktop", "Monitor", "Phone", "Tablet", "Printer", "Switch", "Router", "Access point", "Server", "Other"];
+const ASSET_CSV_COLUMNS = ["tag", "type", "serial", "owner", "location", "warrantyUntil", "notes"] as const;
+// Header spellings seen in vendor and spreadsheet exports, after squashing (see buildAssetImport).
+const ASSET_CSV_ALIASES: Record<string, typeof ASSET_CSV_COLUMNS[number]> = { assettag: "tag", serialnumber: "serial", serialno: "serial", warranty: "warrantyUntil", warrantyend: "warrantyUntil" };
+const WARRANTY_WARNING_DAYS = 30;
+// This many tickets inside the window flags a device as a repeat offender.
+const REPEAT_TICKETS = 3;
+const REPEAT_WINDOW_DAYS = 90;
+
+type Asset = {
+  id: string;
+  tag: string; // inventory label on the device; unique
+  type: string;
+  serial: string;
+  owner: string; // "" = shared or spare equipment
+  location: string;
+  warrantyUntil: string; // YYYY-MM-DD, "" = unknown
+  notes: string;
+  createdAt: string;
+  updatedAt: string;
+};
+type WarrantyState = "unknown" | "active" | "expiring" | "expired";
+type AssetImportPreview = { accepted: Asset[]; rejected: ImportRejection[]; updated: number };
+
+const WARRANTY_LABELS: Record<WarrantyState, string> = { unknown: "No warranty date", active: "Under warranty", expiring: "Warranty ending", expired: "Out of warranty" };
+const WARRANTY_BADGES: Record<WarrantyState, string> = {
+  unknown: "bg-slate-100 text-slate-600",
+  active: "bg-emerald-100 text-emerald-800",
+  expiring: "bg-amber-100 text-amber-800",
+  expired: "bg-red-100 text-red-700",
+};
+
+// Date.parse rolls 2027-02-31 over into March, so the day has to survive a round trip.
+const isDay = (v: string) => /^\d{4}-\d{2}-\d{2}$/.test(v) && !Number.isNaN(Date.parse(v)) && new Date(`${v}T00:00:00Z`).toISOString().slice(0, 10) === v;
+
+// A record needs a tag or a serial; a missing tag falls back to the serial. Blank ids and dates are filled in.
+const validateAsset = (raw: any): { asset?: Asset; errors: string[] } => {
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) return { errors: ["not an asset object"] };
+  const errors: string[] = [];
+  const text = (field: keyof Asset) => {
+    const v = raw[field] ?? "";
+    if (typeof v !== "string") errors.push(`${field} must be text`);
+    return typeof v === "string" ? v.trim() : "";
+  };
+  const [serial, type, owner, location, warrantyUntil, notes] = (["serial", "type", "owner", "location", "warrantyUntil", "notes"] as const).map(text);
+  const tag = text("tag") || serial;
+  if (!tag) errors.push("tag or serial is required");
+  if (warrantyUntil && !isDay(warrantyUntil)) errors.push(`warrantyUntil "${warrantyUntil}" is not a date like 2027-03-31`);
+  if (errors.length) return { errors };
+  const createdAt = isIsoDate(raw.createdAt) ? raw.createdAt : new Date().toISOString();
+  return {
+    errors,
+    asset: {
+      id: isText(raw.id) ? raw.id : uuidv4(),
+      tag,
+      type: type || "Other",
+      serial,
+      owner,
+      location,
+      warrantyUntil,
+      notes,
+      createdAt,
+      updatedAt: isIsoDate(raw.updatedAt) ? raw.updatedAt : createdAt,
+    },
+  };
+};
+
+const loadAssets = async (backend: StorageBackend): Promise<Asset[]> => {
+  try {
+    const parsed = JSON.parse((await backend.read(ASSETS_KEY)) || "[]");
+    return Array.isArray(parsed) ? parsed.map((raw) => validateAsset(raw).asset).filter((a): a is Asset => !!a) : [];
+  } catch {
+    return [];
+  }
+};
+
+// Warranties run to the end of their last day, local time.
+const warrantyState = (asset: Asset, now = Date.now()): WarrantyState => {
+  if (!asset.warrantyUntil) return "unknown";
+  const left = new Date(`${asset.warrantyUntil}T23:59:59`).getTime() - now;
+  return left < 0 ? "expired" : left <= WARRANTY_WARNING_DAYS * DAY_MS ? "expiring" : "active";
+};
+
+const assetSearchText = (a: Asset) => [a.tag, a.type, a.serial, a.owner, a.location].join("\n").toLowerCase();
+const sameKey = (a: string, b: string) => !!a && a.toLowerCase() === b.toLowerCase();
+
+// Newest first, so an asset's history reads like the ticket table.
+const ticketsByAsset = (tickets: Ticket[]) => {
+  const index = new Map<string, Ticket[]>();
+  tickets.forEach((t) => t.assetIds.forEach((id) => (index.get(id) || index.set(id, []).get(id)!).push(t)));
+  index.forEach((list) => list.sort((a, b) => b.createdAt.localeCompare(a.createdAt)));
+  return index;
+};
+
+// Sets a ticket's devices, recording each one linked or unlinked the way ticket links are.
+const withAssets = (t: Ticket, assetIds: string[], assets: Asset[], author: string, at = new Date().toISOString()): Ticket => {
+  const event = (kind: "link" | "unlink") => (id: string) => makeEvent(kind, author, { asset: { id, tag: assets.find((a) => a.id === id)?.tag || id } }, at);
+  const added = assetIds.filter((id) => !t.assetIds.includes(id)).map(event("link"));
+  const removed = t.assetIds.filter((id) => !assetIds.includes(id)).map(event("unlink"));
+  if (!added.length && !removed.length) return t;
+  return { ...t, assetIds, history: [...t.history, ...added, ...removed], updatedAt: at };
+};
+
+const recentTicketCount = (history: Ticket[], now = Date.now()) => history.filter((t) => now - Date.parse(t.createdAt) <= REPEAT_WINDOW_DAYS * DAY_MS).length;
+
+// Why a draft can't be saved: another asset already has its tag or serial. "" when it's free.
+const assetClash = (assets: Asset[], draft: Asset) => {
+  const other = assets.find((a) => a.id !== draft.id && (sameKey(a.tag, draft.tag) || sameKey(a.serial, draft.serial)));
+  if (!other) return "";
+  return sameKey(other.tag, draft.tag) ? `Tag ${draft.tag} is already used by another asset.` : `Serial ${draft.serial} already belongs to ${other.tag}.`;
+};
+
+const assetsToCsv = (assets: Asset[]) => toCsv([[...ASSET_CSV_COLUMNS], ...assets.map((a) => ASSET_CSV_COLUMNS.map((c) => a[c]))]);
+
+// Headers match the column names ignoring case, spaces and punctuation ("Warranty until" = warrantyUntil), or one of
+// ASSET_CSV_ALIASES. A row whose serial or tag is already registered updates that asset instead of adding a second one.
+const buildAssetImport = (text: string, existing: Asset[]): AssetImportPreview => {
+  const [header, ...rows] = parseCsv(text);
+  if (!header) return { accepted: [], rejected: [], updated: 0 };
+  const squash = (s: string) => s.toLowerCase().replace(/[^a-z]/g, "");
+  const columns = header.map((h) => ASSET_CSV_COLUMNS.find((c) => squash(c) === squash(h)) || ASSET_CSV_ALIASES[squash(h)]);
+  if (!columns.includes("tag") && !columns.includes("serial")) throw new Error("CSV header needs a tag or serial column");
+  const preview: AssetImportPreview = { accepted: [], rejected: [], updated: 0 };
+  rows.forEach((cells, i) => {
+    const raw = Object.fromEntries(columns.flatMap((c, j) => (c ? [[c, cells[j] ?? ""]] : [])));
+    const { asset, errors } = validateAsset(raw);
+    if (!asset) return preview.rejected.push({ row: i + 1, errors });
+    const current =
+      existing.find((a) => sameKey(a.serial, asset.serial)) || existing.find((a) => sameKey(a.tag, asset.tag) && (!a.serial || !asset.serial));
+    const next = current ? { ...asset, id: current.id, createdAt: current.createdAt } : asset;
+    const clash = assetClash([...existing.filter((a) => a.id !== next.id), ...preview.accepted], next);
+    if (clash) return preview.rejected.push({ row: i + 1, errors: [clash] });
+    if (current) preview.updated++;
+    preview.accepted.push(next);
+  });
+  return preview;
+};
+
+const applyAssetImport = (existing: Asset[], accepted: Asset[]) => {
+  const incoming = new Map(accepted.map((a) => [a.id, a]));
+  const known = new Set(existing.map((a) => a.id));
+  return [...existing.map((a) => incoming.get(a.id) || a), ...accepted.filter((a) => !known.has(a.id))];
+};
+
+// --- Automation ---
+// Admin-defined rules: when <trigger> and the ticket matches <query> then run <actions>. Conditions reuse the
+// search query language. Each firing appends an "automation" audit entry, and that entry is also what keeps a
+// rule from firing twice for the same trigger. Activity by rules never counts as activity for triggers, so
+// rules can't set each other off in a loop.
+const RULES_KEY = "helpdesk_rules";
+const AUTOMATION_AUTHOR = "Automation";
+const HOUR_MS = 3600000;
+const RULE_TRIGGERS = ["created", "updated", "idle"] as const;
+const RULE_ACTIONS = ["assignee", "round-robin", "priority", "status", "note"] as const;
+
+type RuleTrigger = typeof RULE_TRIGGERS[number];
+type RuleActionKind = typeof RULE_ACTIONS[number];
+type RuleAction = { kind: RuleActionKind; value: string; pool?: string[] }; // pool: round-robin names, empty = every agent
+type AutomationRule = {
+  id: string;
+  name: string;
+  enabled: boolean;
+  trigger: RuleTrigger;
+  idleHours: number; // "idle" only
+  query: string; // empty matches every ticket
+  actions: RuleAction[];
+  createdAt: string; // ISO; "created"/"updated" rules ignore activity from before they existed
+};
+type RuleFiring = { ruleId: string; ruleName: string; ticketId: string; title: string; summary: string[] };
+
+const RULE_ACTION_LABELS: Record<RuleActionKind, string> = {
+  assignee: "Set assignee",
+  "round-robin": "Round-robin assign",
+  priority: "Set priority",
+  status: "Change status",
+  note: "Add internal note",
+};
+
+// Starting points for the examples people ask for most.
+const RULE_TEMPLATES: Omit<AutomationRule, "id" | "createdAt">[] = [
+  { name: "Round-robin Network tickets", enabled: true, trigger: "created", idleHours: 0, query: "category:Network", actions: [{ kind: "round-robin", value: "", pool: [] }] },
+  {
+    name: "Escalate untouched High after 8h",
+    enabled: true,
+    trigger: "idle",
+    idleHours: 8,
+    query: "priority:High status:open,in-progress",
+    actions: [{ kind: "priority", value: "Critical" }, { kind: "note", value: "Escalated automatically: no activity for 8 hours." }],
+  },
+  { name: "Close resolved tickets after 72h", enabled: true, trigger: "idle", idleHours: 72, query: "status:resolved", actions: [{ kind: "status", value: "Closed" }] },
+];
+
+const validateRule = (raw: any): AutomationRule | null => {
+  if (!raw || !isText(raw.id) || !isText(raw.name) || !RULE_TRIGGERS.includes(raw.trigger) || !Array.isArray(raw.actions)) return null;
+  const actions = raw.actions.filter((a: any) => a && RULE_ACTIONS.includes(a.kind) && typeof a.value === "string");
+  return {
+    id: raw.id,
+    name: raw.name,
+    enabled: raw.enabled !== false,
+    trigger: raw.trigger,
+    idleHours: Number(raw.idleHours) > 0 ? Number(raw.idleHours) : 0,
+    query: typeof raw.query === "string" ? raw.query : "",
+    actions: actions.map((a: any) => ({ kind: a.kind, value: a.value, ...(a.kind === "round-robin" ? { pool: Array.isArray(a.pool) ? a.pool.filter(isText) : [] } : {}) })),
+    createdAt: isIsoDate(raw.createdAt) ? raw.createdAt : new Date().toISOString(),
+  };
+};
+
+const loadRules = async (backend: StorageBackend): Promise<AutomationRule[]> => {
+  try {
+    const parsed = JSON.parse((await backend.read(RULES_KEY)) || "[]");
+    return Array.isArray(parsed) ? parsed.map(validateRule).filter((r): r is AutomationRule => !!r) : [];
+  } catch {
+    return [];
+  }
+};
+
+const ruleTriggerLabel = (r: AutomationRule) => (r.trigger === "idle" ? `idle for ${r.idleHours}h` : `ticket ${r.trigger}`);
+const describeAction = (a: RuleAction) =>
+  a.kind === "round-robin" ? `round-robin between ${a.pool?.length ? a.pool.join(", ") : "all agents"}` : a.kind === "note" ? `add note "${a.value}"` : `set ${a.kind} to ${a.value || "–"}`;
+
+// When this rule's trigger last happened on the ticket, or null if it hasn't (yet).
+const triggerTime = (rule: AutomationRule, t: Ticket, now: number): number | null => {
+  const since = Date.parse(rule.createdAt);
+  const human = t.history.filter((e) => !e.ruleId);
+  if (rule.trigger === "created") {
+    const at = Date.parse(t.createdAt);
+    return at >= since ? at : null;
+  }
+  if (rule.trigger === "updated") {
+    const at = Math.max(...human.filter((e) => e.kind !== "created").map((e) => Date.parse(e.at)));
+    return at >= since ? at : null;
+  }
+  const at = Math.max(Date.parse(t.createdAt), ...human.map((e) => Date.parse(e.at)));
+  return now - at >= rule.idleHours * HOUR_MS ? at : null;
+};
+
+const lastFiredAt = (rule: AutomationRule, t: Ticket) =>
+  Math.max(-Infinity, ...t.history.filter((e) => e.kind === "automation" && e.ruleId === rule.id).map((e) => Date.parse(e.at)));
+
+// Round-robin picks up after whoever the rule assigned most recently, on any ticket.
+const lastRoundRobin = (tickets: Ticket[], ruleId: string) => {
+  let latest: TicketEvent | undefined;
+  for (const t of tickets)
+    for (const e of t.history) if (e.ruleId === ruleId && e.field === "assignee" && (!latest || e.at > latest.at)) latest = e;
+  return latest?.to;
+};
+
+const applyRule = (t: Ticket, rule: AutomationRule, users: User[], rotation: Map<string, string | undefined>, at: string, config: HelpdeskConfig) => {
+  const author = `${AUTOMATION_AUTHOR}: ${rule.name}`;
+  const patch: Partial<Ticket> = {};
+  const notes: string[] = [];
+  for (const a of rule.actions) {
+    if (a.kind === "note") notes.push(a.value);
+    else if (a.kind === "round-robin") {
+      // Only fills an empty assignee; a ticket someone already picked up stays with them.
+      const pool = a.pool?.length ? a.pool : users.filter(isAssignable).map((u) => u.name);
+      if (!pool.length || t.assignee || patch.assignee) continue;
+      patch.assignee = pool[(pool.indexOf(rotation.get(rule.id) || "") + 1) % pool.length];
+      rotation.set(rule.id, patch.assignee);
+    } else if (a.kind === "status") {
+      // Rules follow the workflow like everyone else; their audit entry stands in for a required comment.
+      const { allowed, missing } = checkTransition(config, t, a.value, t.fields, "automation");
+      if (allowed && !missing.length) patch.status = a.value;
+    } else if (a.value) Object.assign(patch, { [a.kind]: a.value });
+  }
+  const changes = applyChanges(t, patch, author).history.slice(t.history.length).map((e) => ({ ...e, at, ruleId: rule.id }));
+  const summary = [...changes.map((e) => describeEvent(e)), ...notes.map(() => "added an internal note")];
+  if (!summary.length) return null;
+  const entries = [
+    ...changes,
+    ...notes.map((body) => makeEvent("note", author, { body, ruleId: rule.id }, at)),
+    makeEvent("automation", AUTOMATION_AUTHOR, { ruleId: rule.id, body: `"${rule.name}" (${ruleTriggerLabel(rule)}): ${summary.join("; ")}` }, at),
+  ];
+  return { ticket: { ...t, ...patch, history: [...t.history, ...entries], updatedAt: at }, summary };
+};
+
+// Pure: returns the updated tickets plus what fired, so the same call drives both the live run and the dry run.
+// Rules run in list order, and a later rule sees what an earlier one changed on the same ticket.
+const runAutomation = (tickets: Ticket[], rules: AutomationRule[], users: User[], now: number, config: HelpdeskConfig) => {
+  const active = rules.filter((r) => r.enabled).map((rule) => ({ rule, query: parseQuery(rule.query, config) })).filter((r) => !r.query.errors.length);
+  const firings: RuleFiring[] = [];
+  if (!active.length) return { tickets, firings };
+  const rotation = new Map(active.map(({ rule }) => [rule.id, lastRoundRobin(tickets, rule.id)]));
+  const ctx: QueryContext = { me: "", now, sla: (t) => slaFor(t, now, config) };
+  const next = tickets.map((t) => {
+    let current = t;
+    for (const { rule, query } of active) {
+      const triggeredAt = triggerTime(rule, current, now);
+      if (triggeredAt === null || triggeredAt <= lastFiredAt(rule, current) || !query.test(current, ctx)) continue;
+      // Stamped no earlier than the trigger, so a clock-skewed event from another device can't re-fire the rule forever.
+      const result = applyRule(current, rule, users, rotation, new Date(Math.max(now, triggeredAt + 1)).toISOString(), config);
+      if (!result) continue;
+      current = result.ticket;
+      firings.push({ ruleId: rule.id, ruleName: rule.name, ticketId: t.id, title: t.title, summary: result.summary });
+    }
+    return current;
+  });
+  return { tickets: firings.length ? next : tickets, firings };
+};
+
+// A dry run treats every ticket as freshly created/updated, so new rules can be previewed against existing data.
+const dryRunRules = (tickets: Ticket[], rules: AutomationRule[], users: User[], now: number, config: HelpdeskConfig) =>
+  runAutomation(tickets, rules.map((r) => ({ ...r, enabled: true, createdAt: new Date(0).toISOString() })), users, now, config).firings;
+
+export default function HelpdeskApp() {
+  const [tickets, setTickets] = useState<Ticket[]>([]);
+  const [query, setQuery] = useState(() => readUrlParams().query);
+  const [priorityFilter, setPriorityFilter] = useState<string>("All");
+  const [statusFilter, setStatusFilter] = useState<string>("All");
+  const [categoryFilter, setCategoryFilter] = useState<string>("All");
+  const [sortBy, setSortBy] = useState<string>(() => readUrlParams().sortBy);
+  const [views, setViews] = useState<SavedView[]>(loadViews);
+  const [page, setPage] = useState<Page>(() => readUrlParams().page);
+  const [benchmarkSize] = useState(() => readUrlParams().benchmark);
+  const [tablePage, setTablePage] = useState(0);
+  const [pageSize, setPageSize] = useState(loadPageSize);
+  const [editing, setEditing] = useState<Ticket | null>(null);
+  const [viewingId, setViewingId] = useState<string | null>(null);
+  const [users, setUsers] = useState<User[]>([]);
+  const [rules, setRules] = useState<AutomationRule[]>([]);
+  const [config, setConfig] = useState<HelpdeskConfig>(DEFAULT_CONFIG);
+  const [articles, setArticles] = useState<KbArticle[]>([]);
+  const [articleDraft, setArticleDraft] = useState<KbArticle | null>(null);
+  const [assets, setAssets] = useState<Asset[]>([]);
+  const [assetDraft, setAssetDraft] = useState<Asset | null>(null);
+  const [viewingAssetId, setViewingAssetId] = useState<string | null>(null);
+  const [sessionId, setSessionId] = useState(() => localStorage.getItem(SESSION_KEY) || "");
+  const [now, setNow] = useState(() => Date.now());
+  const [backendInit] = useState(() => resolveBackend(STORAGE_BACKEND));
+  const store = useMemo(() => createTicketStore(backendInit.backend), [backendInit]);
+  const [storageReady, setStorageReady] = useState(false);
+  const [readOnly, setReadOnly] = useState(false);
+  const [storageIssues, setStorageIssues] = useState<StorageIssue[]>([]);
+  const [files] = useState<FileStore | null>(() => (typeof indexedDB !== "undefined" ? createFileStore() : null));
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 60000);
+    return () => clearInterval(timer);
+  }, []);
+  useEffect(() => {
+    const { backend } = backendInit;
+    Promise.all([store.load(), loadUsers(backend), loadRules(backend), loadConfig(backend), loadArticles(backend), loadAssets(backend)]).then(([result, directory, savedRules, savedConfig, savedArticles, savedAssets]) => {
+      setUsers(directory);
+      setRules(savedRules);
+      setConfig(savedConfig);
+      setArticles(savedArticles);
+      setAssets(savedAssets);
+      setTickets(result.tickets);
+      setReadOnly(result.readOnly);
+      setStorageIssues(backendInit.issue ? [backendInit.issue, ...result.issues] : result.issues);
+      setStorageReady(true);
+      // Only sweep orphaned files when the ticket list is known to be complete.
+      if (!result.readOnly && !result.issues.length) files?.prune(result.tickets).catch(() => {});
+    }).catch((e) => {
+      // Nothing is known to be complete, so nothing is written back: the app comes up empty and read-only.
+      setReadOnly(true);
+      setStorageIssues([{ kind: "unavailable", message: `Saved data could not be loaded (${e?.message || e}). Changes won't be saved until the page is reloaded.` }]);
+      setStorageReady(true);
+    });
+  }, [store, backendInit, files]);
+  // Nothing is written until the initial load has finished, otherwise the empty first render would clobber storage,
+  // and nothing at all while read-only.
+  useEffect(() => {
+    if (!storageReady || readOnly) return;
+    store.save(tickets).then((issue) =>
+      setStorageIssues((prev) => {
+        const rest = prev.filter((i) => i.kind !== "quota");
+        return issue ? [...rest.filter((i) => i.kind !== issue.kind), issue] : rest;
+      })
+    );
+  }, [tickets, storageReady, readOnly, store]);
+  useEffect(() => {
+    if (storageReady && !readOnly) backendInit.backend.write(USERS_KEY, JSON.stringify(users)).catch(() => {});
+  }, [users, storageReady, readOnly, backendInit]);
+  useEffect(() => {
+    if (storageReady && !readOnly) backendInit.backend.write(RULES_KEY, JSON.stringify(rules)).catch(() => {});
+  }, [rules, storageReady, readOnly, backendInit]);
+  useEffect(() => {
+    if (storageReady && !readOnly) backendInit.backend.write(CONFIG_KEY, JSON.stringify(config)).catch(() => {});
+  }, [config, storageReady, readOnly, backendInit]);
+  useEffect(() => {
+    if (storageReady && !readOnly) backendInit.backend.write(KB_KEY, JSON.stringify(articles)).catch(() => {});
+  }, [articles, storageReady, readOnly, backendInit]);
+  useEffect(() => {
+    if (storageReady && !readOnly) backendInit.backend.write(ASSETS_KEY, JSON.stringify(assets)).catch(() => {});
+  }, [assets, storageReady, readOnly, backendInit]);
+  useEffect(() => {
+    localStorage.setItem(SESSION_KEY, sessionId);
+  }, [sessionId]);
+
+  const currentUser = users.find((u) => u.id === sessionId) || null;
+  const actor = currentUser?.name || "";
+  // Requesters only ever see (and count) their own tickets.
+  const visibleTickets = useMemo(
+    () => (can(currentUser, "viewAll") ? tickets : tickets.filter((t) => isRequesterOf(t, currentUser?.name || ""))),
+    [tickets, currentUser]
+  );
+  const sync = useTicketSync(tickets, setTickets, backendInit.backend, storageReady && !readOnly);
+  // Rules run whenever tickets change and on the minute tick (for idle triggers). A run that fires nothing returns
+  // the same array, so this settles after one extra pass.
+  useEffect(() => {
+    if (!storageReady || readOnly || !currentUser) return;
+    const result = runAutomation(tickets, rules, users, Date.now(), config);
+    if (result.firings.length) setTickets((prev) => (prev === tickets ? result.tickets : prev));
+  }, [tickets, rules, users, now, storageReady, readOnly, currentUser, config]);
+  const [showConflicts, setShowConflicts] = useState(false);
+  const [view, setView] = useState<"table" | "board">(() => (localStorage.getItem(VIEW_KEY) === "board" ? "board" : "table"));
+  const [wipLimits, setWipLimits] = useState<WipLimits>(loadWipLimits);
+  const [selected, setSelected] = useState<Set<string>>(() => new Set());
+  const selectionAnchor = useRef<string | null>(null);
+  const [undo, setUndo] = useState<{ label: string; changes: BatchChange[]; deleted: Ticket[] } | null>(null);
+  useEffect(() => {
+    localStorage.setItem(VIEW_KEY, view);
+  }, [view]);
+  useEffect(() => {
+    localStorage.setItem(WIP_LIMITS_KEY, JSON.stringify(wipLimits));
+  }, [wipLimits]);
+
+  const viewing = viewingId ? visibleTickets.find((t) => t.id === viewingId) || null : null;
+  const assetTickets = useMemo(() => ticketsByAsset(tickets), [tickets]);
+  const viewingAsset = viewingAssetId ? assets.find((a) => a.id === viewingAssetId) || null : null;
+  const viewingDuplicates = useMemo(
+    () => (viewing && can(currentUser, "triage") && !isDone(config, viewing.status) ? findDuplicates(tickets, viewing, config, now) : []),
+    [viewing, currentUser, tickets, config, now]
+  );
+  const [slaCache] = useState(() => createSlaCache());
+  const slaById = useMemo(() => new Map(tickets.map((t) => [t.id, slaCache(t, now, config)])), [tickets, now, config, slaCache]);
+  const debouncedQuery = useDebouncedValue(query, SEARCH_DEBOUNCE_MS);
+
+  useEffect(() => {
+    localStorage.setItem(VIEWS_KEY, JSON.stringify(views));
+  }, [views]);
+  // Mirror the search and sort into the address bar so the current view can be shared as a link.
+  useEffect(() => {
+    const url = new URL(window.location.href);
+    if (debouncedQuery) url.searchParams.set("q", debouncedQuery);
+    else url.searchParams.delete("q");
+    if (sortBy !== "updatedAt_desc") url.searchParams.set("sort", sortBy);
+    else url.searchParams.delete("sort");
+    if (page !== "tickets") url.searchParams.set("page", page);
+    else url.searchParams.delete("page");
+    window.history.replaceState(null, "", url);
+  }, [debouncedQuery, sortBy, page]);
+  useEffect(() => {
+    localStorage.setItem(PAGE_SIZE_KEY, String(pageSize));
+  }, [pageSize]);
+
+  const parsedQuery = useMemo(() => parseQuery(debouncedQuery, config), [debouncedQuery, config]);
+
+  // SLA clocks only feed the sort when ordering by due date, so the minute tick doesn't re-sort other orders.
+  const sortSla = sortBy === "due_asc" ? slaById : null;
+  const sorted = useMemo(() => sortTickets(visibleTickets, sortBy, config, (t) => sortSla!.get(t.id)!), [visibleTickets, sortBy, config, sortSla]);
+  const filtered = useMemo(
+    () =>
+      filterTickets(
+        sorted,
+        debouncedQuery.trim() ? parsedQuery : null,
+        { priority: priorityFilter, status: statusFilter, category: categoryFilter },
+        { me: actor, now, sla: (t) => slaById.get(t.id)! }
+      ),
+    [sorted, debouncedQuery, parsedQuery, priorityFilter, statusFilter, categoryFilter, actor, now, slaById]
+  );
+  const pageCount = Math.max(1, Math.ceil(filtered.length / pageSize));
+  const currentPage = Math.min(tablePage, pageCount - 1);
+  const pageRows = filtered.slice(currentPage * pageSize, (currentPage + 1) * pageSize);
+  useEffect(() => setTablePage(0), [debouncedQuery, priorityFilter, statusFilter, categoryFilter, sortBy, pageSize]);
+
+  const saveView = () => {
+    const name = prompt("Name this view", query.trim() || "My view")?.trim();
+    if (!name) return;
+    setViews((prev) => [...prev.filter((v) => v.name !== name), { id: uuidv4(), name, query, sortBy }]);
+  };
+  const applyView = (id: string) => {
+    const view = views.find((v) => v.id === id);
+    if (!view) return;
+    setQuery(view.query);
+    setSortBy(view.sortBy);
+  };
+  const copyViewLink = () => navigator.clipboard?.writeText(window.location.href);
+
+  const stats = useMemo(() => {
+    const total = visibleTickets.length;
+    const byStatus = Object.fromEntries(config.statuses.map((s) => [s.name, visibleTickets.filter((t) => t.status === s.name).length]));
+    const byPriority = Object.fromEntries(config.priorities.map((p) => [p.name, visibleTickets.filter((t) => t.priority === p.name).length]));
+    const breached = visibleTickets.filter((t) => {
+      const sla = slaById.get(t.id)!;
+      return !isDone(config, t.status) && (sla.response.state === "breached" || sla.resolution.state === "breached");
+    }).length;
+    return { total, byStatus, byPriority, breached } as any;
+  }, [visibleTickets, slaById, config]);
+
+  // Bytes are stored before the metadata is added, so a ticket never lists a file that isn't there.
+  const attachFiles = async (ticketId: string, picked: File[], eventId?: string) => {
+    if (!files || !picked.length) return;
+    const added: Attachment[] = [];
+    for (const file of checkFiles(picked, 0).accepted) {
+      const attachment: Attachment = {
+        id: uuidv4(),
+        name: file.name,
+        type: file.type || "application/octet-stream",
+        size: file.size,
+        addedAt: new Date().toISOString(),
+        addedBy: actor,
+        ...(eventId ? { eventId } : {}),
+      };
+      try {
+        await files.put({ id: attachment.id, ticketId, blob: file, thumb: isImage(attachment) ? await makeThumbnail(file) : undefined });
+        added.push(attachment);
+      } catch (e) {
+        const issue: StorageIssue = isQuotaError(e)
+          ? { kind: "quota", message: `Storage is full; "${file.name}" was not attached.` }
+          : { kind: "unavailable", message: `Could not store "${file.name}": ${(e as any)?.message || e}` };
+        setStorageIssues((prev) => [...prev.filter((i) => i.kind !== issue.kind), issue]);
+      }
+    }
+    if (!added.length) return;
+    // The per-ticket total is checked against the ticket as it is when the files land; files that no longer fit
+    // stay out of the ticket and are swept from the file store by the next prune.
+    setTickets((prev) =>
+      prev.map((t) => {
+        if (t.id !== ticketId) return t;
+        const fits = checkFiles(added, t.attachments.reduce((n, a) => n + a.size, 0)).accepted;
+        return fits.length ? { ...t, attachments: [...t.attachments, ...fits], updatedAt: fits[0].addedAt } : t;
+      })
+    );
+  };
+  const removeAttachment = (ticketId: string, attachmentId: string) => {
+    if (!can(currentUser, "triage")) return;
+    setTickets((prev) =>
+      prev.map((t) => {
+        const removed = t.id === ticketId && t.attachments.find((a) => a.id === attachmentId);
+        if (!removed) return t;
+        const event = makeEvent("note", actor, { body: `Removed attachment "${removed.name}".` });
+        return { ...t, attachments: t.attachments.filter((a) => a.id !== attachmentId), history: [...t.history, event], updatedAt: event.at };
+      })
+    );
+    files?.remove(attachmentId).catch(() => {});
+  };
+
+  // `comment` is the explanation a status may require (see checkTransition); it's saved as a public comment.
+  const upsertTicket = (input: Partial<Ticket>, ticket?: Ticket, picked: File[] = [], comment = "") => {
+    // Requesters file tickets for themselves; triage fields are left to agents.
+    const data: Partial<Ticket> = can(currentUser, "triage")
+      ? input
+      : {
+          title: input.title,
+          description: input.description,
+          category: input.category,
+          subcategory: input.subcategory,
+          priority: input.priority,
+          fields: input.fields,
+          assetIds: input.assetIds?.filter((id) => assets.some((a) => a.id === id && a.owner === actor)),
+        };
+    if (!can(currentUser, "triage")) {
+      if (ticket) return;
+      Object.assign(data, { requester: actor, status: initialStatus(config), assignee: "" });
+    }
+    // The form only offers allowed statuses; this catches edits that raced a settings change.
+    if (ticket && data.status && !checkTransition(config, ticket, data.status, data.fields, comment).allowed) delete data.status;
+    // Keep the notification address with the requester; an emailed-in requester may not be in the directory.
+    if (data.requester) {
+      const keep = ticket?.requester === data.requester ? ticket.requesterEmail : undefined;
+      data.requesterEmail = users.find((u) => u.name === data.requester)?.email || keep;
+    }
+    if (ticket) {
+      const { assetIds, ...patch } = data;
+      const edit = (t: Ticket) => withComment(withAssets(applyChanges(t, patch, actor), assetIds || t.assetIds, assets, actor), comment);
+      const moved = data.status && data.status !== ticket.status ? [ticket.id] : [];
+      setTickets((prev) => cascadeStatus(prev.map((t) => (t.id === ticket.id ? edit(t) : t)), moved, actor, config));
+      setEditing(null);
+      attachFiles(ticket.id, picked);
+      return;
+    }
+    const now = new Date().toISOString();
+    const newTicket: Ticket = {
+      id: uuidv4(),
+      title: data.title || "Untitled",
+      description: data.description || "",
+      category: data.category || config.categories[config.categories.length - 1].name,
+      subcategory: data.subcategory || "",
+      priority: data.priority || defaultPriority(config),
+      status: data.status || initialStatus(config),
+      requester: (data.requester as string) || "Anonymous",
+      requesterEmail: data.requesterEmail,
+      cc: [],
+      assignee: (data.assignee as string) || "",
+      createdAt: now,
+      updatedAt: now,
+      fields: data.fields || {},
+      history: [makeEvent("created", actor, {}, now)],
+      attachments: [],
+      links: [],
+      assetIds: [],
+      version: 0,
+    };
+    setTickets((prev) => [withComment(withAssets(newTicket, data.assetIds || [], assets, actor, now), comment), ...prev]);
+    attachFiles(newTicket.id, picked);
+  };
+
+  const removeTicket = (id: string) => {
+    if (!can(currentUser, "delete")) return;
+    setTickets((prev) => prev.filter((t) => t.id !== id));
+    files?.removeForTickets([id]).catch(() => {});
+  };
+  const withComment = (t: Ticket, comment: string) => {
+    if (!comment.trim()) return t;
+    const event = makeEvent("comment", actor, { body: comment.trim() });
+    return { ...t, history: [...t.history, event], updatedAt: event.at };
+  };
+  // Status changes from the row menu and the board follow the workflow; when the target status needs fields or a
+  // comment that aren't there yet, a dialog asks for them before anything is saved.
+  const [transition, setTransition] = useState<{ id: string; to: Status } | null>(null);
+  const changeStatus = (id: string, to: Status, fields?: Record<string, string>, comment = "") => {
+    const ticket = tickets.find((t) => t.id === id);
+    if (!can(currentUser, "triage") || !ticket) return;
+    const check = checkTransition(config, ticket, to, fields, comment);
+    if (!check.allowed) return;
+    if (check.missing.length) return setTransition({ id, to });
+    const patch = fields ? { status: to, fields } : { status: to };
+    setTickets((prev) => cascadeStatus(prev.map((t) => (t.id === id ? withComment(applyChanges(t, patch, actor), comment) : t)), [id], actor, config));
+    setTransition(null);
+  };
+  const transitionTicket = transition ? tickets.find((t) => t.id === transition.id) || null : null;
+  const addEntry = (id: string, kind: "note" | "comment", body: string, picked: File[] = []) => {
+    if (kind !== "comment" && !can(currentUser, "internalNotes")) return;
+    const event = makeEvent(kind, actor, { body });
+    setTickets((prev) => prev.map((t) => (t.id === id ? { ...t, history: [...t.history, event], updatedAt: event.at } : t)));
+    attachFiles(id, picked, event.id);
+  };
+
+  // Bulk actions go through applyChanges like quickStatus/upsertTicket, and remember what they changed for a single undo.
+  const selectedTickets = useMemo(() => filtered.filter((t) => selected.has(t.id)), [filtered, selected]);
+  const toggleSelected = (id: string, range: boolean) => {
+    const anchor = range ? filtered.findIndex((t) => t.id === selectionAnchor.current) : -1;
+    const index = filtered.findIndex((t) => t.id === id);
+    const ids = anchor >= 0 ? filtered.slice(Math.min(anchor, index), Math.max(anchor, index) + 1).map((t) => t.id) : [id];
+    setSelected((prev) => {
+      const next = new Set(prev);
+      const on = !prev.has(id);
+      ids.forEach((i) => (on ? next.add(i) : next.delete(i)));
+      return next;
+    });
+    selectionAnchor.current = id;
+  };
+  const toggleAllFiltered = (on: boolean) => setSelected(on ? new Set(filtered.map((t) => t.id)) : new Set());
+
+  const bulkUpdate = (patch: Partial<Ticket>, label: string) => {
+    const changed = selectedTickets.filter((t) => TRACKED_FIELDS.some((f) => patch[f] !== undefined && (patch[f] || "") !== (t[f] || "")));
+    // A bulk status change can ask for one shared comment, but not for per-ticket fields: those tickets are skipped.
+    const needsComment = !!patch.status && config.statuses.find((s) => s.name === patch.status)?.requires.includes(COMMENT_REQUIREMENT);
+    const targets = patch.status
+      ? changed.filter((t) => {
+          const check = checkTransition(config, t, patch.status!, t.fields, "-");
+          return check.allowed && !check.missing.length;
+        })
+      : changed;
+    if (!can(currentUser, "triage") || !targets.length) return;
+    const skipped = changed.length - targets.length;
+    const question = `${label} on ${targets.length} ticket${targets.length === 1 ? "" : "s"}?${skipped ? ` ${skipped} can't move to ${patch.status} yet and will be skipped.` : ""}`;
+    let comment = "";
+    if (needsComment) {
+      comment = prompt(`${question}\n\nMoving to ${patch.status} needs a comment:`)?.trim() || "";
+      if (!comment) return;
+    } else if (!confirm(question)) return;
+    const ids = new Set(targets.map((t) => t.id));
+    // Children that follow a status change are part of the same undo.
+    const apply = (list: Ticket[]) => cascadeStatus(list.map((t) => (ids.has(t.id) ? withComment(applyChanges(t, patch, actor), comment) : t)), patch.status ? ids : [], actor, config);
+    setUndo({ label: `${label} on ${targets.length} ticket${targets.length === 1 ? "" : "s"}`, changes: batchChanges(tickets, apply(tickets)), deleted: [] });
+    setTickets(apply);
+  };
+  // Merging is undone like a bulk action.
+  const [merging, setMerging] = useState<string[] | null>(null);
+  const mergeInto = (primaryId: string, ids: string[]) => {
+    if (!can(currentUser, "triage")) return;
+    const apply = (list: Ticket[]) => mergeTickets(list, primaryId, ids, actor, config, assets);
+    setUndo({ label: `Merged ${ids.length - 1} ticket${ids.length === 2 ? "" : "s"} into ${ticketToken(primaryId)}`, changes: batchChanges(tickets, apply(tickets)), deleted: [] });
+    setTickets(apply);
+    setMerging(null);
+    setSelected(new Set());
+    if (viewingId) setViewingId(primaryId);
+  };
+  const linkTicket = (id: string, link: TicketLink, add: boolean) => {
+    if (!can(currentUser, "triage") || (add && linkError(tickets, id, link.kind, link.id))) return;
+    setTickets((prev) => setLink(prev, id, link, actor, add));
+  };
+  const bulkDelete = () => {
+    if (!can(currentUser, "delete") || !selectedTickets.length) return;
+    if (!confirm(`Delete ${selectedTickets.length} ticket${selectedTickets.length === 1 ? "" : "s"}?`)) return;
+    const ids = new Set(selectedTickets.map((t) => t.id));
+    setUndo({ label: `Deleted ${ids.size} ticket${ids.size === 1 ? "" : "s"}`, changes: [], deleted: selectedTickets });
+    setTickets((prev) => prev.filter((t) => !ids.has(t.id)));
+    setSelected(new Set());
+  };
+  const undoBulk = () => {
+    if (!undo) return;
+    setTickets((prev) => {
+      const present = new Set(prev.map((t) => t.id));
+      return [...undo.deleted.filter((t) => !present.has(t.id)), ...revertBatch(prev, undo.changes, actor, assets)];
+    });
+    setUndo(null);
+  };
+
+  // Keyboard: the palette, triage mode and the help overlay all run through runShortcut, so a command does the
+  // same thing whichever way it was reached.
+  const [keymap, setKeymap] = useState<Keymap>(loadKeymap);
+  const [paletteOpen, setPaletteOpen] = useState(false);
+  const [helpOpen, setHelpOpen] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [triage, setTriage] = useState<{ id: string; index: number } | null>(null);
+  const [triagePick, setTriagePick] = useState<"status" | "assign" | null>(null);
+  const searchInput = useRef<HTMLInputElement>(null);
+  useEffect(() => {
+    localStorage.setItem(KEYMAP_KEY, JSON.stringify(keymap));
+  }, [keymap]);
+  // The cursor follows the ticket while it stays in `filtered` and keeps its position when the ticket drops out.
+  const triageIndex = useMemo(() => {
+    if (!triage) return -1;
+    const i = filtered.findIndex((t) => t.id === triage.id);
+    return i >= 0 ? i : Math.min(triage.index, filtered.length - 1);
+  }, [triage, filtered]);
+  const triageTicket = triageIndex >= 0 ? filtered[triageIndex] : null;
+  const focusTicket = triageTicket || viewing;
+  // The table pages along so the ticket in triage stays in view below the panel.
+  const triageAt = (index: number) => {
+    setTriage({ id: filtered[index].id, index });
+    setTablePage(Math.floor(index / pageSize));
+  };
+  const moveTriage = (step: number) => {
+    const index = Math.max(0, Math.min(filtered.length - 1, triageIndex + step));
+    if (filtered[index]) triageAt(index);
+  };
+  const startTriage = () => {
+    const index = Math.min(currentPage * pageSize, filtered.length - 1);
+    if (!can(currentUser, "triage") || index < 0) return;
+    setPage("tickets");
+    triageAt(index);
+  };
+  const patchTicket = (id: string, patch: Partial<Ticket>) => {
+    if (!can(currentUser, "triage")) return;
+    setTickets((prev) => prev.map((t) => (t.id === id && TRACKED_FIELDS.some((f) => patch[f] !== undefined && (patch[f] || "") !== (t[f] || "")) ? applyChanges(t, patch, actor) : t)));
+  };
+  // Palette edits go to the selection when there is one, otherwise to the ticket in triage or on screen.
+  const applyToTarget = (patch: Partial<Ticket>, label: string) => {
+    if (selectedTickets.length) return bulkUpdate(patch, label);
+    if (!focusTicket) return;
+    if (patch.status) changeStatus(focusTicket.id, patch.status);
+    else patchTicket(focusTicket.id, patch);
+  };
+
+  const runShortcut = (id: string) => {
+    const priority = priorityForShortcut(config, id);
+    if (priority && triageTicket) return patchTicket(triageTicket.id, { priority });
+    switch (id) {
+      case "palette":
+        return setPaletteOpen(true);
+      case "help":
+        return setHelpOpen(true);
+      case "newTicket":
+        return activePage !== "portal" && setCreating(true);
+      case "search":
+        setTriage(null);
+        setPage("tickets");
+        return requestAnimationFrame(() => searchInput.current?.focus());
+      case "triage":
+        return triage ? setTriage(null) : startTriage();
+      case "exitTriage":
+        return setTriage(null);
+    }
+    if (!triageTicket) return;
+    switch (id) {
+      case "next":
+        return moveTriage(1);
+      case "previous":
+        return moveTriage(-1);
+      case "status":
+      case "assign":
+        return setTriagePick(id);
+      case "assignMe":
+        return currentUser && isAssignable(currentUser) && patchTicket(triageTicket.id, { assignee: actor });
+      case "open":
+        return setViewingId(triageTicket.id);
+      case "edit":
+        return setEditing(triageTicket);
+    }
+  };
+  // Re-pointed every render so the listener registered once always sees current state.
+  const onShortcutKey = useRef<(e: KeyboardEvent) => void>(() => {});
+  onShortcutKey.current = (e) => {
+    const keys = keyOf(e);
+    const shortcut = keys ? SHORTCUTS.find((s) => keymap[s.id] === keys) : undefined;
+    if (!shortcut || !can(currentUser, "viewAll") || document.querySelector('[role="dialog"], [role="listbox"]')) return;
+    if (isTypingIn(e.target) && !keys!.startsWith("mod+")) return;
+    // Enter and Space on a focused button are clicks.
+    if (e.target instanceof HTMLButtonElement && (keys === "enter" || keys === "space")) return;
+    if (shortcut.scope === "triage" && !triage) return;
+    e.preventDefault();
+    runShortcut(shortcut.id);
+  };
+  useEffect(() => {
+    const onKey = (e: KeyboardEvent) => onShortcutKey.current(e);
+    window.addEventListener("keydown", onKey);
+    return () => window.removeEventListener("keydown", onKey);
+  }, []);
+
+  const paletteCommands = (): PaletteCommand[] => {
+    const commands: PaletteCommand[] = [];
+    const add = (group: string, label: string, run: () => void, shortcut?: string) =>
+      commands.push({ id: `${group}:${label}`, group, label, run, ...(shortcut ? { keys: keymap[shortcut] } : {}) });
+    if (activePage !== "portal") add("Ticket", "New ticket", () => setCreating(true), "newTicket");
+    const target = selectedTickets.length ? `${selectedTickets.length} selected` : focusTicket ? ticketToken(focusTicket.id) : "";
+    if (can(currentUser, "triage") && target) {
+      config.statuses.forEach((s) => add("Set status", `${s.name} · ${target}`, () => applyToTarget({ status: s.name }, `Set status to ${s.name}`)));
+      config.priorities.forEach((p) => add("Set priority", `${p.name} · ${target}`, () => applyToTarget({ priority: p.name }, `Set priority to ${p.name}`)));
+      users.filter(isAssignable).forEach((u) => add("Assign", `${u.name} · ${target}`, () => applyToTarget({ assignee: u.name }, `Set assignee to ${u.name}`)));
+      add("Assign", `Unassigned · ${target}`, () => applyToTarget({ assignee: "" }, "Set assignee to unassigned"));
+    }
+    const filterBy = (apply: () => void) => () => {
+      apply();
+      setPage("tickets");
+    };
+    config.statuses.forEach((s) => add("Filter", `Status: ${s.name}`, filterBy(() => setStatusFilter(s.name))));
+    config.priorities.forEach((p) => add("Filter", `Priority: ${p.name}`, filterBy(() => setPriorityFilter(p.name))));
+    config.categories.forEach((c) => add("Filter", `Category: ${c.name}`, filterBy(() => setCategoryFilter(c.name))));
+    add("Filter", "Clear filters and search", filterBy(() => {
+      setQuery("");
+      setStatusFilter("All");
+      setPriorityFilter("All");
+      setCategoryFilter("All");
+    }));
+    views.forEach((v) => add("Saved view", v.name, filterBy(() => applyView(v.id))));
+    PAGES.filter((p) => p !== page).forEach((p) => add("Go to", { tickets: "Tickets", reports: "Reports", kb: "Knowledge base", assets: "Assets", portal: "Portal" }[p], () => setPage(p)));
+    add("View", view === "table" ? "Show board" : "Show table", () => setView(view === "table" ? "board" : "table"));
+    if (can(currentUser, "triage")) add("View", triage ? "Leave triage mode" : "Start triage mode", () => runShortcut("triage"), "triage");
+    add("Help", "Keyboard shortcuts", () => setHelpOpen(true), "help");
+    return commands;
+  };
+  const paletteSearch = (query: string): PickItem[] => {
+    const needle = query.trim().toLowerCase();
+    const found = needle ? visibleTickets.filter((t) => searchTextOf(t).includes(needle)).slice(0, 8) : [];
+    return [
+      ...matchCommands(paletteCommands(), query).map((c) => ({ id: c.id, group: c.group, label: c.label, hint: c.keys && formatKeys(c.keys) })),
+      ...found.map((t) => ({ id: `ticket:${t.id}`, group: ticketToken(t.id), label: t.title, hint: t.status })),
+    ];
+  };
+  const runPaletteItem = (item: PickItem) => {
+    setPaletteOpen(false);
+    if (item.id.startsWith("ticket:")) return setViewingId(item.id.slice("ticket:".length));
+    paletteCommands().find((c) => c.id === item.id)?.run();
+  };
+
+  const clearAll = () => {
+    if (!can(currentUser, "delete") || !confirm("Clear all tickets?")) return;
+    setTickets([]);
+    files?.clear().catch(() => {});
+  };
+
+  const saveUser = (user: User) => {
+    const previous = users.find((u) => u.id === user.id);
+    setUsers((prev) => (previous ? prev.map((u) => (u.id === user.id ? user : u)) : [...prev, user]));
+    if (previous && (previous.name !== user.name || previous.email !== user.email)) {
+      const rename = (name?: string) => (name === previous.name ? user.name : name);
+      setTickets((prev) =>
+        prev.map((t) => {
+          if (!isRequesterOf(t, previous.name) && t.assignee !== previous.name) return t;
+          const requesterEmail = t.requester === previous.name ? user.email : t.requesterEmail;
+          const cc = t.cc.map((c) => (c.name === previous.name ? { name: user.name, ...(user.email ? { email: user.email } : {}) } : c));
+          return { ...t, requester: rename(t.requester)!, requesterEmail, cc, assignee: rename(t.assignee) };
+        })
+      );
+      setAssets((prev) => prev.map((a) => (a.owner === previous.name ? { ...a, owner: user.name } : a)));
+    }
+  };
+  const removeUser = (id: string) => setUsers((prev) => prev.filter((u) => u.id !== id));
+  const saveArticle = (article: KbArticle) => {
+    if (!can(currentUser, "writeArticles")) return;
+    const at = new Date().toISOString();
+    setArticles((prev) =>
+      article.id ? prev.map((a) => (a.id === article.id ? { ...article, updatedAt: at } : a)) : [{ ...article, id: uuidv4(), author: actor, createdAt: at, updatedAt: at }, ...prev]
+    );
+    setArticleDraft(null);
+  };
+  const removeArticle = (id: string) => can(currentUser, "writeArticles") && setArticles((prev) => prev.filter((a) => a.id !== id));
+  const markHelpful = (id: string) => setArticles((prev) => prev.map((a) => (a.id === id ? { ...a, helpful: a.helpful + 1 } : a)));
+  const saveAsset = (asset: Asset) => {
+    if (!can(currentUser, "manageAssets")) return;
+    const at = new Date().toISOString();
+    setAssets((prev) => (asset.id ? prev.map((a) => (a.id === asset.id ? { ...asset, updatedAt: at } : a)) : [...prev, { ...asset, id: uuidv4(), createdAt: at, updatedAt: at }]));
+    setAssetDraft(null);
+  };
+  // Tickets lose the link to a deleted asset; the unlink is recorded under its tag.
+  const removeAsset = (id: string) => {
+    if (!can(currentUser, "manageAssets")) return;
+    setAssets((prev) => prev.filter((a) => a.id !== id));
+    setTickets((prev) => prev.map((t) => withAssets(t, t.assetIds.filter((a) => a !== id), assets, actor)));
+    setViewingAssetId(null);
+  };
+  const importAssets = (accepted: Asset[]) => can(currentUser, "manageAssets") && setAssets((prev) => applyAssetImport(prev, accepted));
+  // Renamed values are carried into tickets, rule actions and WIP limits; filters on a value that is gone reset.
+  // The log entry is stamped first so the tickets' own rename events aren't translated a second time.
+  const saveConfig = (next: HelpdeskConfig, renames: ConfigRenames) => {
+    const renamed = hasRenames(renames) ? [...(config.renamed || []), { at: new Date().toISOString(), names: renames }] : config.renamed;
+    setConfig({ ...next, ...(renamed ? { renamed } : {}) });
+    setTickets((prev) => renameInTickets(prev, renames, actor));
+    setRules((prev) =>
+      prev.map((rule) => ({
+        ...rule,
+        actions: rule.actions.map((a) => (a.kind === "status" || a.kind === "priority" ? { ...a, value: renames[a.kind][a.value] || a.value } : a)),
+      }))
+    );
+    setWipLimits((prev) => Object.fromEntries(Object.entries(prev).map(([s, n]) => [renames.status[s] || s, n])));
+    const keep = (names: string[], renamed: Record<string, string>) => (value: string) => (value === "All" || names.includes(renamed[value] || value) ? renamed[value] || value : "All");
+    setStatusFilter(keep(namesOf(next.statuses), renames.status));
+    setPriorityFilter(keep(namesOf(next.priorities), renames.priority));
+    setCategoryFilter(keep(namesOf(next.categories), renames.category));
+  };
+  const signIn = (user: User) => {
+    if (!users.some((u) => u.id === user.id)) setUsers((prev) => [...prev, user]);
+    setSessionId(user.id);
+  };
+
+  if (benchmarkSize) return <BenchmarkPage count={benchmarkSize} config={config} />;
+  if (storageReady && !currentUser) return <LoginScreen users={users} onSignIn={signIn} />;
+  // Requesters only ever get the portal; agents can open it to see what requesters see.
+  const activePage: Page = can(currentUser, "viewAll") ? page : "portal";
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-b from-slate-50 to-white p-6">
+      <div className="mx-auto max-w-7xl space-y-6">
+        <header className="flex flex-col md:flex-row items-start md:items-center justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-bold">IT Support Helpdesk</h1>
+            <p className="text-slate-600">Lightweight ticketing app – local only, no server required.</p>
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            {currentUser && (
+              <div className="flex items-center gap-2 text-sm">
+                <UserCircle2 className="w-4 h-4 text-slate-400"/>
+                <span className="font-medium">{currentUser.name}</span>
+                <span className={`px-2 py-1 rounded-2xl text-xs ${roleBadgeStyle[currentUser.role]}`}>{currentUser.role}</span>
+                <TooltipProvider>
+                  <Tooltip>
+                    <TooltipTrigger asChild>
+                      <Button size="sm" variant="secondary" className="rounded-xl" onClick={() => setSessionId("")}><LogOut className="w-4 h-4"/></Button>
+                    </TooltipTrigger>
+                    <TooltipContent>Switch user</TooltipContent>
+                  </Tooltip>
+                </TooltipProvider>
+              </div>
+            )}
+
+            {can(currentUser, "configure") && (
+              <Dialog>
+                <DialogTrigger asChild>
+                  <Button variant="secondary" className="rounded-2xl gap-2 flex items-center"><Settings2 className="w-4 h-4"/> Settings</Button>
+                </DialogTrigger>
+                <DialogContent className="sm:max-w-3xl">
+                  <DialogHeader>
+                    <DialogTitle>Workflow settings</DialogTitle>
+                  </DialogHeader>
+                  <SettingsEditor config={config} tickets={tickets} onSave={saveConfig} />
+                </DialogContent>
+              </Dialog>
+            )}
+
+            {can(currentUser, "configure") && (
+              <Dialog>
+                <DialogTrigger asChild>
+                  <Button variant="secondary" className="rounded-2xl gap-2 flex items-center"><Zap className="w-4 h-4"/> Automation</Button>
+                </DialogTrigger>
+                <DialogContent className="sm:max-w-3xl">
+                  <DialogHeader>
+                    <DialogTitle>Automation rules</DialogTitle>
+                  </DialogHeader>
+                  <RulesEditor rules={rules} tickets={tickets} users={users} config={config} onChange={setRules} />
+                </DialogContent>
+              </Dialog>
+            )}
+
+            {can(currentUser, "manageUsers") && (
+              <Dialog>
+                <DialogTrigger asChild>
+                  <Button variant="secondary" className="rounded-2xl gap-2 flex items-center"><Users className="w-4 h-4"/> Users</Button>
+                </DialogTrigger>
+                <DialogContent className="sm:max-w-2xl">
+                  <DialogHeader>
+                    <DialogTitle>User directory</DialogTitle>
+                  </DialogHeader>
+                  <UserDirectory users={users} currentUserId={sessionId} onSave={saveUser} onRemove={removeUser} />
+                </DialogContent>
+              </Dialog>
+            )}
+
+            {activePage !== "portal" && (
+              <Dialog open={creating} onOpenChange={setCreating}>
+                <DialogTrigger asChild>
+                  <Button className="rounded-2xl px-4 py-2 gap-2 flex items-center"><Plus className="w-4 h-4"/> New Ticket</Button>
+                </DialogTrigger>
+                <DialogContent className="sm:max-w-2xl">
+                  <DialogHeader>
+                    <DialogTitle>Create Ticket</DialogTitle>
+                  </DialogHeader>
+                  <TicketForm
+                    users={users}
+                    assets={assets}
+                    config={config}
+                    canTriage={can(currentUser, "triage")}
+                    files={files}
+                    duplicateCandidates={can(currentUser, "triage") ? visibleTickets : undefined}
+                    onOpenTicket={setViewingId}
+                    onSubmit={(data, picked, comment) => {
+                      upsertTicket(data, undefined, picked, comment);
+                      setCreating(false);
+                    }}
+                  />
+                </DialogContent>
+              </Dialog>
+            )}
+
+            {can(currentUser, "configure") && (
+              <Dialog>
+                <DialogTrigger asChild>
+                  <Button variant="secondary" className="rounded-2xl gap-2 flex items-center" title={sync.status.message}>
+                    {sync.status.state === "off" || sync.status.state === "offline" || sync.status.state === "error" ? <CloudOff className="w-4 h-4"/> : <Cloud className="w-4 h-4"/>}
+                    {syncStatusLabel(sync.status, sync.pending)}
+                  </Button>
+                </DialogTrigger>
+                <DialogContent className="sm:max-w-lg">
+                  <DialogHeader>
+                    <DialogTitle>Server sync</DialogTitle>
+                  </DialogHeader>
+                  <SyncSettings config={sync.config} status={sync.status} pending={sync.pending} onSave={sync.setConfig} onSyncNow={sync.syncNow} />
+                </DialogContent>
+              </Dialog>
+            )}
+
+            {can(currentUser, "triage") && sync.conflicts.length > 0 && (
+              <Button variant="destructive" className="rounded-2xl gap-2 flex items-center" onClick={() => setShowConflicts(true)}>
+                <GitMerge className="w-4 h-4"/> {sync.conflicts.length} conflict{sync.conflicts.length === 1 ? "" : "s"}
+              </Button>
+            )}
+
+            {can(currentUser, "triage") && (
+              <Dialog>
+                <DialogTrigger asChild>
+                  <Button variant="secondary" className="rounded-2xl gap-2 flex items-center"><ArrowUpDown className="w-4 h-4"/> Import/Export</Button>
+                </DialogTrigger>
+                <DialogContent className="sm:max-w-2xl">
+                  <DialogHeader>
+                    <DialogTitle>Import / Export</DialogTitle>
+                  </DialogHeader>
+                  <ImportExportPanel tickets={tickets} filtered={filtered} config={config} canReplace={can(currentUser, "delete")} onImport={setTickets} />
+                </DialogContent>
+              </Dialog>
+            )}
+
+            {can(currentUser, "delete") && (
+              <TooltipProvider>
+                <Tooltip>
+                  <TooltipTrigger asChild>
+                    <Button variant="secondary" className="rounded-2xl" onClick={clearAll}><Trash2 className="w-4 h-4"/></Button>
+                  </TooltipTrigger>
+                  <TooltipContent>Clear all tickets</TooltipContent>
+                </Tooltip>
+              </TooltipProvider>
+            )}
+          </div>
+        </header>
+
+        {storageIssues.map((issue) => (
+          <div key={issue.kind} className="flex items-center gap-2 rounded-2xl bg-red-50 p-3 text-sm text-red-700">
+            <AlertTriangle className="w-4 h-4 shrink-0"/>
+            <span className="flex-1">{issue.message}</span>
+            <button aria-label="Dismiss" onClick={() => setStorageIssues((prev) => prev.filter((i) => i !== issue))}><X className="w-4 h-4"/></button>
+          </div>
+        ))}
+
+        {can(currentUser, "viewAll") && (
+          <nav className="flex items-center gap-1" aria-label="Pages">
+            <Button size="sm" variant={page === "tickets" ? "default" : "ghost"} className="rounded-xl gap-1" onClick={() => setPage("tickets")}>
+              <Filter className="w-4 h-4"/> Tickets
+            </Button>
+            <Button size="sm" variant={page === "reports" ? "default" : "ghost"} className="rounded-xl gap-1" onClick={() => setPage("reports")}>
+              <BarChart3 className="w-4 h-4"/> Reports
+            </Button>
+            <Button size="sm" variant={page === "kb" ? "default" : "ghost"} className="rounded-xl gap-1" onClick={() => setPage("kb")}>
+              <BookOpen className="w-4 h-4"/> Knowledge base
+            </Button>
+            <Button size="sm" variant={page === "assets" ? "default" : "ghost"} className="rounded-xl gap-1" onClick={() => setPage("assets")}>
+              <Laptop className="w-4 h-4"/> Assets
+            </Button>
+            <Button size="sm" variant={page === "portal" ? "default" : "ghost"} className="rounded-xl gap-1" onClick={() => setPage("portal")}>
+              <LifeBuoy className="w-4 h-4"/> Portal
+            </Button>
+            <Button size="sm" variant="ghost" className="ml-auto rounded-xl gap-1 text-slate-500" onClick={() => setPaletteOpen(true)}>
+              <Command className="w-4 h-4"/> Commands <kbd className="rounded border bg-white px-1 text-xs">{formatKeys(keymap.palette)}</kbd>
+            </Button>
+            <Button size="sm" variant="ghost" className="rounded-xl" aria-label="Keyboard shortcuts" onClick={() => setHelpOpen(true)}>
+              <Keyboard className="w-4 h-4"/>
+            </Button>
+          </nav>
+        )}
+
+        {activePage === "portal" && currentUser ? (
+          <RequesterPortal
+            user={currentUser}
+            tickets={visibleTickets.filter((t) => isRequesterOf(t, currentUser.name))}
+            articles={articles}
+            assets={assets.filter((a) => a.owner === currentUser.name)}
+            config={config}
+            files={files}
+            onSubmit={(data, picked) => upsertTicket({ ...data, requester: currentUser.name }, undefined, picked)}
+            onOpen={setViewingId}
+            onHelpful={markHelpful}
+          />
+        ) : activePage === "kb" ? (
+          <Card className="border-none shadow-sm">
+            <CardContent className="p-4">
+              <KnowledgeBase
+                articles={articles}
+                onNew={can(currentUser, "writeArticles") ? () => setArticleDraft(blankArticle()) : undefined}
+                onEdit={can(currentUser, "writeArticles") ? setArticleDraft : undefined}
+                onRemove={can(currentUser, "writeArticles") ? removeArticle : undefined}
+                onOpenTicket={setViewingId}
+              />
+            </CardContent>
+          </Card>
+        ) : activePage === "assets" ? (
+          <Card className="border-none shadow-sm">
+            <CardContent className="p-4">
+              <AssetRegistry
+                assets={assets}
+                tickets={assetTickets}
+                now={now}
+                onOpen={setViewingAssetId}
+                onNew={can(currentUser, "manageAssets") ? () => setAssetDraft(blankAsset()) : undefined}
+                onImport={can(currentUser, "manageAssets") ? importAssets : undefined}
+              />
+            </CardContent>
+          </Card>
+        ) : activePage === "reports" ? (
+          <ReportsPage tickets={tickets} now={now} config={config} />
+        ) : (
+          <>
+          {/* Filters */}
+          <Card className="border-none shadow-sm">
+            <CardContent className="p-4">
+              <div className="grid grid-cols-1 md:grid-cols-12 gap-3 items-center">
+                <div className="md:col-span-4">
+                  <div className="relative">
+                    <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-slate-400"/>
+                    <Input
+                      ref={searchInput}
+                      placeholder="Search… e.g. status:open priority:>=high assignee:me"
+                      title={`Fields: ${QUERY_FIELDS.join(", ")}. Prefix with - to exclude, quote exact phrases.`}
+                      aria-invalid={parsedQuery.errors.length > 0}
+                      className={`pl-9 rounded-2xl ${parsedQuery.errors.length ? "border-red-400" : ""}`}
+                      value={query}
+                      onChange={(e) => setQuery(e.target.value)}
+                    />
+                  </div>
+                </div>
+                <div className="md:col-span-2">
+                  <Label className="text-xs text-slate-500">Priority</Label>
+                  <Select value={priorityFilter} onValueChange={setPriorityFilter}>
+                    <SelectTrigger className="rounded-2xl"><SelectValue placeholder="All"/></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="All">All</SelectItem>
+                      {namesOf(config.priorities).map((p) => (<SelectItem key={p} value={p}>{p}</SelectItem>))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="md:col-span-2">
+                  <Label className="text-xs text-slate-500">Status</Label>
+                  <Select value={statusFilter} onValueChange={setStatusFilter}>
+                    <SelectTrigger className="rounded-2xl"><SelectValue placeholder="All"/></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="All">All</SelectItem>
+                      {namesOf(config.statuses).map((s) => (<SelectItem key={s} value={s}>{s}</SelectItem>))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="md:col-span-2">
+                  <Label className="text-xs text-slate-500">Category</Label>
+                  <Select value={categoryFilter} onValueChange={setCategoryFilter}>
+                    <SelectTrigger className="rounded-2xl"><SelectValue placeholder="All"/></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="All">All</SelectItem>
+                      {namesOf(config.categories).map((c) => (<SelectItem key={c} value={c}>{c}</SelectItem>))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="md:col-span-2">
+                  <Label className="text-xs text-slate-500">Sort by</Label>
+                  <Select value={sortBy} onValueChange={setSortBy}>
+                    <SelectTrigger className="rounded-2xl"><SelectValue /></SelectTrigger>
+                    <SelectContent>
+                      <SelectItem value="updatedAt_desc">Last updated (newest)</SelectItem>
+                      <SelectItem value="updatedAt_asc">Last updated (oldest)</SelectItem>
+                      <SelectItem value="createdAt_desc">Created (newest)</SelectItem>
+                      <SelectItem value="createdAt_asc">Created (oldest)</SelectItem>
+                      <SelectItem value="priority_desc">Priority (high → low)</SelectItem>
+                      <SelectItem value="priority_asc">Priority (low → high)</SelectItem>
+                      <SelectItem value="due_asc">SLA due (soonest)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                </div>
+              </div>
+              {parsedQuery.errors.length > 0 && (
+                <ul className="mt-2 space-y-1 text-xs text-red-600" role="alert">
+                  {parsedQuery.errors.map((e, i) => (
+                    <li key={i}><code>{e.term}</code> — {e.message}</li>
+                  ))}
+                </ul>
+              )}
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <Select value="" onValueChange={applyView}>
+                  <SelectTrigger className="rounded-2xl w-48"><SelectValue placeholder="Saved views"/></SelectTrigger>
+                  <SelectContent>
+                    {views.length === 0 && <div className="px-3 py-2 text-xs text-slate-500">No saved views yet</div>}
+                    {views.map((v) => (<SelectItem key={v.id} value={v.id}>{v.name}</SelectItem>))}
+                  </SelectContent>
+                </Select>
+                <Button size="sm" variant="secondary" className="rounded-xl gap-1" onClick={saveView}><Bookmark className="w-4 h-4"/> Save view</Button>
+                <Button size="sm" variant="secondary" className="rounded-xl gap-1" onClick={copyViewLink}><Link2 className="w-4 h-4"/> Copy link</Button>
+                {views.some((v) => v.query === query && v.sortBy === sortBy) && (
+                  <Button
+                    size="sm"
+                    variant="ghost"
+                    className="rounded-xl gap-1"
+                    onClick={() => setViews((prev) => prev.filter((v) => !(v.query === query && v.sortBy === sortBy)))}
+                  >
+                    <X className="w-4 h-4"/> Delete view
+                  </Button>
+                )}
+              </div>
+            </CardContent>
+          </Card>
+
+          {/* Stats */}
+          <div className="grid grid-cols-1 md:grid-cols-7 gap-3">
+            <Kpi title="Total" value={stats.total} />
+            {namesOf(config.statuses).map((s) => (
+              <Kpi key={s} title={s} value={(stats.byStatus?.[s] as number) || 0} />
+            ))}
+            <Kpi title="Breached" value={stats.breached} />
+          </div>
+
+          {undo && (
+            <div className="flex items-center gap-2 rounded-2xl bg-slate-800 p-3 text-sm text-white">
+              <span className="flex-1">{undo.label}.</span>
+              <Button size="sm" variant="secondary" className="rounded-xl gap-1" onClick={undoBulk}><Undo2 className="w-4 h-4"/> Undo</Button>
+              <button aria-label="Dismiss" onClick={() => setUndo(null)}><X className="w-4 h-4"/></button>
+            </div>
+          )}
+
+          {can(currentUser, "triage") && selectedTickets.length > 0 && (
+            <BulkActionBar
+              count={selectedTickets.length}
+              users={users}
+              config={config}
+              canDelete={can(currentUser, "delete")}
+              onApply={bulkUpdate}
+              onMerge={() => setMerging(selectedTickets.map((t) => t.id))}
+              onDelete={bulkDelete}
+              onClear={() => setSelected(new Set())}
+            />
+          )}
+
+          {triage && (
+            <TriagePanel
+              ticket={triageTicket}
+              index={triageIndex}
+              total={filtered.length}
+              sla={triageTicket ? slaById.get(triageTicket.id) : undefined}
+              config={config}
+              keymap={keymap}
+              onMove={moveTriage}
+              onExit={() => setTriage(null)}
+            />
+          )}
+
+          {/* Table */}
+          <Card className="border-none shadow-sm">
+            <CardHeader className="pb-2 flex flex-row items-center justify-between">
+              <CardTitle className="flex items-center gap-2">
+                <Filter className="w-4 h-4"/> Tickets
+              </CardTitle>
+              <div className="flex items-center gap-1" role="group" aria-label="View">
+                {can(currentUser, "triage") && !triage && (
+                  <Button size="sm" variant="ghost" className="rounded-xl gap-1" disabled={!filtered.length} onClick={startTriage} title={`Step through these tickets (${formatKeys(keymap.triage)})`}>
+                    <ListChecks className="w-4 h-4"/> Triage
+                  </Button>
+                )}
+                <Button size="sm" variant={view === "table" ? "default" : "ghost"} className="rounded-xl gap-1" aria-pressed={view === "table"} onClick={() => setView("table")}>
+                  <List className="w-4 h-4"/> Table
+                </Button>
+                <Button size="sm" variant={view === "board" ? "default" : "ghost"} className="rounded-xl gap-1" aria-pressed={view === "board"} onClick={() => setView("board")}>
+                  <LayoutGrid className="w-4 h-4"/> Board
+                </Button>
+              </div>
+            </CardHeader>
+            <CardContent className="p-0">
+              {view === "board" ? (
+                <KanbanBoard
+                  tickets={filtered}
+                  slaById={slaById}
+                  config={config}
+                  canMove={can(currentUser, "triage")}
+                  canEditLimits={can(currentUser, "configure")}
+                  wipLimits={wipLimits}
+                  onWipLimitsChange={setWipLimits}
+                  onMove={changeStatus}
+                  onOpen={setViewingId}
+                />
+              ) : (
+                <div className="overflow-auto">
+                  <Table>
+                    <TableCaption>Local tickets are saved to {store.backend}.</TableCaption>
+                    <TableHeader>
+                      <TableRow>
+                        {can(currentUser, "triage") && (
+                          <TableHead className="w-8">
+                            <input
+                              type="checkbox"
+                              aria-label="Select all tickets in the current filter"
+                              checked={filtered.length > 0 && selectedTickets.length === filtered.length}
+                              ref={(el) => {
+                                if (el) el.indeterminate = selectedTickets.length > 0 && selectedTickets.length < filtered.length;
+                              }}
+                              onChange={(e) => toggleAllFiltered(e.target.checked)}
+                            />
+                          </TableHead>
+                        )}
+                        <TableHead>Title</TableHead>
+                        <TableHead className="min-w-[120px]">Category</TableHead>
+                        <TableHead>Priority</TableHead>
+                        <TableHead>Status</TableHead>
+                        <TableHead className="min-w-[120px]">Requester</TableHead>
+                        <TableHead className="min-w-[120px]">Assignee</TableHead>
+                        <TableHead className="min-w-[160px]">SLA</TableHead>
+                        <TableHead className="min-w-[160px]">Updated</TableHead>
+                        <TableHead className="w-[160px]">Actions</TableHead>
+                      </TableRow>
+                    </TableHeader>
+                    <TableBody>
+                      {pageRows.map((t) => (
+                        <TableRow key={t.id} className={t.id === triageTicket?.id ? "bg-amber-50" : selected.has(t.id) ? "bg-blue-50" : ""}>
+                          {can(currentUser, "triage") && (
+                            <TableCell>
+                              <input
+                                type="checkbox"
+                                aria-label={`Select ${t.title}`}
+                                checked={selected.has(t.id)}
+                                readOnly
+                                onClick={(e) => toggleSelected(t.id, e.shiftKey)}
+                              />
+                            </TableCell>
+                          )}
+                          <TableCell className="font-medium">
+                            <button className="text-left hover:underline" onClick={() => setViewingId(t.id)}>{t.title}</button>
+                            {t.attachments.length > 0 && (
+                              <span className="ml-2 inline-flex items-center gap-0.5 text-xs text-slate-400" title={`${t.attachments.length} attachment(s)`}>
+                                <Paperclip className="w-3 h-3"/>{t.attachments.length}
+                              </span>
+                            )}
+                            {t.links.length > 0 && (
+                              <span className="ml-2 inline-flex items-center gap-0.5 text-xs text-slate-400" title={t.links.map((l) => `${LINK_LABELS[l.kind]} ${ticketToken(l.id)}`).join(", ")}>
+                                <Link2 className="w-3 h-3"/>{t.links.length}
+                              </span>
+                            )}
+                          </TableCell>
+                          <TableCell>{t.category}{t.subcategory && <span className="text-slate-400"> › {t.subcategory}</span>}</TableCell>
+                          <TableCell>
+                            <span className={`px-2 py-1 rounded-2xl text-xs ${badgeClass(config.priorities, t.priority)}`}>{t.priority}</span>
+                          </TableCell>
+                          <TableCell>
+                            <span className={`px-2 py-1 rounded-2xl text-xs ${badgeClass(config.statuses, t.status)}`}>{t.status}</span>
+                          </TableCell>
+                          <TableCell>{t.requester}</TableCell>
+                          <TableCell>{t.assignee || "–"}</TableCell>
+                          <TableCell>
+                            <SlaBadge clock={slaById.get(t.id)!.current} />
+                          </TableCell>
+                          <TableCell title={new Date(t.updatedAt).toLocaleString()}>{new Date(t.updatedAt).toLocaleString()}</TableCell>
+                          <TableCell>
+                            <div className="flex items-center gap-2">
+                              {can(currentUser, "triage") && (
+                                <>
+                                  <TooltipProvider>
+                                    <Tooltip>
+                                      <TooltipTrigger asChild>
+                                        <Button size="sm" variant="secondary" className="rounded-xl" onClick={() => setEditing(t)}>
+                                          <Edit3 className="w-4 h-4"/>
+                                        </Button>
+                                      </TooltipTrigger>
+                                      <TooltipContent>Edit</TooltipContent>
+                                    </Tooltip>
+                                  </TooltipProvider>
+
+                                  <QuickStatusMenu statuses={allowedStatuses(config, t).filter((s) => s !== t.status)} onChange={(s) => changeStatus(t.id, s)} />
+                                </>
+                              )}
+
+                              {can(currentUser, "delete") && (
+                                <TooltipProvider>
+                                  <Tooltip>
+                                    <TooltipTrigger asChild>
+                                      <Button size="sm" variant="destructive" className="rounded-xl" onClick={() => removeTicket(t.id)}>
+                                        <Trash2 className="w-4 h-4"/>
+                                      </Button>
+                                    </TooltipTrigger>
+                                    <TooltipContent>Delete</TooltipContent>
+                                  </Tooltip>
+                                </TooltipProvider>
+                              )}
+
+                              {!can(currentUser, "triage") && (
+                                <Button size="sm" variant="secondary" className="rounded-xl gap-1" onClick={() => setViewingId(t.id)}>
+                                  <MessageSquare className="w-4 h-4"/> Reply
+                                </Button>
+                              )}
+                            </div>
+                          </TableCell>
+                        </TableRow>
+                      ))}
+                    </TableBody>
+                  </Table>
+                  <TablePager
+                    page={currentPage}
+                    pageCount={pageCount}
+                    pageSize={pageSize}
+                    total={filtered.length}
+                    onPageChange={setTablePage}
+                    onPageSizeChange={setPageSize}
+                  />
+                </div>
+              )}
+            </CardContent>
+          </Card>
+          </>
+        )}
+
+        {/* Edit Dialog */}
+        <Dialog open={!!editing} onOpenChange={(open) => !open && setEditing(null)}>
+          <DialogContent className="sm:max-w-2xl">
+            <DialogHeader>
+              <DialogTitle>Edit Ticket</DialogTitle>
+            </DialogHeader>
+            {editing && (
+              <TicketForm
+                initial={editing}
+                users={users}
+                assets={assets}
+                config={config}
+                canTriage={can(currentUser, "triage")}
+                files={files}
+                onSubmit={(data, picked, comment) => upsertTicket(data, editing, picked, comment)}
+                onCancel={() => setEditing(null)}
+              />
+            )}
+          </DialogContent>
+        </Dialog>
+
+        {/* Detail Dialog */}
+        <Dialog open={!!viewing} onOpenChange={(open) => !open && setViewingId(null)}>
+          <DialogContent className="sm:max-w-3xl">
+            <DialogHeader>
+              <DialogTitle>{viewing?.title}</DialogTitle>
+            </DialogHeader>
+            {viewing && (
+              <TicketDetail
+                ticket={viewing}
+                tickets={visibleTickets}
+                assets={assets.filter((a) => viewing.assetIds.includes(a.id))}
+                duplicates={viewingDuplicates}
+                sla={slaById.get(viewing.id)!}
+                config={config}
+                onCreateArticle={
+                  can(currentUser, "writeArticles") && isDone(config, viewing.status)
+                    ? () => {
+                        setArticleDraft(articleFromTicket(viewing, actor));
+                        setViewingId(null);
+                      }
+                    : undefined
+                }
+                canNote={can(currentUser, "internalNotes")}
+                canLink={can(currentUser, "triage")}
+                files={files}
+                canRemoveFiles={can(currentUser, "triage")}
+                onAdd={(kind, body, picked) => addEntry(viewing.id, kind, body, picked)}
+                onRemoveFile={(attachmentId) => removeAttachment(viewing.id, attachmentId)}
+                onOpen={setViewingId}
+                onLink={(link, add) => linkTicket(viewing.id, link, add)}
+                onMerge={(otherId) => setMerging([viewing.id, otherId])}
+                onOpenAsset={
+                  can(currentUser, "viewAll")
+                    ? (id) => {
+                        setViewingId(null);
+                        setViewingAssetId(id);
+                      }
+                    : undefined
+                }
+              />
+            )}
+          </DialogContent>
+        </Dialog>
+
+        {/* Command palette */}
+        <Dialog open={paletteOpen} onOpenChange={setPaletteOpen}>
+          <DialogContent className="sm:max-w-xl">
+            <DialogHeader>
+              <DialogTitle>Commands</DialogTitle>
+            </DialogHeader>
+            {paletteOpen && <PickList placeholder="Type a command, or a ticket number or title" search={paletteSearch} onPick={runPaletteItem} />}
+          </DialogContent>
+        </Dialog>
+
+        {/* Triage pickers */}
+        <Dialog open={!!triagePick && !!triageTicket} onOpenChange={(open) => !open && setTriagePick(null)}>
+          <DialogContent className="sm:max-w-md">
+            <DialogHeader>
+              <DialogTitle>{triagePick === "status" ? "Set status" : "Assign"}{triageTicket && ` · ${ticketToken(triageTicket.id)}`}</DialogTitle>
+            </DialogHeader>
+            {triagePick && triageTicket && (
+              <PickList
+                placeholder={triagePick === "status" ? "Status" : "Agent"}
+                search={(query) =>
+                  (triagePick === "status"
+                    ? allowedStatuses(config, triageTicket).filter((s) => s !== triageTicket.status).map((s) => ({ id: s, label: s }))
+                    : [...users.filter(isAssignable).map((u) => ({ id: u.name, label: u.name })), { id: "", label: "Unassigned" }]
+                  ).filter((o) => o.label.toLowerCase().includes(query.trim().toLowerCase()))
+                }
+                onPick={(item) => {
+                  setTriagePick(null);
+                  if (triagePick === "status") changeStatus(triageTicket.id, item.id);
+                  else patchTicket(triageTicket.id, { assignee: item.id });
+                }}
+              />
+            )}
+          </DialogContent>
+        </Dialog>
+
+        {/* Keyboard shortcuts */}
+        <Dialog open={helpOpen} onOpenChange={setHelpOpen}>
+          <DialogContent className="sm:max-w-lg">
+            <DialogHeader>
+              <DialogTitle>Keyboard shortcuts</DialogTitle>
+            </DialogHeader>
+            <ShortcutHelp keymap={keymap} config={config} onChange={setKeymap} />
+          </DialogContent>
+        </Dialog>
+
+        {/* Merge */}
+        <Dialog open={!!merging} onOpenChange={(open) => !open && setMerging(null)}>
+          <DialogContent className="sm:max-w-xl">
+            <DialogHeader>
+              <DialogTitle>Merge tickets</DialogTitle>
+            </DialogHeader>
+            {merging && (
+              <MergeForm
+                tickets={tickets.filter((t) => merging.includes(t.id))}
+                onMerge={(primaryId) => mergeInto(primaryId, merging)}
+                onCancel={() => setMerging(null)}
+              />
+            )}
+          </DialogContent>
+        </Dialog>
+
+        {/* Knowledge base article */}
+        <Dialog open={!!articleDraft} onOpenChange={(open) => !open && setArticleDraft(null)}>
+          <DialogContent className="sm:max-w-2xl">
+            <DialogHeader>
+              <DialogTitle>{articleDraft?.id ? "Edit article" : "New article"}</DialogTitle>
+            </DialogHeader>
+            {articleDraft && <ArticleForm initial={articleDraft} config={config} onSave={saveArticle} onCancel={() => setArticleDraft(null)} />}
+          </DialogContent>
+        </Dialog>
+
+        {/* Asset */}
+        <Dialog open={!!viewingAsset} onOpenChange={(open) => !open && setViewingAssetId(null)}>
+          <DialogContent className="sm:max-w-2xl">
+            <DialogHeader>
+              <DialogTitle>{viewingAsset && `${viewingAsset.tag} · ${viewingAsset.type}`}</DialogTitle>
+            </DialogHeader>
+            {viewingAsset && (
+              <AssetDetail
+                asset={viewingAsset}
+                tickets={assetTickets.get(viewingAsset.id) || []}
+                config={config}
+                now={now}
+                onOpenTicket={(id) => {
+                  setViewingAssetId(null);
+                  setViewingId(id);
+                }}
+                onEdit={
+                  can(currentUser, "manageAssets")
+                    ? () => {
+                        setViewingAssetId(null);
+                        setAssetDraft(viewingAsset);
+                      }
+                    : undefined
+                }
+                onRemove={can(currentUser, "manageAssets") ? () => removeAsset(viewingAsset.id) : undefined}
+              />
+            )}
+          </DialogContent>
+        </Dialog>
+
+        <Dialog open={!!assetDraft} onOpenChange={(open) => !open && setAssetDraft(null)}>
+          <DialogContent className="sm:max-w-2xl">
+            <DialogHeader>
+              <DialogTitle>{assetDraft?.id ? `Edit ${assetDraft.tag}` : "New asset"}</DialogTitle>
+            </DialogHeader>
+            {assetDraft && <AssetForm initial={assetDraft} assets={assets} users={users} onSave={saveAsset} onCancel={() => setAssetDraft(null)} />}
+          </DialogContent>
+        </Dialog>
+
+        {/* Status change that needs more input */}
+        <Dialog open={!!transitionTicket} onOpenChange={(open) => !open && setTransition(null)}>
+          <DialogContent className="sm:max-w-lg">
+            <DialogHeader>
+              <DialogTitle>Move to {transition?.to}</DialogTitle>
+            </DialogHeader>
+            {transition && transitionTicket && (
+              <TransitionForm
+                ticket={transitionTicket}
+                to={transition.to}
+                config={config}
+                onSubmit={(fields, comment) => changeStatus(transitionTicket.id, transition.to, fields, comment)}
+                onCancel={() => setTransition(null)}
+              />
+            )}
+          </DialogContent>
+        </Dialog>
+
+        {/* Sync Conflicts */}
+        <Dialog open={showConflicts && sync.conflicts.length > 0} onOpenChange={setShowConflicts}>
+          <DialogContent className="sm:max-w-3xl">
+            <DialogHeader>
+              <DialogTitle>Resolve sync conflicts</DialogTitle>
+            </DialogHeader>
+            <SyncConflicts conflicts={sync.conflicts} onResolve={sync.resolveConflict} />
+          </DialogContent>
+        </Dialog>
+
+        {/* Footer */}
+        <div className="text-xs text-slate-400 text-center py-6">Local demo app • Optional server sync via helpdesk_sync_server.mjs.</div>
+      </div>
+    </div>
+  );
+}
+
+function Kpi({ title, value }: { title: string; value: number }) {
+  return (
+    <Card className="border-none shadow-sm">
+      <CardContent className="p-4">
+        <div className="space-y-1">
+          <div className="text-sm text-slate-500">{title}</div>
+          <div className="text-2xl font-semibold">{value}</div>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+const REPORT_PRESETS = [7, 30, 90];
+
+function ReportsPage({ tickets, now, config }: { tickets: Ticket[]; now: number; config: HelpdeskConfig }) {
+  const [from, setFrom] = useState(() => dayKey(localDay(now - 29 * DAY_MS)));
+  const [to, setTo] = useState(() => dayKey(localDay(now)));
+  const [unit, setUnit] = useState<ReportBucket>("day");
+  const fromMs = new Date(`${from}T00:00:00`).getTime();
+  const toMs = new Date(`${to}T23:59:59.999`).getTime();
+  const valid = !Number.isNaN(fromMs) && !Number.isNaN(toMs) && fromMs <= toMs;
+  const report = useMemo(() => (valid ? buildReport(tickets, fromMs, toMs, unit, now, config) : null), [tickets, fromMs, toMs, unit, now, valid, config]);
+
+  const download = (name: string, rows: (string | number)[][]) => downloadFile(`${name}-${from}-to-${to}.csv`, "text/csv", toCsv(rows));
+  const meanRows = (rows: MeanRow[]) => rows.map((r) => [r.key, r.count, Math.round(r.meanMins)]);
+
+  return (
+    <div className="space-y-6">
+      <Card className="border-none shadow-sm">
+        <CardContent className="p-4 flex flex-wrap items-end gap-3">
+          <div className="space-y-1">
+            <Label className="text-xs text-slate-500">From</Label>
+            <Input type="date" value={from} max={to} onChange={(e) => setFrom(e.target.value)} className="rounded-2xl"/>
+          </div>
+          <div className="space-y-1">
+            <Label className="text-xs text-slate-500">To</Label>
+            <Input type="date" value={to} min={from} onChange={(e) => setTo(e.target.value)} className="rounded-2xl"/>
+          </div>
+          {REPORT_PRESETS.map((days) => (
+            <Button
+              key={days}
+              size="sm"
+              variant="secondary"
+              className="rounded-xl"
+              onClick={() => {
+                setFrom(dayKey(localDay(now - (days - 1) * DAY_MS)));
+                setTo(dayKey(localDay(now)));
+              }}
+            >
+              Last {days} days
+            </Button>
+          ))}
+          <div className="space-y-1">
+            <Label className="text-xs text-slate-500">Group by</Label>
+            <Select value={unit} onValueChange={(v) => setUnit(v as ReportBucket)}>
+              <SelectTrigger className="rounded-2xl w-32"><SelectValue/></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="day">Day</SelectItem>
+                <SelectItem value="week">Week</SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+          {!valid && <span className="text-sm text-red-600">Pick a start date on or before the end date.</span>}
+        </CardContent>
+      </Card>
+
+      {report && (
+        <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
+          <ReportCard
+            title="Opened vs resolved"
+            className="lg:col-span-2"
+            onDownload={() => download("opened-vs-resolved", [["bucket", "opened", "resolved"], ...report.throughput.map((b) => [b.bucket, b.opened, b.resolved])])}
+          >
+            <ThroughputChart data={report.throughput} />
+          </ReportCard>
+
+          <ReportCard
+            title="Mean time to first response"
+            onDownload={() =>
+              download("first-response", [
+                ["group", "key", "tickets", "mean_minutes"],
+                ...meanRows(report.responseByCategory).map((r) => ["category", ...r]),
+                ...meanRows(report.responseByPriority).map((r) => ["priority", ...r]),
+              ])
+            }
+          >
+            <MeanBars heading="By category" rows={report.responseByCategory} />
+            <MeanBars heading="By priority" rows={report.responseByPriority} />
+          </ReportCard>
+
+          <ReportCard
+            title="Mean time to resolution"
+            onDownload={() =>
+              download("resolution", [
+                ["group", "key", "tickets", "mean_minutes"],
+                ...meanRows(report.resolutionByCategory).map((r) => ["category", ...r]),
+                ...meanRows(report.resolutionByPriority).map((r) => ["priority", ...r]),
+              ])
+            }
+          >
+            <MeanBars heading="By category" rows={report.resolutionByCategory} />
+            <MeanBars heading="By priority" rows={report.resolutionByPriority} />
+          </ReportCard>
+
+          <ReportCard title="Backlog age (open now)" onDownload={() => download("backlog-age", [["age", "tickets"], ...report.backlogAges.map((b) => [b.label, b.count])])}>
+            {report.backlogAges.map((b) => (
+              <HBar key={b.label} label={b.label} value={b.count} max={Math.max(1, ...report.backlogAges.map((x) => x.count))} display={String(b.count)} />
+            ))}
+          </ReportCard>
+
+          <ReportCard
+            title="Open load per assignee"
+            onDownload={() => download("assignee-load", [["assignee", "open", ...namesOf(config.priorities)], ...report.workload.map((w) => [w.assignee, w.total, ...w.byPriority])])}
+          >
+            {report.workload.length === 0 && <div className="text-sm text-slate-400">No open tickets.</div>}
+            {report.workload.map((w) => {
+              const max = Math.max(...report.workload.map((x) => x.total));
+              return (
+                <div key={w.assignee} className="grid grid-cols-[8rem_1fr_2rem] items-center gap-2 text-xs">
+                  <span className="truncate">{w.assignee}</span>
+                  <div className="flex h-3 overflow-hidden rounded-full bg-slate-100" style={{ width: `${(w.total / max) * 100}%` }}>
+                    {namesOf(config.priorities).map((p, i) => (
+                      <div key={p} title={`${p}: ${w.byPriority[i]}`} className={barClass(config.priorities, p)} style={{ width: `${(w.byPriority[i] / w.total) * 100}%` }}/>
+                    ))}
+                  </div>
+                  <span className="text-right">{w.total}</span>
+                </div>
+              );
+            })}
+          </ReportCard>
+        </div>
+      )}
+    </div>
+  );
+}
+
+function ReportCard({ title, className = "", onDownload, children }: { title: string; className?: string; onDownload: () => void; children: React.ReactNode }) {
+  return (
+    <Card className={`border-none shadow-sm ${className}`}>
+      <CardHeader className="pb-2 flex flex-row items-center justify-between">
+        <CardTitle className="text-base">{title}</CardTitle>
+        <Button size="sm" variant="ghost" className="rounded-xl gap-1" onClick={onDownload}><Download className="w-4 h-4"/> CSV</Button>
+      </CardHeader>
+      <CardContent className="space-y-2">{children}</CardContent>
+    </Card>
+  );
+}
+
+function HBar({ label, value, max, display }: { label: string; value: number; max: number; display: string }) {
+  return (
+    <div className="grid grid-cols-[8rem_1fr_4rem] items-center gap-2 text-xs">
+      <span className="truncate">{label}</span>
+      <div className="h-3 rounded-full bg-slate-100">
+        <div className="h-3 rounded-full bg-blue-400" style={{ width: `${max ? (value / max) * 100 : 0}%` }}/>
+      </div>
+      <span className="text-right">{display}</span>
+    </div>
+  );
+}
+
+function MeanBars({ heading, rows }: { heading: string; rows: MeanRow[] }) {
+  const max = Math.max(1, ...rows.map((r) => r.meanMins));
+  return (
+    <div className="space-y-1">
+      <div className="text-xs font-medium text-slate-500">{heading}</div>
+      {rows.length === 0 && <div className="text-xs text-slate-400">No data in this range.</div>}
+      {rows.map((r) => (
+        <HBar key={r.key} label={`${r.key} (${r.count})`} value={r.meanMins} max={max} display={formatMins(r.meanMins)} />
+      ))}
+    </div>
+  );
+}
+
+function ThroughputChart({ data }: { data: { bucket: string; opened: number; resolved: number }[] }) {
+  const max = Math.max(1, ...data.map((d) => Math.max(d.opened, d.resolved)));
+  return (
+    <div className="space-y-2">
+      <div className="flex h-48 items-end gap-1 overflow-x-auto">
+        {data.map((d) => (
+          <div key={d.bucket} className="flex h-full min-w-[14px] flex-1 items-end gap-px" title={`${d.bucket}: ${d.opened} opened, ${d.resolved} resolved`}>
+            <div className="flex-1 rounded-t bg-blue-400" style={{ height: `${(d.opened / max) * 100}%` }}/>
+            <div className="flex-1 rounded-t bg-emerald-400" style={{ height: `${(d.resolved / max) * 100}%` }}/>
+          </div>
+        ))}
+      </div>
+      <div className="flex justify-between text-xs text-slate-500">
+        <span>{data[0]?.bucket}</span>
+        <span className="flex items-center gap-3">
+          <span className="flex items-center gap-1"><span className="inline-block w-2 h-2 rounded-full bg-blue-400"/> Opened</span>
+          <span className="flex items-center gap-1"><span className="inline-block w-2 h-2 rounded-full bg-emerald-400"/> Resolved</span>
+        </span>
+        <span>{data[data.length - 1]?.bucket}</span>
+      </div>
+    </div>
+  );
+}
+
+const blankArticle = (): KbArticle => ({ id: "", title: "", category: "", body: "", author: "", createdAt: "", updatedAt: "", helpful: 0 });
+
+// The portal is all requesters see: a guided request form per category, their own tickets, and the knowledge base.
+function RequesterPortal({
+  user,
+  tickets,
+  articles,
+  assets,
+  config,
+  files,
+  onSubmit,
+  onOpen,
+  onHelpful,
+}: {
+  user: User;
+  tickets: Ticket[];
+  articles: KbArticle[];
+  assets: Asset[]; // the requester's own
+  config: HelpdeskConfig;
+  files: FileStore | null;
+  onSubmit: (data: Partial<Ticket>, files: File[]) => void;
+  onOpen: (id: string) => void;
+  onHelpful: (articleId: string) => void;
+}) {
+  const [tab, setTab] = useState<"new" | "mine" | "kb">(() => (tickets.length ? "mine" : "new"));
+  const [notice, setNotice] = useState("");
+  const [formKey, setFormKey] = useState(0);
+  const sorted = useMemo(() => [...tickets].sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)), [tickets]);
+  const open = tickets.filter((t) => !isDone(config, t.status)).length;
+
+  const solved = (articleId: string) => {
+    onHelpful(articleId);
+    setNotice("Glad that helped. No ticket was filed.");
+    setFormKey((k) => k + 1);
+  };
+
+  return (
+    <div className="space-y-4">
+      <nav className="flex items-center gap-1" aria-label="Portal">
+        <Button size="sm" variant={tab === "new" ? "default" : "ghost"} className="rounded-xl gap-1" onClick={() => setTab("new")}>
+          <Plus className="w-4 h-4"/> New request
+        </Button>
+        <Button size="sm" variant={tab === "mine" ? "default" : "ghost"} className="rounded-xl gap-1" onClick={() => setTab("mine")}>
+          <List className="w-4 h-4"/> My requests{open ? ` (${open} open)` : ""}
+        </Button>
+        <Button size="sm" variant={tab === "kb" ? "default" : "ghost"} className="rounded-xl gap-1" onClick={() => setTab("kb")}>
+          <BookOpen className="w-4 h-4"/> Knowledge base
+        </Button>
+      </nav>
+      {notice && (
+        <div className="flex items-center gap-2 rounded-2xl bg-emerald-50 p-3 text-sm text-emerald-700">
+          <CheckCircle2 className="w-4 h-4 shrink-0"/>
+          <span className="flex-1">{notice}</span>
+          <button aria-label="Dismiss" onClick={() => setNotice("")}><X className="w-4 h-4"/></button>
+        </div>
+      )}
+      <Card className="border-none shadow-sm">
+        <CardContent className="p-4">
+          {tab === "new" && (
+            <PortalRequestForm
+              key={formKey}
+              config={config}
+              articles={articles}
+              assets={assets}
+              files={files}
+              onSolved={solved}
+              onSubmit={(data, picked) => {
+                onSubmit(data, picked);
+                setNotice(`Thanks, ${user.name}. "${data.title}" was submitted; you can follow it here.`);
+                setFormKey((k) => k + 1);
+                setTab("mine");
+              }}
+            />
+          )}
+          {tab === "mine" &&
+            (sorted.length === 0 ? (
+              <div className="py-6 text-center text-sm text-slate-500">You haven't filed any requests yet.</div>
+            ) : (
+              <ul className="divide-y">
+                {sorted.map((t) => (
+                  <li key={t.id} className="flex flex-wrap items-center gap-3 py-2 text-sm">
+                    <button className="flex-1 text-left font-medium hover:underline" onClick={() => onOpen(t.id)}>{t.title}</button>
+                    <span className="font-mono text-xs text-slate-400">{ticketToken(t.id)}</span>
+                    <span className="text-xs text-slate-500">updated {new Date(t.updatedAt).toLocaleDateString()}</span>
+                    <span className={`px-2 py-1 rounded-2xl text-xs ${badgeClass(config.statuses, t.status)}`}>{t.status}</span>
+                  </li>
+                ))}
+              </ul>
+            ))}
+          {tab === "kb" && <KnowledgeBase articles={articles} onHelpful={solved} />}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
+
+function PortalRequestForm({
+  config,
+  articles,
+  assets,
+  files,
+  onSubmit,
+  onSolved,
+}: {
+  config: HelpdeskConfig;
+  articles: KbArticle[];
+  assets: Asset[];
+  files: FileStore | null;
+  onSubmit: (data: Partial<Ticket>, files: File[]) => void;
+  onSolved: (articleId: string) => void;
+}) {
+  const [category, setCategory] = useState("");
+  const [form, setForm] = useState<Partial<Ticket>>({ title: "", description: "", subcategory: "", priority: defaultPriority(config), fields: {}, assetIds: [] });
+  const [pending, setPending] = useState<File[]>([]);
+  const [error, setError] = useState("");
+  const def = config.categories.find((c) => c.name === category);
+  const suggestions = useMemo(() => searchArticles(articles, form.title || "", category, KB_SUGGESTIONS), [articles, form.title, category]);
+
+  if (!def) {
+    return (
+      <div className="space-y-3">
+        <div className="text-sm font-medium">What do you need help with?</div>
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {config.categories.map((c) => (
+            <button key={c.name} type="button" onClick={() => setCategory(c.name)} className="space-y-1 rounded-2xl border bg-white p-4 text-left hover:bg-slate-50">
+              <div className="font-medium">{c.name}</div>
+              {c.hint && <div className="text-xs text-slate-500">{c.hint}</div>}
+            </button>
+          ))}
+        </div>
+      </div>
+    );
+  }
+
+  const submit = (e: React.FormEvent) => {
+    e.preventDefault();
+    const missing = config.fields.filter((f) => f.required && !(form.fields![f.id] || "").trim());
+    if (missing.length) return setError(`Still needed: ${missing.map((f) => f.label).join(", ")}.`);
+    onSubmit({ ...form, category }, pending);
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div className="flex items-center gap-2 text-sm">
+        <span className="font-medium">{category}</span>
+        <Button type="button" size="sm" variant="ghost" className="rounded-xl" onClick={() => setCategory("")}>Change</Button>
+      </div>
+      <div className="space-y-2">
+        <Label>Summary</Label>
+        <Input required autoFocus placeholder="e.g. VPN disconnects every few minutes" value={form.title} onChange={(e) => setForm((f) => ({ ...f, title: e.target.value }))} className="rounded-2xl"/>
+      </div>
+      {suggestions.length > 0 && (
+        <div className="space-y-2 rounded-2xl bg-sky-50 p-3 text-sm">
+          <div className="flex items-center gap-2 font-medium text-sky-800"><BookOpen className="w-4 h-4"/> These articles might already answer it</div>
+          {suggestions.map((a) => (
+            <details key={a.id} className="rounded-xl bg-white p-2">
+              <summary className="cursor-pointer font-medium">{a.title}</summary>
+              <p className="mt-2 whitespace-pre-wrap text-slate-700">{a.body}</p>
+              <Button type="button" size="sm" variant="secondary" className="mt-2 rounded-xl gap-1" onClick={() => onSolved(a.id)}>
+                <CheckCircle2 className="w-4 h-4"/> This solved it
+              </Button>
+            </details>
+          ))}
+        </div>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        {def.subcategories.length > 0 && (
+          <div className="space-y-2">
+            <Label>Type of problem</Label>
+            <Select value={form.subcategory || NO_OPTION} onValueChange={(v) => setForm((f) => ({ ...f, subcategory: v === NO_OPTION ? "" : v }))}>
+              <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
+              <SelectContent>
+                <SelectItem value={NO_OPTION}>Not sure</SelectItem>
+                {def.subcategories.map((s) => (<SelectItem key={s} value={s}>{s}</SelectItem>))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+        <div className="space-y-2">
+          <Label>How urgent is it?</Label>
+          <Select value={form.priority} onValueChange={(v) => setForm((f) => ({ ...f, priority: v }))}>
+            <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
+            <SelectContent>
+              {namesOf(config.priorities).map((p) => (<SelectItem key={p} value={p}>{p}</SelectItem>))}
+            </SelectContent>
+          </Select>
+        </div>
+        {config.fields.map((field) => (
+          <div key={field.id} className="space-y-2">
+            <Label>{field.label}{field.required && " *"}</Label>
+            <CustomFieldInput field={field} value={form.fields?.[field.id] || ""} onChange={(v) => setForm((f) => ({ ...f, fields: { ...f.fields, [field.id]: v } }))} />
+          </div>
+        ))}
+      </div>
+      <div className="space-y-2">
+        <Label>Details</Label>
+        <AttachmentDrop pending={pending} onChange={setPending} disabled={!files}>
+          <Textarea rows={5} placeholder={def.hint} value={form.description} onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))} className="rounded-2xl"/>
+        </AttachmentDrop>
+      </div>
+      {assets.length > 0 && (
+        <div className="space-y-2">
+          <Label>Which device is it about?</Label>
+          <AssetPicker assets={assets} owner="" value={form.assetIds!} searchable={false} onChange={(assetIds) => setForm((f) => ({ ...f, assetIds }))} />
+        </div>
+      )}
+      <div className="flex items-center gap-2 justify-end">
+        {error && <span className="mr-auto text-sm text-red-600">{error}</span>}
+        <Button type="submit" className="rounded-2xl gap-2"><CheckCircle2 className="w-4 h-4"/> Submit request</Button>
+      </div>
+    </form>
+  );
+}
+
+// Searchable article list. Editing controls only appear when their handlers are passed (agents); requesters
+// get "This solved it" instead.
+function KnowledgeBase({
+  articles,
+  onNew,
+  onEdit,
+  onRemove,
+  onHelpful,
+  onOpenTicket,
+}: {
+  articles: KbArticle[];
+  onNew?: () => void;
+  onEdit?: (article: KbArticle) => void;
+  onRemove?: (id: string) => void;
+  onHelpful?: (id: string) => void;
+  onOpenTicket?: (id: string) => void;
+}) {
+  const [query, setQuery] = useState("");
+  const [thanked, setThanked] = useState<Set<string>>(() => new Set());
+  const list = useMemo(
+    () => (query.trim() ? searchArticles(articles, query) : [...articles].sort((a, b) => b.helpful - a.helpful || b.updatedAt.localeCompare(a.updatedAt))),
+    [articles, query]
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400"/>
+          <Input placeholder="Search articles" aria-label="Search articles" value={query} onChange={(e) => setQuery(e.target.value)} className="pl-9 rounded-2xl"/>
+        </div>
+        {onNew && <Button className="rounded-2xl gap-2" onClick={onNew}><Plus className="w-4 h-4"/> New article</Button>}
+      </div>
+      <div className="divide-y rounded-2xl border">
+        {list.map((a) => (
+          <details key={a.id} className="px-3 py-2 text-sm">
+            <summary className="flex cursor-pointer items-center gap-2">
+              <span className="flex-1 font-medium">{a.title}</span>
+              {a.category && <span className="text-xs text-slate-500">{a.category}</span>}
+              {a.helpful > 0 && <span className="text-xs text-emerald-600" title="Requests answered without filing a ticket">helped {a.helpful}×</span>}
+              {onEdit && <Button size="sm" variant="secondary" className="rounded-xl" aria-label={`Edit ${a.title}`} onClick={() => onEdit(a)}><Edit3 className="w-4 h-4"/></Button>}
+              {onRemove && (
+                <Button size="sm" variant="destructive" className="rounded-xl" aria-label={`Delete ${a.title}`} onClick={() => confirm(`Delete article "${a.title}"?`) && onRemove(a.id)}>
+                  <Trash2 className="w-4 h-4"/>
+                </Button>
+              )}
+            </summary>
+            <p className="mt-2 whitespace-pre-wrap text-slate-700">{a.body}</p>
+            <div className="mt-2 flex flex-wrap items-center gap-2 text-xs text-slate-500">
+              <span>{a.author ? `${a.author}, ` : ""}updated {new Date(a.updatedAt).toLocaleDateString()}</span>
+              {onOpenTicket && a.sourceTicketId && (
+                <button className="font-mono hover:underline" title="Open the ticket this was written from" onClick={() => onOpenTicket(a.sourceTicketId!)}>
+                  {ticketToken(a.sourceTicketId)}
+                </button>
+              )}
+              {onHelpful && (
+                <Button
+                  size="sm"
+                  variant="secondary"
+                  className="ml-auto rounded-xl gap-1"
+                  disabled={thanked.has(a.id)}
+                  onClick={() => {
+                    setThanked((prev) => new Set(prev).add(a.id));
+                    onHelpful(a.id);
+                  }}
+                >
+                  <CheckCircle2 className="w-4 h-4"/> This solved it
+                </Button>
+              )}
+            </div>
+          </details>
+        ))}
+        {list.length === 0 && <div className="px-3 py-6 text-center text-sm text-slate-500">{articles.length ? "No articles match." : "No articles yet."}</div>}
+      </div>
+    </div>
+  );
+}
+
+function ArticleForm({ initial, config, onSave, onCancel }: { initial: KbArticle; config: HelpdeskConfig; onSave: (article: KbArticle) => void; onCancel: () => void }) {
+  const [draft, setDraft] = useState(initial);
+
+  const submit = (e: React.FormEvent) => {
+    e.preventDefault();
+    onSave({ ...draft, title: draft.title.trim(), body: draft.body.trim() });
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      {initial.sourceTicketId && (
+        <p className="text-xs text-slate-500">
+          Drafted from {ticketToken(initial.sourceTicketId)}. Requesters can read articles, so take out names and anything else personal.
+        </p>
+      )}
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <div className="space-y-2 md:col-span-2">
+          <Label>Title</Label>
+          <Input required value={draft.title} onChange={(e) => setDraft((d) => ({ ...d, title: e.target.value }))} className="rounded-2xl"/>
+        </div>
+        <div className="space-y-2">
+          <Label>Category</Label>
+          <Select value={draft.category || NO_OPTION} onValueChange={(v) => setDraft((d) => ({ ...d, category: v === NO_OPTION ? "" : v }))}>
+            <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
+            <SelectContent>
+              <SelectItem value={NO_OPTION}>Any category</SelectItem>
+              {namesOf(config.categories).map((c) => (<SelectItem key={c} value={c}>{c}</SelectItem>))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+      <div className="space-y-2">
+        <Label>Article</Label>
+        <Textarea required rows={10} value={draft.body} onChange={(e) => setDraft((d) => ({ ...d, body: e.target.value }))} className="rounded-2xl"/>
+      </div>
+      <div className="flex items-center gap-2 justify-end">
+        <Button type="button" variant="secondary" onClick={onCancel} className="rounded-2xl">Cancel</Button>
+        <Button type="submit" className="rounded-2xl gap-2"><CheckCircle2 className="w-4 h-4"/> Save article</Button>
+      </div>
+    </form>
+  );
+}
+
+const blankAsset = (): Asset => ({ id: "", tag: "", type: ASSET_TYPES[0], serial: "", owner: "", location: "", warrantyUntil: "", notes: "", createdAt: "", updatedAt: "" });
+
+function AssetRegistry({
+  assets,
+  tickets,
+  now,
+  onOpen,
+  onNew,
+  onImport,
+}: {
+  assets: Asset[];
+  tickets: Map<string, Ticket[]>; // by asset id, see ticketsByAsset
+  now: number;
+  onOpen: (id: string) => void;
+  onNew?: () => void;
+  onImport?: (assets: Asset[]) => void;
+}) {
+  const [query, setQuery] = useState("");
+  const [type, setType] = useState("All");
+  const [order, setOrder] = useState<"tag" | "tickets" | "warranty">("tag");
+  const [preview, setPreview] = useState<AssetImportPreview | null>(null);
+  const [error, setError] = useState("");
+  const recent = (a: Asset) => recentTicketCount(tickets.get(a.id) || [], now);
+  const list = useMemo(() => {
+    const needle = query.trim().toLowerCase();
+    const shown = assets.filter((a) => (type === "All" || a.type === type) && (!needle || assetSearchText(a).includes(needle)));
+    const warrantyKey = (a: Asset) => a.warrantyUntil || "9999";
+    return shown.sort((a, b) =>
+      order === "tickets" ? recent(b) - recent(a) || a.tag.localeCompare(b.tag) : order === "warranty" ? warrantyKey(a).localeCompare(warrantyKey(b)) : a.tag.localeCompare(b.tag)
+    );
+  }, [assets, tickets, now, query, type, order]);
+  const types = [...new Set([...ASSET_TYPES, ...assets.map((a) => a.type)])];
+
+  const pickFile = async (file?: File) => {
+    setPreview(null);
+    setError("");
+    if (!file) return;
+    try {
+      setPreview(buildAssetImport(await file.text(), assets));
+    } catch (e: any) {
+      setError(`Could not read ${file.name}: ${e?.message || e}`);
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="relative flex-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 w-4 h-4 text-slate-400"/>
+          <Input placeholder="Search tag, serial, owner or location" aria-label="Search assets" value={query} onChange={(e) => setQuery(e.target.value)} className="pl-9 rounded-2xl"/>
+        </div>
+        <Select value={type} onValueChange={setType}>
+          <SelectTrigger className="rounded-2xl w-40"><SelectValue/></SelectTrigger>
+          <SelectContent>
+            <SelectItem value="All">All types</SelectItem>
+            {types.map((t) => (<SelectItem key={t} value={t}>{t}</SelectItem>))}
+          </SelectContent>
+        </Select>
+        <Select value={order} onValueChange={(v) => setOrder(v as "tag" | "tickets" | "warranty")}>
+          <SelectTrigger className="rounded-2xl w-48"><SelectValue/></SelectTrigger>
+          <SelectContent>
+            <SelectItem value="tag">By tag</SelectItem>
+            <SelectItem value="tickets">Most tickets ({REPEAT_WINDOW_DAYS} days)</SelectItem>
+            <SelectItem value="warranty">Warranty ending first</SelectItem>
+          </SelectContent>
+        </Select>
+        <Button variant="secondary" className="rounded-2xl gap-2" disabled={!assets.length} onClick={() => downloadFile(`assets-${new Date().toISOString().slice(0, 10)}.csv`, "text/csv", assetsToCsv(assets))}>
+          <Download className="w-4 h-4"/> CSV
+        </Button>
+        {onImport && (
+          <Button asChild variant="secondary" className="rounded-2xl gap-2">
+            <label className="cursor-pointer">
+              <Upload className="w-4 h-4"/> Import CSV
+              <input
+                type="file"
+                accept=".csv,text/csv"
+                className="sr-only"
+                onChange={(e) => {
+                  pickFile(e.target.files?.[0]);
+                  e.target.value = "";
+                }}
+              />
+            </label>
+          </Button>
+        )}
+        {onNew && <Button className="rounded-2xl gap-2" onClick={onNew}><Plus className="w-4 h-4"/> New asset</Button>}
+      </div>
+
+      {error && <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle className="w-4 h-4"/> {error}</div>}
+      {preview && onImport && (
+        <div className="space-y-3 rounded-2xl border p-3 text-sm">
+          <div>
+            {preview.accepted.length - preview.updated} new, {preview.updated} updating a registered serial or tag, {preview.rejected.length} rejected.
+          </div>
+          {preview.rejected.length > 0 && (
+            <ul className="max-h-32 overflow-auto text-xs text-red-700">
+              {preview.rejected.map((r) => (<li key={r.row}>Row {r.row}: {r.errors.join("; ")}</li>))}
+            </ul>
+          )}
+          <div className="flex items-center gap-2 justify-end">
+            <Button variant="secondary" className="rounded-2xl" onClick={() => setPreview(null)}>Discard</Button>
+            <Button
+              className="rounded-2xl gap-2"
+              disabled={!preview.accepted.length}
+              onClick={() => {
+                onImport(preview.accepted);
+                setPreview(null);
+              }}
+            >
+              <Upload className="w-4 h-4"/> Import {preview.accepted.length}
+            </Button>
+          </div>
+        </div>
+      )}
+
+      <div className="overflow-auto">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>Tag</TableHead>
+              <TableHead>Type</TableHead>
+              <TableHead>Serial</TableHead>
+              <TableHead className="min-w-[120px]">Owner</TableHead>
+              <TableHead>Location</TableHead>
+              <TableHead className="min-w-[140px]">Warranty</TableHead>
+              <TableHead title={`Tickets in the last ${REPEAT_WINDOW_DAYS} days / all time`}>Tickets</TableHead>
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {list.map((a) => {
+              const count = recent(a);
+              return (
+                <TableRow key={a.id}>
+                  <TableCell className="font-medium">
+                    <button className="text-left hover:underline" onClick={() => onOpen(a.id)}>{a.tag}</button>
+                  </TableCell>
+                  <TableCell>{a.type}</TableCell>
+                  <TableCell className="font-mono text-xs">{a.serial}</TableCell>
+                  <TableCell>{a.owner || <span className="text-slate-400">–</span>}</TableCell>
+                  <TableCell>{a.location}</TableCell>
+                  <TableCell><WarrantyBadge asset={a} now={now} /></TableCell>
+                  <TableCell>
+                    <span className={`inline-flex items-center gap-1 ${count >= REPEAT_TICKETS ? "font-medium text-red-700" : ""}`} title={count >= REPEAT_TICKETS ? "Repeat offender" : undefined}>
+                      {count >= REPEAT_TICKETS && <AlertTriangle className="w-3 h-3"/>}
+                      {count} / {tickets.get(a.id)?.length || 0}
+                    </span>
+                  </TableCell>
+                </TableRow>
+              );
+            })}
+            {list.length === 0 && (
+              <TableRow>
+                <TableCell colSpan={7} className="py-6 text-center text-sm text-slate-500">{assets.length ? "No assets match." : "No assets registered yet."}</TableCell>
+              </TableRow>
+            )}
+          </TableBody>
+        </Table>
+      </div>
+    </div>
+  );
+}
+
+function AssetDetail({
+  asset,
+  tickets,
+  config,
+  now,
+  onOpenTicket,
+  onEdit,
+  onRemove,
+}: {
+  asset: Asset;
+  tickets: Ticket[];
+  config: HelpdeskConfig;
+  now: number;
+  onOpenTicket: (id: string) => void;
+  onEdit?: () => void;
+  onRemove?: () => void;
+}) {
+  const recent = recentTicketCount(tickets, now);
+  const details: [string, string][] = [
+    ["Serial", asset.serial],
+    ["Owner", asset.owner],
+    ["Location", asset.location],
+    ["Warranty until", asset.warrantyUntil && new Date(`${asset.warrantyUntil}T00:00:00`).toLocaleDateString()],
+  ];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <WarrantyBadge asset={asset} now={now} />
+        <span className="ml-auto text-xs text-slate-500">Updated {new Date(asset.updatedAt).toLocaleDateString()}</span>
+        {onEdit && <Button size="sm" variant="secondary" className="rounded-xl gap-1" onClick={onEdit}><Edit3 className="w-4 h-4"/> Edit</Button>}
+        {onRemove && (
+          <Button
+            size="sm"
+            variant="destructive"
+            className="rounded-xl"
+            aria-label={`Delete ${asset.tag}`}
+            onClick={() => confirm(`Delete ${asset.tag}?${tickets.length ? ` It will be unlinked from ${tickets.length} ticket(s).` : ""}`) && onRemove()}
+          >
+            <Trash2 className="w-4 h-4"/>
+          </Button>
+        )}
+      </div>
+      <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+        {details.filter(([, value]) => value).map(([label, value]) => (
+          <React.Fragment key={label}>
+            <dt className="text-slate-500">{label}</dt>
+            <dd>{value}</dd>
+          </React.Fragment>
+        ))}
+      </dl>
+      {asset.notes && <p className="whitespace-pre-wrap text-sm text-slate-700">{asset.notes}</p>}
+      {recent >= REPEAT_TICKETS && (
+        <div className="flex items-center gap-2 rounded-2xl bg-red-50 p-3 text-sm text-red-700">
+          <AlertTriangle className="w-4 h-4 shrink-0"/> {recent} tickets in the last {REPEAT_WINDOW_DAYS} days.
+        </div>
+      )}
+
+      <div className="space-y-2">
+        <div className="flex items-center gap-2 text-sm font-medium"><History className="w-4 h-4"/> Tickets ({tickets.length})</div>
+        <ul className="max-h-80 overflow-auto divide-y rounded-2xl border text-sm">
+          {tickets.map((t) => (
+            <li key={t.id}>
+              <button className="flex w-full items-center gap-2 px-3 py-1.5 text-left hover:bg-slate-50" onClick={() => onOpenTicket(t.id)}>
+                <span className="font-mono text-xs text-slate-500">{ticketToken(t.id)}</span>
+                <span className="flex-1 truncate">{t.title}</span>
+                <span className="text-xs text-slate-500">{t.requester} · {new Date(t.createdAt).toLocaleDateString()}</span>
+                <span className={`px-2 py-0.5 rounded-2xl text-xs ${badgeClass(config.statuses, t.status)}`}>{t.status}</span>
+              </button>
+            </li>
+          ))}
+          {tickets.length === 0 && <li className="px-3 py-4 text-center text-xs text-slate-400">No tickets mention this asset.</li>}
+        </ul>
+      </div>
+    </div>
+  );
+}
+
+function AssetForm({ initial, assets, users, onSave, onCancel }: { initial: Asset; assets: Asset[]; users: User[]; onSave: (asset: Asset) => void; onCancel: () => void }) {
+  const [draft, setDraft] = useState(initial);
+  const [error, setError] = useState("");
+  const set = (field: keyof Asset) => (value: string) => {
+    setDraft((d) => ({ ...d, [field]: value }));
+    setError("");
+  };
+
+  const submit = (e: React.FormEvent) => {
+    e.preventDefault();
+    const { asset, errors } = validateAsset(draft);
+    if (!asset) return setError(errors.join("; "));
+    const clash = assetClash(assets, asset);
+    if (clash) return setError(clash);
+    onSave({ ...asset, id: draft.id, createdAt: draft.createdAt, updatedAt: draft.updatedAt });
+  };
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <div className="space-y-2">
+          <Label>Asset tag</Label>
+          <Input autoFocus placeholder="e.g. LT-0142" value={draft.tag} onChange={(e) => set("tag")(e.target.value)} className="rounded-2xl"/>
+        </div>
+        <div className="space-y-2">
+          <Label>Type</Label>
+          <Select value={draft.type} onValueChange={set("type")}>
+            <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
+            <SelectContent>
+              {[...new Set([...ASSET_TYPES, draft.type])].map((t) => (<SelectItem key={t} value={t}>{t}</SelectItem>))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="space-y-2">
+          <Label>Serial number</Label>
+          <Input value={draft.serial} onChange={(e) => set("serial")(e.target.value)} className="rounded-2xl font-mono"/>
+        </div>
+        <div className="space-y-2">
+          <Label>Owner</Label>
+          <UserSelect users={users} value={draft.owner} allowNone onChange={set("owner")} />
+        </div>
+        <div className="space-y-2">
+          <Label>Location</Label>
+          <Input placeholder="e.g. HQ 3rd floor" value={draft.location} onChange={(e) => set("location")(e.target.value)} className="rounded-2xl"/>
+        </div>
+        <div className="space-y-2">
+          <Label>Warranty until</Label>
+          <Input type="date" value={draft.warrantyUntil} onChange={(e) => set("warrantyUntil")(e.target.value)} className="rounded-2xl"/>
+        </div>
+      </div>
+      <div className="space-y-2">
+        <Label>Notes</Label>
+        <Textarea rows={3} value={draft.notes} onChange={(e) => set("notes")(e.target.value)} className="rounded-2xl"/>
+      </div>
+      <div className="flex items-center gap-2 justify-end">
+        {error && <span className="mr-auto text-sm text-red-600">{error}</span>}
+        <Button type="button" variant="secondary" onClick={onCancel} className="rounded-2xl">Cancel</Button>
+        <Button type="submit" className="rounded-2xl gap-2"><CheckCircle2 className="w-4 h-4"/> Save asset</Button>
+      </div>
+    </form>
+  );
+}
+
+// Linked assets as removable chips. With nothing typed, the owner's own devices are offered, each with its warranty,
+// so an agent can tell at a glance whether a repair is covered. Without search (the portal) every asset is offered.
+function AssetPicker({ assets, owner, value, searchable = true, onChange }: { assets: Asset[]; owner: string; value: string[]; searchable?: boolean; onChange: (ids: string[]) => void }) {
+  const [search, setSearch] = useState("");
+  const now = Date.now();
+  const needle = search.trim().toLowerCase();
+  const linked = value.map((id) => assets.find((a) => a.id === id)).filter((a): a is Asset => !!a);
+  const options = (needle ? assets.filter((a) => assetSearchText(a).includes(needle)) : assets.filter((a) => !searchable || (owner && a.owner === owner)))
+    .filter((a) => !value.includes(a.id))
+    .slice(0, 6);
+
+  return (
+    <div className="space-y-1">
+      {linked.length > 0 && (
+        <div className="flex flex-wrap gap-1">
+          {linked.map((a) => (
+            <span key={a.id} className="inline-flex items-center gap-1 rounded-xl bg-slate-100 px-2 py-0.5 text-xs">
+              <Laptop className="w-3 h-3"/> {a.tag} · {a.type}
+              <WarrantyBadge asset={a} now={now} />
+              <button type="button" className="text-slate-400 hover:text-red-600" aria-label={`Unlink ${a.tag}`} onClick={() => onChange(value.filter((id) => id !== a.id))}>
+                <X className="w-3 h-3"/>
+              </button>
+            </span>
+          ))}
+        </div>
+      )}
+      {searchable && <Input placeholder="Find a device by tag, serial or owner" value={search} onChange={(e) => setSearch(e.target.value)} className="rounded-2xl"/>}
+      {options.length > 0 && (
+        <ul className="rounded-xl border text-sm">
+          {!needle && <li className="px-3 pt-1.5 text-xs text-slate-500">{searchable ? `${owner}'s devices` : "Your devices"}</li>}
+          {options.map((a) => (
+            <li key={a.id}>
+              <button
+                type="button"
+                className="flex w-full items-center gap-2 px-3 py-1.5 text-left hover:bg-slate-50"
+                onClick={() => {
+                  onChange([...value, a.id]);
+                  setSearch("");
+                }}
+              >
+                <span className="font-medium">{a.tag}</span>
+                <span className="flex-1 truncate text-slate-500">{a.type}{a.serial && ` · ${a.serial}`}{needle && a.owner && ` · ${a.owner}`}</span>
+                <WarrantyBadge asset={a} now={now} />
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+function WarrantyBadge({ asset, now }: { asset: Asset; now: number }) {
+  const state = warrantyState(asset, now);
+  return (
+    <span className={`px-2 py-0.5 rounded-2xl text-xs whitespace-nowrap ${WARRANTY_BADGES[state]}`} title={asset.warrantyUntil && `Until ${asset.warrantyUntil}`}>
+      {WARRANTY_LABELS[state]}
+    </span>
+  );
+}
+
+function QuickStatusMenu({ statuses, onChange }: { statuses: Status[]; onChange: (s: Status) => void }) {
+  const [open, setOpen] = useState(false);
+  return (
+    <div className="relative">
+      <Button size="sm" variant="outline" className="rounded-xl gap-1" disabled={!statuses.length} onClick={() => setOpen((v) => !v)}>
+        <ChevronDown className="w-4 h-4"/>
+        Status
+      </Button>
+      <AnimatePresence>
+        {open && (
+          <motion.div initial={{ opacity: 0, y: -4 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -4 }}
+            className="absolute z-10 mt-2 w-40 rounded-2xl border bg-white p-2 shadow-lg">
+            {statuses.map((s) => (
+              <button key={s} onClick={() => { onChange(s); setOpen(false); }}
+                className="w-full text-left px-3 py-2 rounded-xl hover:bg-slate-50">
+                {s}
+              </button>
+            ))}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+const BULK_FIELDS = ["status", "priority", "category", "assignee"] as const;
+
+function BulkActionBar({
+  count,
+  users,
+  config,
+  canDelete,
+  onApply,
+  onMerge,
+  onDelete,
+  onClear,
+}: {
+  count: number;
+  users: User[];
+  config: HelpdeskConfig;
+  canDelete: boolean;
+  onApply: (patch: Partial<Ticket>, label: string) => void;
+  onMerge: () => void;
+  onDelete: () => void;
+  onClear: () => void;
+}) {
+  const [field, setField] = useState<typeof BULK_FIELDS[number]>("status");
+  const [value, setValue] = useState("");
+  const options = field === "status" ? namesOf(config.statuses) : field === "priority" ? namesOf(config.priorities) : field === "category" ? namesOf(config.categories) : [];
+
+  const apply = () => {
+    if (field !== "assignee" && !value) return;
+    onApply({ [field]: value } as Partial<Ticket>, `Set ${field} to ${value || "unassigned"}`);
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 rounded-2xl border bg-white p-3 text-sm shadow-sm">
+      <span className="font-medium">{count} selected</span>
+      <Select
+        value={field}
+        onValueChange={(v) => {
+          setField(v as typeof BULK_FIELDS[number]);
+          setValue("");
+        }}
+      >
+        <SelectTrigger className="rounded-2xl w-36"><SelectValue/></SelectTrigger>
+        <SelectContent>
+          {BULK_FIELDS.map((f) => (<SelectItem key={f} value={f}>Set {f}</SelectItem>))}
+        </SelectContent>
+      </Select>
+      <div className="w-48">
+        {field === "assignee" ? (
+          <UserSelect users={users.filter(isAssignable)} value={value} allowNone onChange={setValue} />
+        ) : (
+          <Select value={value} onValueChange={setValue}>
+            <SelectTrigger className="rounded-2xl"><SelectValue placeholder={`Choose ${field}`}/></SelectTrigger>
+            <SelectContent>
+              {options.map((o) => (<SelectItem key={o} value={o}>{o}</SelectItem>))}
+            </SelectContent>
+          </Select>
+        )}
+      </div>
+      <Button size="sm" className="rounded-xl" disabled={field !== "assignee" && !value} onClick={apply}>Apply</Button>
+      {count > 1 && (
+        <Button size="sm" variant="secondary" className="rounded-xl gap-1" onClick={onMerge}><GitMerge className="w-4 h-4"/> Merge…</Button>
+      )}
+      {canDelete && (
+        <Button size="sm" variant="destructive" className="rounded-xl gap-1" onClick={onDelete}><Trash2 className="w-4 h-4"/> Delete</Button>
+      )}
+      <Button size="sm" variant="ghost" className="ml-auto rounded-xl" onClick={onClear}>Clear selection</Button>
+    </div>
+  );
+}
+
+// Pointer users drag cards between columns. Keyboard users focus a card, press Space to pick it up,
+// move it with the arrow keys and press Space again to drop it (Escape cancels). Enter opens the ticket.
+function KanbanBoard({
+  tickets,
+  slaById,
+  config,
+  canMove,
+  canEditLimits,
+  wipLimits,
+  onWipLimitsChange,
+  onMove,
+  onOpen,
+}: {
+  tickets: Ticket[];
+  slaById: Map<string, ReturnType<typeof slaFor>>;
+  config: HelpdeskConfig;
+  canMove: boolean;
+  canEditLimits: boolean;
+  wipLimits: WipLimits;
+  onWipLimitsChange: (limits: WipLimits) => void;
+  onMove: (id: string, status: Status) => void;
+  onOpen: (id: string) => void;
+}) {
+  const [dragOver, setDragOver] = useState<Status | null>(null);
+  const [dragging, setDragging] = useState<Ticket | null>(null);
+  const [grabbed, setGrabbed] = useState<{ id: string; target: Status } | null>(null);
+  const [announcement, setAnnouncement] = useState("");
+  const statuses = namesOf(config.statuses);
+  const columns = useMemo(() => config.statuses.map((s) => ({ status: s.name, cards: tickets.filter((t) => t.status === s.name) })), [tickets, config]);
+  const canDrop = (ticket: Ticket, status: Status) => checkTransition(config, ticket, status).allowed;
+
+  const isFull = (status: Status) => {
+    const limit = wipLimits[status];
+    return !!limit && columns.find((c) => c.status === status)!.cards.length >= limit;
+  };
+
+  const move = (ticket: Ticket, status: Status) => {
+    if (ticket.status === status) return;
+    if (!canDrop(ticket, status)) return setAnnouncement(`"${ticket.title}" can't move from ${ticket.status} to ${status}.`);
+    if (isFull(status) && !confirm(`"${status}" is at its WIP limit of ${wipLimits[status]}. Move anyway?`)) return;
+    onMove(ticket.id, status);
+    setAnnouncement(`Moved "${ticket.title}" to ${status}.`);
+  };
+
+  const onCardKey = (e: React.KeyboardEvent, ticket: Ticket) => {
+    if (e.key === "Enter" && grabbed?.id !== ticket.id) return onOpen(ticket.id);
+    if (!canMove) return;
+    const step = e.key === "ArrowRight" ? 1 : e.key === "ArrowLeft" ? -1 : 0;
+    if (e.key === " " || e.key === "Enter") {
+      e.preventDefault();
+      if (grabbed?.id === ticket.id) {
+        move(ticket, grabbed.target);
+        setGrabbed(null);
+        // The card remounts in its new column; put focus back on it so the next move can follow.
+        requestAnimationFrame(() => document.querySelector<HTMLElement>(`[data-ticket-id="${ticket.id}"]`)?.focus());
+      } else {
+        setGrabbed({ id: ticket.id, target: ticket.status });
+        setAnnouncement(`Picked up "${ticket.title}" in ${ticket.status}. Use left and right arrows to choose a column.`);
+      }
+    } else if (e.key === "Escape" && grabbed) {
+      setGrabbed(null);
+      setAnnouncement("Move cancelled.");
+    } else if (step && grabbed?.id === ticket.id) {
+      e.preventDefault();
+      const target = statuses[Math.min(statuses.length - 1, Math.max(0, statuses.indexOf(grabbed.target) + step))];
+      setGrabbed({ ...grabbed, target });
+      setAnnouncement(`${target}${!canDrop(ticket, target) ? " (not allowed from here)" : isFull(target) ? " (at WIP limit)" : ""}`);
+    }
+  };
+
+  const setLimit = (status: Status, value: string) => {
+    const n = parseInt(value, 10);
+    const next = { ...wipLimits };
+    if (n > 0) next[status] = n;
+    else delete next[status];
+    onWipLimitsChange(next);
+  };
+
+  return (
+    <div className="overflow-auto p-4">
+      <div className="sr-only" aria-live="assertive">{announcement}</div>
+      <div className="grid gap-3" style={{ gridTemplateColumns: `repeat(${columns.length}, minmax(170px, 1fr))` }}>
+        {columns.map(({ status, cards }) => {
+          const limit = wipLimits[status];
+          const over = !!limit && cards.length > limit;
+          const targeted = dragOver === status || grabbed?.target === status;
+          const blocked = (dragging && !canDrop(dragging, status)) || (grabbed?.target === status && !canDrop(tickets.find((t) => t.id === grabbed.id)!, status));
+          return (
+            <section
+              key={status}
+              aria-label={`${status}, ${cards.length} tickets`}
+              className={`flex flex-col rounded-2xl bg-slate-50 p-2 ${blocked ? "opacity-50" : ""} ${targeted ? (blocked ? "ring-2 ring-red-300" : "ring-2 ring-blue-300") : ""}`}
+              onDragOver={(e) => {
+                if (!canMove || blocked) return;
+                e.preventDefault();
+                setDragOver(status);
+              }}
+              onDragLeave={() => setDragOver((s) => (s === status ? null : s))}
+              onDrop={(e) => {
+                e.preventDefault();
+                setDragOver(null);
+                const ticket = tickets.find((t) => t.id === e.dataTransfer.getData("text/plain"));
+                if (ticket) move(ticket, status);
+              }}
+            >
+              <header className="mb-2 flex items-center justify-between gap-2 px-1">
+                <span className={`px-2 py-1 rounded-2xl text-xs ${badgeClass(config.statuses, status)}`}>{status}</span>
+                <span className={`text-xs ${over ? "font-semibold text-red-600" : "text-slate-500"}`}>
+                  {cards.length}
+                  {limit ? ` / ${limit}` : ""}
+                </span>
+              </header>
+              {canEditLimits && (
+                <Input
+                  type="number"
+                  min={0}
+                  placeholder="WIP limit"
+                  aria-label={`WIP limit for ${status}`}
+                  value={limit ?? ""}
+                  onChange={(e) => setLimit(status, e.target.value)}
+                  className="mb-2 h-7 rounded-xl text-xs"
+                />
+              )}
+              <ol className="flex-1 space-y-2">
+                {cards.slice(0, BOARD_COLUMN_LIMIT).map((t) => (
+                  <li
+                    key={t.id}
+                    tabIndex={0}
+                    data-ticket-id={t.id}
+                    draggable={canMove}
+                    aria-grabbed={grabbed?.id === t.id}
+                    aria-label={`${t.title}, ${t.priority} priority`}
+                    onDragStart={(e) => {
+                      e.dataTransfer.setData("text/plain", t.id);
+                      setDragging(t);
+                    }}
+                    onDragEnd={() => setDragging(null)}
+                    onKeyDown={(e) => onCardKey(e, t)}
+                    onBlur={() => grabbed?.id === t.id && setGrabbed(null)}
+                    className={`space-y-2 rounded-xl border bg-white p-2 text-sm shadow-sm outline-none focus:ring-2 focus:ring-blue-400 ${canMove ? "cursor-grab" : ""} ${grabbed?.id === t.id ? "ring-2 ring-blue-500" : ""}`}
+                  >
+                    <button className="text-left font-medium hover:underline" onClick={() => onOpen(t.id)} tabIndex={-1}>{t.title}</button>
+                    <div className="flex flex-wrap items-center gap-1">
+                      <span className={`px-2 py-1 rounded-2xl text-xs ${badgeClass(config.priorities, t.priority)}`}>{t.priority}</span>
+                      <SlaBadge clock={slaById.get(t.id)!.current} />
+                    </div>
+                    <div className="text-xs text-slate-500">{t.assignee || "Unassigned"}</div>
+                  </li>
+                ))}
+              </ol>
+              {cards.length > BOARD_COLUMN_LIMIT && (
+                <p className="px-1 pt-2 text-xs text-slate-500">+{cards.length - BOARD_COLUMN_LIMIT} more — narrow the search to see them</p>
+              )}
+            </section>
+          );
+        })}
+      </div>
+    </div>
+  );
+}
+
+function TablePager({
+  page,
+  pageCount,
+  pageSize,
+  total,
+  onPageChange,
+  onPageSizeChange,
+}: {
+  page: number;
+  pageCount: number;
+  pageSize: number;
+  total: number;
+  onPageChange: (page: number) => void;
+  onPageSizeChange: (size: number) => void;
+}) {
+  const first = total ? page * pageSize + 1 : 0;
+  return (
+    <nav className="flex flex-wrap items-center justify-between gap-2 border-t px-4 py-2 text-sm text-slate-600" aria-label="Ticket pages">
+      <span>{first}–{Math.min(total, (page + 1) * pageSize)} of {total}</span>
+      <div className="flex items-center gap-2">
+        <Select value={String(pageSize)} onValueChange={(v) => onPageSizeChange(Number(v))}>
+          <SelectTrigger className="h-8 w-28 rounded-xl" aria-label="Rows per page"><SelectValue/></SelectTrigger>
+          <SelectContent>
+            {TABLE_PAGE_SIZES.map((n) => (<SelectItem key={n} value={String(n)}>{n} / page</SelectItem>))}
+          </SelectContent>
+        </Select>
+        <Button size="sm" variant="ghost" className="rounded-xl" aria-label="Previous page" disabled={page === 0} onClick={() => onPageChange(page - 1)}>
+          <ChevronLeft className="w-4 h-4"/>
+        </Button>
+        <span>Page {page + 1} of {pageCount}</span>
+        <Button size="sm" variant="ghost" className="rounded-xl" aria-label="Next page" disabled={page >= pageCount - 1} onClick={() => onPageChange(page + 1)}>
+          <ChevronRight className="w-4 h-4"/>
+        </Button>
+      </div>
+    </nav>
+  );
+}
+
+// Rendered instead of the app for ?benchmark=N. The page root carries data-benchmark="running", "passed" or "failed"
+// so a scripted run can wait for the verdict.
+function BenchmarkPage({ count, config }: { count: number; config: HelpdeskConfig }) {
+  const [run, setRun] = useState<BenchmarkRun | null>(null);
+  const [error, setError] = useState("");
+  useEffect(() => {
+    // Let the page paint before the run blocks the main thread.
+    const timer = setTimeout(() => {
+      runListBenchmark(count, config)
+        .then(setRun)
+        .catch((e) => setError(e?.message || String(e)));
+    }, 50);
+    return () => clearTimeout(timer);
+  }, [count, config]);
+  const results = run?.results;
+  const failed = run?.failed.length ?? 0;
+  const verdict = error || (run && !run.ok) ? "failed" : run ? "passed" : "running";
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-b from-slate-50 to-white p-6" data-benchmark={verdict}>
+      <div className="mx-auto max-w-3xl space-y-4">
+        <div>
+          <h1 className="text-3xl font-bold">List benchmark</h1>
+          <p className="text-slate-600">{count.toLocaleString()} synthetic tickets, kept in memory. Stored tickets are not touched.</p>
+        </div>
+        {error && <p className="text-sm text-red-600" role="alert">Benchmark failed: {error}</p>}
+        {!results && !error && <p className="text-sm text-slate-500" role="status">Running…</p>}
+        {results && (
+          <Card className="border-none shadow-sm">
+            <CardHeader className="pb-2">
+              <CardTitle className={`text-base ${failed ? "text-red-600" : "text-emerald-700"}`} role={failed ? "alert" : undefined}>
+                {failed ? `Failed: ${failed} step${failed === 1 ? "" : "s"} over budget` : "Passed: all steps within budget"}
+              </CardTitle>
+              {run!.failed.map((r) => (
+                <p key={r.step} className="text-sm text-red-600">
+                  {r.step} took {Math.round(r.ms)} ms, budget {r.budgetMs} ms
+                </p>
+              ))}
+            </CardHeader>
+            <CardContent className="p-0">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>Step</TableHead>
+                    <TableHead className="text-right">Time</TableHead>
+                    <TableHead className="text-right">Budget</TableHead>
+                    <TableHead>Result</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {results.map((r) => (
+                    <TableRow key={r.step} className={r.ok ? "" : "bg-red-50"}>
+                      <TableCell>{r.step}</TableCell>
+                      <TableCell className="text-right">{Math.round(r.ms)} ms</TableCell>
+                      <TableCell className="text-right">{r.budgetMs} ms</TableCell>
+                      <TableCell className="text-slate-500">{r.ok ? "ok" : "over"}{r.detail && ` · ${r.detail}`}</TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
+
+function LoginScreen({ users, onSignIn }: { users: User[]; onSignIn: (user: User) => void }) {
+  const firstRun = users.length === 0;
+  const [name, setName] = useState("");
+  const [email, setEmail] = useState("");
+  const [error, setError] = useState("");
+
+  // The very first account becomes the admin; everyone who registers after that starts as a requester.
+  const register = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (users.some((u) => u.name.toLowerCase() === name.trim().toLowerCase())) return setError("That name is already taken.");
+    onSignIn({ id: uuidv4(), name: name.trim(), email: email.trim(), role: firstRun ? "admin" : "requester" });
+  };
+
+  return (
+    <div className="min-h-screen w-full bg-gradient-to-b from-slate-50 to-white p-6">
+      <div className="mx-auto max-w-md space-y-6 pt-16">
+        <div>
+          <h1 className="text-3xl font-bold">IT Support Helpdesk</h1>
+          <p className="text-slate-600">{firstRun ? "Create the first administrator account." : "Who's using the helpdesk?"}</p>
+        </div>
+        {!firstRun && (
+          <Card className="border-none shadow-sm">
+            <CardContent className="p-2">
+              {users.map((u) => (
+                <button key={u.id} onClick={() => onSignIn(u)} className="flex w-full items-center gap-3 rounded-xl px-3 py-2 text-left hover:bg-slate-50">
+                  <UserCircle2 className="w-5 h-5 text-slate-400"/>
+                  <span className="flex-1">
+                    <span className="font-medium">{u.name}</span>
+                    {u.email && <span className="block text-xs text-slate-500">{u.email}</span>}
+                  </span>
+                  <span className={`px-2 py-1 rounded-2xl text-xs ${roleBadgeStyle[u.role]}`}>{u.role}</span>
+                </button>
+              ))}
+            </CardContent>
+          </Card>
+        )}
+        <Card className="border-none shadow-sm">
+          <CardHeader className="pb-2">
+            <CardTitle className="text-base">{firstRun ? "Administrator" : "New here? Register to file tickets"}</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={register} className="space-y-3">
+              <Input required placeholder="Name" value={name} onChange={(e) => setName(e.target.value)} className="rounded-2xl"/>
+              <Input type="email" placeholder="Email" value={email} onChange={(e) => setEmail(e.target.value)} className="rounded-2xl"/>
+              {error && <div className="text-sm text-red-600">{error}</div>}
+              <Button type="submit" className="w-full rounded-2xl">Continue</Button>
+            </form>
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+}
+
+function UserDirectory({ users, currentUserId, onSave, onRemove }: { users: User[]; currentUserId: string; onSave: (user: User) => void; onRemove: (id: string) => void }) {
+  const blank: User = { id: "", name: "", email: "", role: "requester" };
+  const [draft, setDraft] = useState<User>(blank);
+  const [error, setError] = useState("");
+  const admins = users.filter((u) => u.role === "admin").length;
+
+  const submit = (e: React.FormEvent) => {
+    e.preventDefault();
+    const name = draft.name.trim();
+    if (users.some((u) => u.id !== draft.id && u.name.toLowerCase() === name.toLowerCase())) return setError("Names must be unique.");
+    const existing = users.find((u) => u.id === draft.id);
+    if (existing?.role === "admin" && draft.role !== "admin" && admins === 1) return setError("Keep at least one admin.");
+    onSave({ ...draft, id: draft.id || uuidv4(), name, email: draft.email.trim() });
+    setDraft(blank);
+    setError("");
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="max-h-72 overflow-auto divide-y rounded-2xl border">
+        {users.map((u) => (
+          <div key={u.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+            <span className="flex-1">
+              <span className="font-medium">{u.name}</span>
+              {u.email && <span className="ml-2 text-xs text-slate-500">{u.email}</span>}
+            </span>
+            <span className={`px-2 py-1 rounded-2xl text-xs ${roleBadgeStyle[u.role]}`}>{u.role}</span>
+            <Button size="sm" variant="secondary" className="rounded-xl" onClick={() => setDraft(u)}><Edit3 className="w-4 h-4"/></Button>
+            <Button
+              size="sm"
+              variant="destructive"
+              className="rounded-xl"
+              disabled={u.id === currentUserId || (u.role === "admin" && admins === 1)}
+              onClick={() => confirm(`Remove ${u.name}? Their tickets are kept.`) && onRemove(u.id)}
+            >
+              <Trash2 className="w-4 h-4"/>
+            </Button>
+          </div>
+        ))}
+      </div>
+      <form onSubmit={submit} className="grid grid-cols-1 md:grid-cols-4 gap-2 items-end">
+        <Input required placeholder="Name" value={draft.name} onChange={(e) => setDraft((d) => ({ ...d, name: e.target.value }))} className="rounded-2xl"/>
+        <Input type="email" placeholder="Email" value={draft.email} onChange={(e) => setDraft((d) => ({ ...d, email: e.target.value }))} className="rounded-2xl"/>
+        <Select value={draft.role} onValueChange={(v) => setDraft((d) => ({ ...d, role: v as Role }))}>
+          <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
+          <SelectContent>
+            {ROLES.map((r) => (<SelectItem key={r} value={r}>{r}</SelectItem>))}
+          </SelectContent>
+        </Select>
+        <div className="flex gap-2">
+          {draft.id && <Button type="button" variant="secondary" className="rounded-2xl" onClick={() => setDraft(blank)}>Cancel</Button>}
+          <Button type="submit" className="rounded-2xl gap-2 flex-1"><Plus className="w-4 h-4"/> {draft.id ? "Save" : "Add"}</Button>
+        </div>
+      </form>
+      {error && <div className="text-sm text-red-600">{error}</div>}
+    </div>
+  );
+}
+
+const blankRule = (): AutomationRule => ({ id: "", name: "", enabled: true, trigger: "created", idleHours: 8, query: "", actions: [{ kind: "assignee", value: "" }], createdAt: "" });
+
+function RulesEditor({
+  rules,
+  tickets,
+  users,
+  config,
+  onChange,
+}: {
+  rules: AutomationRule[];
+  tickets: Ticket[];
+  users: User[];
+  config: HelpdeskConfig;
+  onChange: (rules: AutomationRule[]) => void;
+}) {
+  const [draft, setDraft] = useState<AutomationRule | null>(null);
+  const [preview, setPreview] = useState<{ title: string; firings: RuleFiring[] } | null>(null);
+  const [error, setError] = useState("");
+  const agents = users.filter(isAssignable);
+  const queryErrors = draft ? parseQuery(draft.query, config).errors : [];
+  const fired = useMemo(() => {
+    const counts = new Map<string, number>();
+    tickets.forEach((t) => t.history.forEach((e) => e.kind === "automation" && e.ruleId && counts.set(e.ruleId, (counts.get(e.ruleId) || 0) + 1)));
+    return counts;
+  }, [tickets]);
+
+  const setAction = (i: number, action: RuleAction) => setDraft((d) => d && { ...d, actions: d.actions.map((a, j) => (j === i ? action : a)) });
+  const dryRun = (list: AutomationRule[], title: string) => setPreview({ title, firings: dryRunRules(tickets, list, users, Date.now(), config) });
+
+  const save = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!draft) return;
+    if (queryErrors.length) return setError("Fix the conditions first.");
+    if (!draft.actions.length || draft.actions.some((a) => a.kind !== "round-robin" && !a.value.trim())) return setError("Every action needs a value.");
+    if (draft.trigger === "idle" && !(draft.idleHours > 0)) return setError("Idle time must be more than 0 hours.");
+    const rule = { ...draft, name: draft.name.trim() };
+    onChange(draft.id ? rules.map((r) => (r.id === draft.id ? rule : r)) : [...rules, { ...rule, id: uuidv4(), createdAt: new Date().toISOString() }]);
+    setDraft(null);
+    setError("");
+  };
+
+  return (
+    <div className="space-y-4">
+      <p className="text-xs text-slate-500">
+        Rules run top to bottom whenever tickets change, and every minute for idle triggers. Conditions use the search syntax, e.g.{" "}
+        <code>category:network priority:&gt;=high</code>. Each firing is logged on the ticket.
+      </p>
+      <div className="max-h-64 overflow-auto divide-y rounded-2xl border">
+        {rules.map((r) => (
+          <div key={r.id} className="flex items-center gap-3 px-3 py-2 text-sm">
+            <input
+              type="checkbox"
+              aria-label={`Enable ${r.name}`}
+              checked={r.enabled}
+              onChange={(e) => onChange(rules.map((x) => (x.id === r.id ? { ...x, enabled: e.target.checked } : x)))}
+            />
+            <span className={`flex-1 ${r.enabled ? "" : "opacity-50"}`}>
+              <span className="font-medium">{r.name}</span>
+              <span className="block text-xs text-slate-500">
+                When {ruleTriggerLabel(r)}{r.query ? <> and <code>{r.query}</code></> : ""} → {r.actions.map(describeAction).join(", ")}
+              </span>
+              {/* Settings changes can strand a rule on a value that no longer exists; it then matches nothing. */}
+              {r.query && parseQuery(r.query, config).errors.length > 0 && (
+                <span className="flex items-center gap-1 text-xs text-amber-600"><AlertTriangle className="w-3 h-3"/> Conditions no longer match the workflow settings.</span>
+              )}
+            </span>
+            <span className="text-xs text-slate-400">fired {fired.get(r.id) || 0}×</span>
+            <Button size="sm" variant="secondary" className="rounded-xl" title="Dry run" onClick={() => dryRun([r], r.name)}><Play className="w-4 h-4"/></Button>
+            <Button size="sm" variant="secondary" className="rounded-xl" onClick={() => setDraft(r)}><Edit3 className="w-4 h-4"/></Button>
+            <Button size="sm" variant="destructive" className="rounded-xl" onClick={() => confirm(`Delete rule "${r.name}"?`) && onChange(rules.filter((x) => x.id !== r.id))}>
+              <Trash2 className="w-4 h-4"/>
+            </Button>
+          </div>
+        ))}
+        {rules.length === 0 && <div className="px-3 py-6 text-center text-sm text-slate-500">No rules yet.</div>}
+      </div>
+
+      {!draft && (
+        <div className="flex flex-wrap items-center gap-2">
+          <Button className="rounded-2xl gap-2" onClick={() => setDraft(blankRule())}><Plus className="w-4 h-4"/> New rule</Button>
+          <Select value="" onValueChange={(v) => setDraft({ ...blankRule(), ...RULE_TEMPLATES[Number(v)] })}>
+            <SelectTrigger className="rounded-2xl w-56"><SelectValue placeholder="Start from a template…"/></SelectTrigger>
+            <SelectContent>
+              {RULE_TEMPLATES.map((t, i) => (<SelectItem key={t.name} value={String(i)}>{t.name}</SelectItem>))}
+            </SelectContent>
+          </Select>
+          <Button variant="secondary" className="ml-auto rounded-2xl gap-2" disabled={!rules.some((r) => r.enabled)} onClick={() => dryRun(rules.filter((r) => r.enabled), "All enabled rules")}>
+            <Play className="w-4 h-4"/> Dry run
+          </Button>
+        </div>
+      )}
+
+      {draft && (
+        <form onSubmit={save} className="space-y-3 rounded-2xl border p-3">
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-2">
+            <Input required placeholder="Rule name" value={draft.name} onChange={(e) => setDraft({ ...draft, name: e.target.value })} className="rounded-2xl md:col-span-2"/>
+            <div className="flex gap-2">
+              <Select value={draft.trigger} onValueChange={(v) => setDraft({ ...draft, trigger: v as RuleTrigger })}>
+                <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="created">When created</SelectItem>
+                  <SelectItem value="updated">When updated</SelectItem>
+                  <SelectItem value="idle">When idle for…</SelectItem>
+                </SelectContent>
+              </Select>
+              {draft.trigger === "idle" && (
+                <Input
+                  type="number"
+                  min={1}
+                  aria-label="Idle hours"
+                  value={draft.idleHours}
+                  onChange={(e) => setDraft({ ...draft, idleHours: Number(e.target.value) })}
+                  className="rounded-2xl w-24"
+                />
+              )}
+            </div>
+          </div>
+          <div className="space-y-1">
+            <Input placeholder="Conditions, e.g. category:network status:open (empty = every ticket)" value={draft.query} onChange={(e) => setDraft({ ...draft, query: e.target.value })} className="rounded-2xl"/>
+            {queryErrors.map((qe) => (
+              <div key={qe.term + qe.message} className="text-xs text-red-600"><code>{qe.term}</code>: {qe.message}</div>
+            ))}
+          </div>
+          <div className="space-y-2">
+            {draft.actions.map((a, i) => (
+              <div key={i} className="flex flex-wrap items-center gap-2">
+                <Select value={a.kind} onValueChange={(v) => setAction(i, { kind: v as RuleActionKind, value: "", ...(v === "round-robin" ? { pool: [] } : {}) })}>
+                  <SelectTrigger className="rounded-2xl w-48"><SelectValue/></SelectTrigger>
+                  <SelectContent>
+                    {RULE_ACTIONS.map((k) => (<SelectItem key={k} value={k}>{RULE_ACTION_LABELS[k]}</SelectItem>))}
+                  </SelectContent>
+                </Select>
+                <div className="flex-1 min-w-[12rem]">
+                  {a.kind === "assignee" && <UserSelect users={agents} value={a.value} onChange={(value) => setAction(i, { ...a, value })} />}
+                  {(a.kind === "priority" || a.kind === "status") && (
+                    <Select value={a.value} onValueChange={(value) => setAction(i, { ...a, value })}>
+                      <SelectTrigger className="rounded-2xl"><SelectValue placeholder={`Pick a ${a.kind}`}/></SelectTrigger>
+                      <SelectContent>
+                        {namesOf(a.kind === "priority" ? config.priorities : config.statuses).map((v) => (<SelectItem key={v} value={v}>{v}</SelectItem>))}
+                      </SelectContent>
+                    </Select>
+                  )}
+                  {a.kind === "note" && <Input placeholder="Note text" value={a.value} onChange={(e) => setAction(i, { ...a, value: e.target.value })} className="rounded-2xl"/>}
+                  {a.kind === "round-robin" && (
+                    <div className="flex flex-wrap gap-3 text-xs">
+                      {agents.map((u) => (
+                        <label key={u.id} className="flex items-center gap-1">
+                          <input
+                            type="checkbox"
+                            checked={!!a.pool?.includes(u.name)}
+                            onChange={(e) => setAction(i, { ...a, pool: e.target.checked ? [...(a.pool || []), u.name] : (a.pool || []).filter((n) => n !== u.name) })}
+                          />
+                          {u.name}
+                        </label>
+                      ))}
+                      <span className="text-slate-400">{a.pool?.length ? "" : "(none ticked = all agents)"} Unassigned tickets only.</span>
+                    </div>
+                  )}
+                </div>
+                <button type="button" aria-label="Remove action" onClick={() => setDraft({ ...draft, actions: draft.actions.filter((_, j) => j !== i) })}><X className="w-4 h-4"/></button>
+              </div>
+            ))}
+            <Button type="button" size="sm" variant="ghost" className="rounded-xl gap-1" onClick={() => setDraft({ ...draft, actions: [...draft.actions, { kind: "note", value: "" }] })}>
+              <Plus className="w-3 h-3"/> Add action
+            </Button>
+          </div>
+          <div className="flex items-center gap-2 justify-end">
+            {error && <span className="mr-auto text-sm text-red-600">{error}</span>}
+            <Button type="button" variant="secondary" className="rounded-2xl gap-2" disabled={queryErrors.length > 0} onClick={() => dryRun([draft], draft.name || "New rule")}>
+              <Play className="w-4 h-4"/> Dry run
+            </Button>
+            <Button type="button" variant="secondary" className="rounded-2xl" onClick={() => { setDraft(null); setError(""); }}>Cancel</Button>
+            <Button type="submit" className="rounded-2xl gap-2"><CheckCircle2 className="w-4 h-4"/> Save rule</Button>
+          </div>
+        </form>
+      )}
+
+      {preview && (
+        <div className="space-y-2 rounded-2xl bg-slate-50 p-3 text-sm">
+          <div className="flex items-center gap-2 font-medium">
+            Dry run: {preview.title}
+            <span className="text-xs font-normal text-slate-500">as if every ticket had just triggered it; nothing was changed</span>
+            <button type="button" className="ml-auto" aria-label="Close dry run" onClick={() => setPreview(null)}><X className="w-4 h-4"/></button>
+          </div>
+          {preview.firings.length === 0 ? (
+            <div className="text-slate-500">No ticket would be changed.</div>
+          ) : (
+            <ul className="max-h-56 overflow-auto space-y-1">
+              {preview.firings.map((f, i) => (
+                <li key={i} className="text-xs">
+                  <span className="font-mono text-slate-500">{ticketToken(f.ticketId)}</span> <span className="font-medium">{f.title}</span> — {f.ruleName}: {f.summary.join("; ")}
+                </li>
+              ))}
+            </ul>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+type DraftRow = { rowId: string; origin?: string };
+type SettingsDraft = {
+  statuses: (StatusDef & DraftRow)[]; // from: rowIds while editing, so statuses added in the same edit can be picked
+  priorities: (PriorityDef & DraftRow)[];
+  categories: (CategoryDef & DraftRow)[];
+  fields: CustomFieldDef[];
+};
+const splitList = (text: string) => Array.from(new Set(text.split(",").map((s) => s.trim()).filter(Boolean)));
+
+// Works on a copy; `origin` remembers each row's saved name so a rename can be told apart from delete + add,
+// and `rowId` keeps rows (and their uncontrolled inputs) stable while they're reordered.
+function SettingsEditor({ config, tickets, onSave }: { config: HelpdeskConfig; tickets: Ticket[]; onSave: (config: HelpdeskConfig, renames: ConfigRenames) => void }) {
+  const fromConfig = (c: HelpdeskConfig): SettingsDraft => {
+    const rowIds = new Map(c.statuses.map((s) => [s.name, uuidv4()]));
+    return {
+      statuses: c.statuses.map((s) => ({ ...s, rowId: rowIds.get(s.name)!, origin: s.name, from: s.from.flatMap((n) => rowIds.get(n) || []) })),
+      priorities: c.priorities.map((p) => ({ ...p, rowId: uuidv4(), origin: p.name })),
+      categories: c.categories.map((x) => ({ ...x, rowId: uuidv4(), origin: x.name })),
+      fields: c.fields,
+    };
+  };
+  const [draft, setDraft] = useState(() => fromConfig(config));
+  const [error, setError] = useState("");
+  const [saved, setSaved] = useState(false);
+  const usage = useMemo(() => {
+    const count = (field: "status" | "priority" | "category") => tickets.reduce((m, t) => m.set(t[field], (m.get(t[field]) || 0) + 1), new Map<string, number>());
+    return { statuses: count("status"), priorities: count("priority"), categories: count("category") };
+  }, [tickets]);
+
+  type ListKey = "statuses" | "priorities" | "categories" | "fields";
+  const change = (fn: (d: SettingsDraft) => SettingsDraft) => {
+    setSaved(false);
+    setDraft(fn);
+  };
+  const edit = (key: ListKey, i: number, patch: object) => change((d) => ({ ...d, [key]: (d[key] as object[]).map((x, j) => (j === i ? { ...x, ...patch } : x)) }));
+  const move = (key: ListKey, i: number, step: number) =>
+    change((d) => {
+      const list = [...(d[key] as object[])];
+      const j = i + step;
+      if (j < 0 || j >= list.length) return d;
+      [list[i], list[j]] = [list[j], list[i]];
+      return { ...d, [key]: list };
+    });
+  const remove = (key: ListKey, i: number) => change((d) => ({ ...d, [key]: (d[key] as object[]).filter((_, j) => j !== i) }));
+  const add = (key: ListKey, item: object) => change((d) => ({ ...d, [key]: [...(d[key] as object[]), key === "fields" ? item : { rowId: uuidv4(), ...item }] }));
+  const inUse = (key: "statuses" | "priorities" | "categories", origin?: string) => (origin ? usage[key].get(origin) || 0 : 0);
+
+  const save = () => {
+    const renames: ConfigRenames = { status: {}, priority: {}, category: {} };
+    const kinds = [
+      ["statuses", "status"],
+      ["priorities", "priority"],
+      ["categories", "category"],
+    ] as const;
+    for (const [key, field] of kinds) {
+      const names = draft[key].map((x) => x.name.trim());
+      if (!names.length) return setError(`Keep at least one ${field}.`);
+      if (names.some((n) => !n)) return setError(`Every ${field} needs a name.`);
+      const dupe = names.find((n, i) => names.findIndex((m) => m.toLowerCase() === n.toLowerCase()) !== i);
+      if (dupe) return setError(`There are two ${key} called "${dupe}".`);
+      draft[key].forEach((x) => x.origin && x.origin !== x.name.trim() && (renames[field][x.origin] = x.name.trim()));
+    }
+    if (draft.fields.some((f) => !f.label.trim())) return setError("Every custom field needs a label.");
+    if (draft.fields.some((f) => f.type === "select" && !f.options.length)) return setError("Drop-down fields need at least one option.");
+    // Statuses refer to each other by row and to fields by id, so those references follow renames and deletions.
+    const statusNames = new Map(draft.statuses.map((s) => [s.rowId, s.name.trim()]));
+    const requirements = new Set([COMMENT_REQUIREMENT, ...draft.fields.map((f) => f.id)]);
+    const next: HelpdeskConfig = {
+      statuses: draft.statuses.map(({ origin, rowId, ...s }) => ({
+        ...s,
+        name: s.name.trim(),
+        from: s.from.flatMap((id) => statusNames.get(id) || []),
+        requires: s.requires.filter((r) => requirements.has(r)),
+      })),
+      priorities: draft.priorities.map(({ origin, rowId, ...p }) => ({ ...p, name: p.name.trim() })),
+      categories: draft.categories.map(({ origin, rowId, hint, ...c }) => ({
+        ...c,
+        name: c.name.trim(),
+        ...(hint?.trim() ? { hint: hint.trim() } : {}),
+        ...(c.sla ? { sla: Object.fromEntries(Object.entries(c.sla).map(([p, target]) => [renames.priority[p] || p, target])) } : {}),
+      })),
+      fields: draft.fields.map((f) => ({ ...f, label: f.label.trim() })),
+    };
+    onSave(next, renames);
+    setDraft(fromConfig(next));
+    setError("");
+    setSaved(true);
+  };
+
+  const colorSelect = (value: BadgeColor, onChange: (c: BadgeColor) => void) => (
+    <Select value={value} onValueChange={(v) => onChange(v as BadgeColor)}>
+      <SelectTrigger className="rounded-2xl w-28"><SelectValue/></SelectTrigger>
+      <SelectContent>
+        {BADGE_COLORS.map((c) => (<SelectItem key={c} value={c}><span className={`px-2 rounded-2xl text-xs ${BADGE_STYLES[c]}`}>{c}</span></SelectItem>))}
+      </SelectContent>
+    </Select>
+  );
+  const rowTools = (list: ListKey, i: number, used: number) => (
+    <div className="flex items-center gap-1">
+      <button type="button" aria-label="Move up" disabled={i === 0} onClick={() => move(list, i, -1)}><ArrowUp className="w-4 h-4"/></button>
+      <button type="button" aria-label="Move down" disabled={i === draft[list].length - 1} onClick={() => move(list, i, 1)}><ArrowDown className="w-4 h-4"/></button>
+      <button
+        type="button"
+        aria-label="Remove"
+        disabled={used > 0}
+        title={used ? `Used by ${used} ticket${used === 1 ? "" : "s"}; move them elsewhere first` : undefined}
+        onClick={() => remove(list, i)}
+        className="disabled:opacity-30"
+      >
+        <Trash2 className="w-4 h-4"/>
+      </button>
+    </div>
+  );
+
+  return (
+    <div className="max-h-[70vh] space-y-6 overflow-auto pr-1">
+      <section className="space-y-2">
+        <div className="text-sm font-medium">Statuses</div>
+        <p className="text-xs text-slate-500">In board order; new tickets start in the first one. Paused stops the SLA clock, done stops it and counts as resolved.</p>
+        {draft.statuses.map((s, i) => (
+          <div key={s.rowId} className="space-y-2 rounded-2xl border p-2">
+            <div className="flex flex-wrap items-center gap-2">
+              <Input aria-label="Status name" value={s.name} onChange={(e) => edit("statuses", i, { name: e.target.value })} className="rounded-2xl w-40"/>
+              {colorSelect(s.color, (color) => edit("statuses", i, { color }))}
+              <Select value={s.kind} onValueChange={(kind) => edit("statuses", i, { kind })}>
+                <SelectTrigger className="rounded-2xl w-28"><SelectValue/></SelectTrigger>
+                <SelectContent>
+                  {STATUS_KINDS.map((k) => (<SelectItem key={k} value={k}>{k}</SelectItem>))}
+                </SelectContent>
+              </Select>
+              <span className="ml-auto text-xs text-slate-400">{inUse("statuses", s.origin)} tickets</span>
+              {rowTools("statuses", i, inUse("statuses", s.origin))}
+            </div>
+            <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs">
+              <span className="text-slate-500">From:</span>
+              {draft.statuses.filter((o) => o !== s).map((o) => (
+                <label key={o.rowId} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={s.from.includes(o.rowId)}
+                    onChange={(e) => edit("statuses", i, { from: e.target.checked ? [...s.from, o.rowId] : s.from.filter((id) => id !== o.rowId) })}
+                  />
+                  {o.name || "(unnamed)"}
+                </label>
+              ))}
+              <span className="text-slate-400">{draft.statuses.some((o) => s.from.includes(o.rowId)) ? "" : "(none ticked = any)"}</span>
+            </div>
+            <div className="flex flex-wrap gap-x-3 gap-y-1 text-xs">
+              <span className="text-slate-500">Requires:</span>
+              {[COMMENT_REQUIREMENT, ...draft.fields.map((f) => f.id)].map((req) => (
+                <label key={req} className="flex items-center gap-1">
+                  <input
+                    type="checkbox"
+                    checked={s.requires.includes(req)}
+                    onChange={(e) => edit("statuses", i, { requires: e.target.checked ? [...s.requires, req] : s.requires.filter((r) => r !== req) })}
+                  />
+                  {req === COMMENT_REQUIREMENT ? "a comment" : draft.fields.find((f) => f.id === req)!.label || "(unnamed field)"}
+                </label>
+              ))}
+            </div>
+          </div>
+        ))}
+        <Button size="sm" variant="ghost" className="rounded-xl gap-1" onClick={() => add("statuses", { name: "", color: "slate", kind: "active", from: [], requires: [] })}>
+          <Plus className="w-3 h-3"/> Add status
+        </Button>
+      </section>
+
+      <section className="space-y-2">
+        <div className="text-sm font-medium">Priorities</div>
+        <p className="text-xs text-slate-500">Lowest first. Targets are in hours.</p>
+        {draft.priorities.map((p, i) => (
+          <div key={p.rowId} className="flex flex-wrap items-center gap-2">
+            <Input aria-label="Priority name" value={p.name} onChange={(e) => edit("priorities", i, { name: e.target.value })} className="rounded-2xl w-40"/>
+            {colorSelect(p.color, (color) => edit("priorities", i, { color }))}
+            <Label className="text-xs text-slate-500">Response</Label>
+            <Input type="number" min={0.25} step={0.25} value={p.responseMins / 60} onChange={(e) => edit("priorities", i, { responseMins: Math.round(Number(e.target.value) * 60) || p.responseMins })} className="rounded-2xl w-20"/>
+            <Label className="text-xs text-slate-500">Resolve</Label>
+            <Input type="number" min={0.25} step={0.25} value={p.resolveMins / 60} onChange={(e) => edit("priorities", i, { resolveMins: Math.round(Number(e.target.value) * 60) || p.resolveMins })} className="rounded-2xl w-20"/>
+            <span className="ml-auto text-xs text-slate-400">{inUse("priorities", p.origin)} tickets</span>
+            {rowTools("priorities", i, inUse("priorities", p.origin))}
+          </div>
+        ))}
+        <Button size="sm" variant="ghost" className="rounded-xl gap-1" onClick={() => add("priorities", { name: "", color: "slate", responseMins: 4 * 60, resolveMins: 3 * 24 * 60 })}>
+          <Plus className="w-3 h-3"/> Add priority
+        </Button>
+      </section>
+
+      <section className="space-y-2">
+        <div className="text-sm font-medium">Categories</div>
+        <p className="text-xs text-slate-500">Sub-categories are comma separated. The hint guides requesters filing in the portal. New tickets default to the last category.</p>
+        {draft.categories.map((c, i) => (
+          <div key={c.rowId} className="flex flex-wrap items-center gap-2">
+            <Input aria-label="Category name" value={c.name} onChange={(e) => edit("categories", i, { name: e.target.value })} className="rounded-2xl w-40"/>
+            <Input
+              aria-label={`Sub-categories of ${c.name}`}
+              placeholder="Sub-categories"
+              defaultValue={c.subcategories.join(", ")}
+              onBlur={(e) => edit("categories", i, { subcategories: splitList(e.target.value) })}
+              className="rounded-2xl flex-1 min-w-[12rem]"
+            />
+            <Input
+              aria-label={`Portal hint for ${c.name}`}
+              placeholder="Portal hint"
+              value={c.hint || ""}
+              onChange={(e) => edit("categories", i, { hint: e.target.value })}
+              className="rounded-2xl flex-1 min-w-[12rem]"
+            />
+            <span className="text-xs text-slate-400">{inUse("categories", c.origin)} tickets</span>
+            {rowTools("categories", i, inUse("categories", c.origin))}
+          </div>
+        ))}
+        <Button size="sm" variant="ghost" className="rounded-xl gap-1" onClick={() => add("categories", { name: "", subcategories: [] })}>
+          <Plus className="w-3 h-3"/> Add category
+        </Button>
+      </section>
+
+      <section className="space-y-2">
+        <div className="text-sm font-medium">Custom fields</div>
+        <p className="text-xs text-slate-500">Shown on every ticket form. Options are comma separated.</p>
+        {draft.fields.map((f, i) => (
+          <div key={f.id} className="flex flex-wrap items-center gap-2">
+            <Input aria-label="Field label" placeholder="Label" value={f.label} onChange={(e) => edit("fields", i, { label: e.target.value })} className="rounded-2xl w-40"/>
+            <Select value={f.type} onValueChange={(type) => edit("fields", i, { type })}>
+              <SelectTrigger className="rounded-2xl w-28"><SelectValue/></SelectTrigger>
+              <SelectContent>
+                {FIELD_TYPES.map((t) => (<SelectItem key={t} value={t}>{t === "select" ? "drop-down" : t}</SelectItem>))}
+              </SelectContent>
+            </Select>
+            {f.type === "select" && (
+              <Input
+                aria-label={`Options for ${f.label}`}
+                placeholder="Options"
+                defaultValue={f.options.join(", ")}
+                onBlur={(e) => edit("fields", i, { options: splitList(e.target.value) })}
+                className="rounded-2xl flex-1 min-w-[10rem]"
+              />
+            )}
+            <label className="flex items-center gap-1 text-xs">
+              <input type="checkbox" checked={f.required} onChange={(e) => edit("fields", i, { required: e.target.checked })} /> Required
+            </label>
+            {rowTools("fields", i, 0)}
+          </div>
+        ))}
+        <Button size="sm" variant="ghost" className="rounded-xl gap-1" onClick={() => add("fields", { id: uuidv4(), label: "", type: "text", options: [], required: false })}>
+          <Plus className="w-3 h-3"/> Add field
+        </Button>
+      </section>
+
+      <div className="sticky bottom-0 flex items-center gap-2 justify-end bg-white pt-2">
+        {error && <span className="mr-auto text-sm text-red-600">{error}</span>}
+        {saved && !error && <span className="mr-auto text-sm text-emerald-600">Saved.</span>}
+        {/* The saved settings, e.g. for the email gateway's --workflow */}
+        <Button variant="ghost" className="rounded-2xl gap-2" onClick={() => downloadFile("helpdesk-settings.json", "application/json", JSON.stringify(config, null, 2))}>
+          <Download className="w-4 h-4"/> Export
+        </Button>
+        <Button variant="secondary" className="rounded-2xl" onClick={() => { change(() => fromConfig(config)); setError(""); }}>Discard changes</Button>
+        <Button className="rounded-2xl gap-2" onClick={save}><CheckCircle2 className="w-4 h-4"/> Save settings</Button>
+      </div>
+    </div>
+  );
+}
+
+function ImportExportPanel({
+  tickets,
+  filtered,
+  config,
+  canReplace,
+  onImport,
+}: {
+  tickets: Ticket[];
+  filtered: Ticket[];
+  config: HelpdeskConfig;
+  canReplace: boolean;
+  onImport: (tickets: Ticket[]) => void;
+}) {
+  const [scope, setScope] = useState<"all" | "filtered">("all");
+  const [preview, setPreview] = useState<ImportPreview | null>(null);
+  const [error, setError] = useState("");
+  const [mode, setMode] = useState<"merge" | "replace">("merge");
+  const [preferIncoming, setPreferIncoming] = useState(true);
+
+  const exportAs = (format: ImportFormat) => {
+    const list = scope === "all" ? tickets : filtered;
+    const stamp = new Date().toISOString().slice(0, 10);
+    if (format === "json") downloadFile(`tickets-${stamp}.json`, "application/json", JSON.stringify(list, null, 2));
+    else downloadFile(`tickets-${stamp}.csv`, "text/csv", ticketsToCsv(list));
+  };
+
+  const pickFile = async (file?: File) => {
+    setPreview(null);
+    setError("");
+    if (!file) return;
+    const format: ImportFormat = /\.csv$/i.test(file.name) ? "csv" : "json";
+    try {
+      setPreview(buildImportPreview(await file.text(), format, tickets, config));
+    } catch (e: any) {
+      setError(`Could not read ${file.name}: ${e?.message || e}`);
+    }
+  };
+
+  const commit = () => {
+    if (!preview) return;
+    if (mode === "replace" && !confirm(`Replace all ${tickets.length} tickets with ${preview.accepted.length} imported ones?`)) return;
+    onImport(applyImport(tickets, preview, mode, preferIncoming));
+    setPreview(null);
+  };
+
+  return (
+    <div className="space-y-6">
+      <section className="space-y-2">
+        <Label>Export</Label>
+        <div className="flex flex-wrap items-center gap-2">
+          <Select value={scope} onValueChange={(v) => setScope(v as "all" | "filtered")}>
+            <SelectTrigger className="rounded-2xl w-56"><SelectValue/></SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">All tickets ({tickets.length})</SelectItem>
+              <SelectItem value="filtered">Current filter ({filtered.length})</SelectItem>
+            </SelectContent>
+          </Select>
+          <Button variant="secondary" className="rounded-2xl gap-2" onClick={() => exportAs("json")}><Download className="w-4 h-4"/> JSON</Button>
+          <Button variant="secondary" className="rounded-2xl gap-2" onClick={() => exportAs("csv")}><Download className="w-4 h-4"/> CSV</Button>
+        </div>
+      </section>
+
+      <section className="space-y-2">
+        <Label>Import</Label>
+        <Input type="file" accept=".json,.csv,application/json,text/csv" className="rounded-2xl" onChange={(e) => pickFile(e.target.files?.[0])} />
+        {error && <div className="flex items-center gap-2 text-sm text-red-600"><AlertTriangle className="w-4 h-4"/> {error}</div>}
+        {preview && (
+          <div className="space-y-3 rounded-2xl border p-3 text-sm">
+            <div>
+              {preview.accepted.length} valid, {preview.rejected.length} rejected, {preview.conflicts.length} already exist.
+            </div>
+            {preview.rejected.length > 0 && (
+              <div className="space-y-1">
+                <div className="font-medium text-red-700">Rejected rows</div>
+                <ul className="max-h-32 overflow-auto text-xs text-red-700">
+                  {preview.rejected.map((r) => (<li key={r.row}>Row {r.row}: {r.errors.join("; ")}</li>))}
+                </ul>
+              </div>
+            )}
+            {preview.conflicts.length > 0 && mode === "merge" && (
+              <div className="space-y-1">
+                <div className="font-medium text-amber-700">Conflicts</div>
+                <ul className="max-h-32 overflow-auto text-xs">
+                  {preview.conflicts.map(({ incoming, existing }) => (
+                    <li key={incoming.id}>
+                      {existing.title} — stored {new Date(existing.updatedAt).toLocaleString()}, file {new Date(incoming.updatedAt).toLocaleString()}
+                    </li>
+                  ))}
+                </ul>
+                <Select value={preferIncoming ? "incoming" : "existing"} onValueChange={(v) => setPreferIncoming(v === "incoming")}>
+                  <SelectTrigger className="rounded-2xl w-56"><SelectValue/></SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="incoming">Overwrite with file</SelectItem>
+                    <SelectItem value="existing">Keep stored copy</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            <div className="flex items-center gap-2 justify-end">
+              <Select value={mode} onValueChange={(v) => setMode(v as "merge" | "replace")}>
+                <SelectTrigger className="rounded-2xl w-48"><SelectValue/></SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="merge">Merge by id</SelectItem>
+                  {canReplace && <SelectItem value="replace">Replace all</SelectItem>}
+                </SelectContent>
+              </Select>
+              <Button variant="secondary" className="rounded-2xl" onClick={() => setPreview(null)}>Discard</Button>
+              <Button className="rounded-2xl gap-2" disabled={!preview.accepted.length} onClick={commit}><Upload className="w-4 h-4"/> Import {preview.accepted.length}</Button>
+            </div>
+          </div>
+        )}
+      </section>
+    </div>
+  );
+}
+
+const syncStatusLabel = (status: SyncStatus, pending: number) => {
+  const queued = pending ? ` • ${pending} pending` : "";
+  switch (status.state) {
+    case "off":
+      return "Sync off";
+    case "syncing":
+      return `Syncing…${queued}`;
+    case "offline":
+      return `Offline${queued}`;
+    case "error":
+      return `Sync error${queued}`;
+    default:
+      return `Synced ${status.lastSyncedAt ? new Date(status.lastSyncedAt).toLocaleTimeString() : ""}${queued}`;
+  }
+};
+
+function SyncSettings({ config, status, pending, onSave, onSyncNow }: { config: SyncConfig; status: SyncStatus; pending: number; onSave: (c: SyncConfig) => void; onSyncNow: () => void }) {
+  const [form, setForm] = useState(config);
+  return (
+    <form
+      className="space-y-4"
+      onSubmit={(e) => {
+        e.preventDefault();
+        onSave(form);
+      }}
+    >
+      <label className="flex items-center gap-2 text-sm">
+        <input type="checkbox" checked={form.enabled} onChange={(e) => setForm((f) => ({ ...f, enabled: e.target.checked }))} />
+        Share tickets through a sync server
+      </label>
+      <div className="space-y-2">
+        <Label>Server URL</Label>
+        <Input value={form.baseUrl} onChange={(e) => setForm((f) => ({ ...f, baseUrl: e.target.value }))} className="rounded-2xl"/>
+      </div>
+      <div className="space-y-2">
+        <Label>Pull every (seconds)</Label>
+        <Input type="number" min={5} value={form.intervalSec} onChange={(e) => setForm((f) => ({ ...f, intervalSec: Number(e.target.value) || DEFAULT_SYNC_CONFIG.intervalSec }))} className="rounded-2xl"/>
+      </div>
+      <div className="text-xs text-slate-500">
+        {syncStatusLabel(status, pending)}
+        {status.message && status.state !== "idle" && <span className="text-red-600"> — {status.message}</span>}
+      </div>
+      <div className="flex items-center gap-2 justify-end">
+        <Button type="button" variant="secondary" className="rounded-2xl gap-2" disabled={!config.enabled} onClick={onSyncNow}><RefreshCw className="w-4 h-4"/> Sync now</Button>
+        <Button type="submit" className="rounded-2xl gap-2"><CheckCircle2 className="w-4 h-4"/> Save</Button>
+      </div>
+    </form>
+  );
+}
+
+const CONFLICT_FIELDS = ["title", "description", "status", "priority", "category", "requester", "assignee"] as const;
+
+function SyncConflicts({ conflicts, onResolve }: { conflicts: SyncConflict[]; onResolve: (ticketId: string, keep: "mine" | "theirs") => void }) {
+  return (
+    <div className="max-h-[70vh] space-y-4 overflow-auto">
+      {conflicts.map(({ ticketId, local, remote }) => (
+        <div key={ticketId} className="space-y-2 rounded-2xl border p-3 text-sm">
+          <div className="font-medium">{local?.title || remote?.title}</div>
+          {local && remote ? (
+            <table className="w-full text-xs">
+              <thead>
+                <tr className="text-left text-slate-500"><th className="w-28">Field</th><th>Yours</th><th>Server (v{remote.version})</th></tr>
+              </thead>
+              <tbody>
+                {CONFLICT_FIELDS.filter((f) => (local[f] || "") !== (remote[f] || "")).map((f) => (
+                  <tr key={f} className="align-top">
+                    <td className="py-1 text-slate-500">{f}</td>
+                    <td className="py-1 whitespace-pre-wrap">{local[f] || "–"}</td>
+                    <td className="py-1 whitespace-pre-wrap">{remote[f] || "–"}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          ) : (
+            <div className="text-xs text-slate-500">{local ? "Deleted on the server while you edited it." : "Edited on the server while you deleted it."}</div>
+          )}
+          <div className="flex items-center gap-2 justify-end">
+            <Button size="sm" variant="secondary" className="rounded-xl" onClick={() => onResolve(ticketId, "theirs")}>Take server copy</Button>
+            <Button size="sm" className="rounded-xl" onClick={() => onResolve(ticketId, "mine")}>Keep mine</Button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function SlaBadge({ clock }: { clock: SlaClock }) {
+  return (
+    <span className={`px-2 py-1 rounded-2xl text-xs whitespace-nowrap ${slaBadgeStyle[clock.state]}`} title={`Target ${formatMins(clock.targetMins)}, running ${formatMins(clock.elapsedMins)}`}>
+      {slaLabel(clock)}
+    </span>
+  );
+}
+
+function TicketDetail({
+  ticket,
+  tickets,
+  assets,
+  duplicates,
+  sla,
+  config,
+  onCreateArticle,
+  canNote,
+  canLink,
+  files,
+  canRemoveFiles,
+  onAdd,
+  onRemoveFile,
+  onOpen,
+  onLink,
+  onMerge,
+  onOpenAsset,
+}: {
+  ticket: Ticket;
+  tickets: Ticket[];
+  assets: Asset[]; // linked to this ticket
+  duplicates: Ticket[];
+  sla: ReturnType<typeof slaFor>;
+  config: HelpdeskConfig;
+  onCreateArticle?: () => void;
+  canNote: boolean;
+  canLink: boolean;
+  files: FileStore | null;
+  canRemoveFiles: boolean;
+  onAdd: (kind: "note" | "comment", body: string, files: File[]) => void;
+  onRemoveFile: (attachmentId: string) => void;
+  onOpen: (id: string) => void;
+  onLink: (link: TicketLink, add: boolean) => void;
+  onMerge: (otherId: string) => void;
+  onOpenAsset?: (id: string) => void;
+}) {
+  const [body, setBody] = useState("");
+  const [kind, setKind] = useState<"note" | "comment">("comment");
+  const [pending, setPending] = useState<File[]>([]);
+  const [previewId, setPreviewId] = useState<string | null>(null);
+  // Internal notes never reach requesters.
+  const timeline = useMemo(
+    () => ticket.history.filter((e) => canNote || (e.kind !== "note" && e.kind !== "automation")).sort((a, b) => a.at.localeCompare(b.at)),
+    [ticket.history, canNote]
+  );
+  // ...and neither do the files posted with them.
+  const attachments = useMemo(() => {
+    const hidden = new Set(ticket.history.filter((e) => e.kind === "note" && !canNote).map((e) => e.id));
+    return ticket.attachments.filter((a) => !a.eventId || !hidden.has(a.eventId));
+  }, [ticket.attachments, ticket.history, canNote]);
+  const used = ticket.attachments.reduce((n, a) => n + a.size, 0);
+
+  const submit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!body.trim() && !pending.length) return;
+    onAdd(kind, body.trim() || `Attached ${pending.map((f) => f.name).join(", ")}`, pending);
+    setBody("");
+    setPending([]);
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-center gap-2 text-sm">
+        <span className={`px-2 py-1 rounded-2xl text-xs ${badgeClass(config.priorities, ticket.priority)}`}>{ticket.priority}</span>
+        <span className={`px-2 py-1 rounded-2xl text-xs ${badgeClass(config.statuses, ticket.status)}`}>{ticket.status}</span>
+        <span className="text-slate-500">{ticket.category}{ticket.subcategory && ` › ${ticket.subcategory}`}</span>
+        <span className="text-slate-500">• {ticket.requester} → {ticket.assignee || "unassigned"}</span>
+        <span className="ml-auto font-mono text-xs text-slate-500" title="Quote this in an email subject to add a reply to this ticket">
+          {ticketToken(ticket.id)}
+        </span>
+        {onCreateArticle && (
+          <Button size="sm" variant="secondary" className="rounded-xl gap-1" onClick={onCreateArticle}><BookOpen className="w-4 h-4"/> Write KB article</Button>
+        )}
+      </div>
+      {ticket.requesterEmail && <div className="text-xs text-slate-500">Status updates are emailed to {ticket.requesterEmail}</div>}
+      {ticket.cc.length > 0 && <div className="text-xs text-slate-500">Also following: {ticket.cc.map((c) => c.name).join(", ")}</div>}
+      <div className="flex flex-wrap items-center gap-2">
+        <SlaBadge clock={sla.response} />
+        <SlaBadge clock={sla.resolution} />
+      </div>
+      {ticket.description && <p className="whitespace-pre-wrap text-sm text-slate-700">{ticket.description}</p>}
+      {config.fields.some((f) => ticket.fields[f.id]) && (
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+          {config.fields.filter((f) => ticket.fields[f.id]).map((f) => (
+            <React.Fragment key={f.id}>
+              <dt className="text-slate-500">{f.label}</dt>
+              <dd>{ticket.fields[f.id]}</dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+
+      {assets.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 text-sm">
+          <Laptop className="w-4 h-4 text-slate-500"/>
+          {assets.map((a) => (
+            <span key={a.id} className="inline-flex items-center gap-1">
+              {onOpenAsset ? <button className="font-medium hover:underline" onClick={() => onOpenAsset(a.id)}>{a.tag}</button> : <span className="font-medium">{a.tag}</span>}
+              <span className="text-slate-500">{a.type}{a.serial && ` · ${a.serial}`}</span>
+              <WarrantyBadge asset={a} now={Date.now()} />
+            </span>
+          ))}
+        </div>
+      )}
+      {duplicates.length > 0 && <DuplicateList tickets={duplicates} title="Possible duplicates" onOpen={onOpen} onMerge={onMerge} />}
+      <TicketLinks ticket={ticket} tickets={tickets} config={config} canEdit={canLink} onOpen={onOpen} onLink={onLink} />
+
+      {attachments.length > 0 && (
+        <AttachmentList
+          ticket={ticket}
+          attachments={attachments}
+          files={files}
+          previewId={previewId}
+          onPreview={setPreviewId}
+          onRemove={canRemoveFiles ? onRemoveFile : undefined}
+        />
+      )}
+
+      <div className="space-y-2">
+        <div className="flex items-center gap-2 text-sm font-medium"><History className="w-4 h-4"/> Activity</div>
+        <ol className="max-h-80 overflow-auto space-y-3 border-l pl-4">
+          {timeline.map((e) => (
+            <li key={e.id} className="relative">
+              <span className="absolute -left-[21px] top-1.5 w-2 h-2 rounded-full bg-slate-300"/>
+              <div className="text-xs text-slate-500">
+                <span className="font-medium text-slate-700">{e.author}</span> {describeEvent(e, config)} • {new Date(e.at).toLocaleString()}
+              </div>
+              {e.body && (
+                <div className={`mt-1 whitespace-pre-wrap rounded-xl p-2 text-sm ${e.kind === "note" ? "bg-amber-50 text-amber-900" : e.kind === "automation" ? "bg-violet-50 text-violet-900" : "bg-slate-50"}`}>
+                  {e.kind === "note" && <Lock className="inline w-3 h-3 mr-1"/>}
+                  {e.kind === "automation" && <Zap className="inline w-3 h-3 mr-1"/>}
+                  {e.body}
+                </div>
+              )}
+              {attachments.some((a) => a.eventId === e.id) && (
+                <div className="mt-1 flex flex-wrap gap-1">
+                  {attachments.filter((a) => a.eventId === e.id).map((a) => (
+                    <button key={a.id} type="button" onClick={() => setPreviewId(a.id)} className="flex items-center gap-1 rounded-xl bg-slate-100 px-2 py-0.5 text-xs hover:bg-slate-200">
+                      <Paperclip className="w-3 h-3"/> {a.name}
+                    </button>
+                  ))}
+                </div>
+              )}
+            </li>
+          ))}
+          {timeline.length === 0 && <li className="text-xs text-slate-400">No recorded activity.</li>}
+        </ol>
+      </div>
+
+      <form onSubmit={submit} className="space-y-2">
+        <AttachmentDrop pending={pending} onChange={setPending} used={used} disabled={!files}>
+          <Textarea rows={3} placeholder={kind === "note" ? "Internal note (agents only)" : "Reply to requester"} value={body} onChange={(e) => setBody(e.target.value)} className="rounded-2xl"/>
+        </AttachmentDrop>
+        <div className="flex items-center gap-2 justify-end">
+          {canNote && (
+            <Select value={kind} onValueChange={(v) => setKind(v as "note" | "comment")}>
+              <SelectTrigger className="rounded-2xl w-40"><SelectValue/></SelectTrigger>
+              <SelectContent>
+                <SelectItem value="comment">Public comment</SelectItem>
+                <SelectItem value="note">Internal note</SelectItem>
+              </SelectContent>
+            </Select>
+          )}
+          <Button type="submit" className="rounded-2xl gap-2"><MessageSquare className="w-4 h-4"/> Add</Button>
+        </div>
+      </form>
+    </div>
+  );
+}
 
-const statusBadgeStyle: Record<Status, string> = {
-  Open: "bg-blue-100 text-blue-700",
-  "In Progress": "bg-purple-100 text-purple-700",
-  Waiting: "bg-gray-100 text-gray-700",
-  Resolved: "bg-emerald-100 text-emerald-700",
-  Closed: "bg-slate-200 text-slate-700",
-};
-export default function HelpdeskApp() {
-  const [tickets, setTickets] = useState<Ticket[]>([]);
-  const [query, setQuery] = useState("");
-  const [priorityFilter, setPriorityFilter] = useState<string>("All");
-  const [statusFilter, setStatusFilter] = useState<string>("All");
-  const [categoryFilter, setCategoryFilter] = useState<string>("All");
-  const [sortBy, setSortBy] = useState<string>("updatedAt_desc");
-  const [editing, setEditing] = useState<Ticket | null>(null);
+function TicketLinks({
+  ticket,
+  tickets,
+  config,
+  canEdit,
+  onOpen,
+  onLink,
+}: {
+  ticket: Ticket;
+  tickets: Ticket[];
+  config: HelpdeskConfig;
+  canEdit: boolean;
+  onOpen: (id: string) => void;
+  onLink: (link: TicketLink, add: boolean) => void;
+}) {
+  const [kind, setKind] = useState<LinkKind>("related");
+  const [search, setSearch] = useState("");
+  const [error, setError] = useState("");
+  const byId = useMemo(() => new Map(tickets.map((t) => [t.id, t])), [tickets]);
+  const needle = search.trim().toLowerCase();
+  const matches = needle ? tickets.filter((t) => t.id !== ticket.id && searchTextOf(t).includes(needle)).slice(0, 6) : [];
 
-  useEffect(() => {
-    setTickets(loadTickets());
-  }, []);
-  useEffect(() => {
-    saveTickets(tickets);
-  }, [tickets]);
+  const add = (otherId: string) => {
+    const problem = linkError(tickets, ticket.id, kind, otherId);
+    if (problem) return setError(problem);
+    onLink({ kind, id: otherId }, true);
+    setSearch("");
+    setError("");
+  };
 
-  const filtered = useMemo(() => {
-    const q = query.trim().toLowerCase();
-    let list = [...tickets];
-    if (q) {
-      list = list.filter((t) =>
-        [t.title, t.description, t.requester, t.assignee].filter(Boolean).some((f: any) => String(f).toLowerCase().includes(q))
-      );
-    }
-    if (priorityFilter !== "All") list = list.filter((t) => t.priority === priorityFilter);
-    if (statusFilter !== "All") list = list.filter((t) => t.status === statusFilter);
-    if (categoryFilter !== "All") list = list.filter((t) => t.category === categoryFilter);
-
-    switch (sortBy) {
-      case "createdAt_asc":
-        list.sort((a, b) => a.createdAt.localeCompare(b.createdAt));
-        break;
-      case "createdAt_desc":
-        list.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
-        break;
-      case "priority_desc": {
-        const order = Object.fromEntries(PRIORITIES.map((p, i) => [p, i]));
-        list.sort((a, b) => order[b.priority] - order[a.priority]);
-        break;
-      }
-      case "priority_asc": {
-        const order = Object.fromEntries(PRIORITIES.map((p, i) => [p, i]));
-        list.sort((a, b) => order[a.priority] - order[b.priority]);
-        break;
-      }
-      case "updatedAt_asc":
-        list.sort((a, b) => a.updatedAt.localeCompare(b.updatedAt));
-        break;
-      case "updatedAt_desc":
-      default:
-        list.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
-        break;
-    }
-    return list;
-  }, [tickets, query, priorityFilter, statusFilter, categoryFilter, sortBy]);
+  if (!ticket.links.length && !canEdit) return null;
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2 text-sm font-medium"><Link2 className="w-4 h-4"/> Linked tickets</div>
+      {ticket.links.length > 0 && (
+        <dl className="grid grid-cols-[auto_1fr] gap-x-4 gap-y-1 text-sm">
+          {LINK_KINDS.filter((k) => ticket.links.some((l) => l.kind === k)).map((k) => (
+            <React.Fragment key={k}>
+              <dt className="text-slate-500">{LINK_LABELS[k]}</dt>
+              <dd className="space-y-1">
+                {ticket.links.filter((l) => l.kind === k).map((l) => {
+                  const other = byId.get(l.id);
+                  return (
+                    <div key={l.id} className="flex items-center gap-2">
+                      <span className="font-mono text-xs text-slate-500">{ticketToken(l.id)}</span>
+                      {other ? (
+                        <>
+                          <button className="text-left hover:underline" onClick={() => onOpen(other.id)}>{other.title}</button>
+                          <span className={`px-2 py-0.5 rounded-2xl text-xs ${badgeClass(config.statuses, other.status)}`}>{other.status}</span>
+                        </>
+                      ) : (
+                        <span className="text-slate-400">not available</span>
+                      )}
+                      {canEdit && k !== "merged-into" && k !== "merged-from" && (
+                        <button className="ml-auto text-slate-400 hover:text-red-600" aria-label={`Remove link to ${ticketToken(l.id)}`} onClick={() => onLink(l, false)}>
+                          <X className="w-3 h-3"/>
+                        </button>
+                      )}
+                    </div>
+                  );
+                })}
+              </dd>
+            </React.Fragment>
+          ))}
+        </dl>
+      )}
+      {canEdit && (
+        <div className="space-y-1">
+          <div className="flex items-center gap-2">
+            <Select value={kind} onValueChange={(v) => setKind(v as LinkKind)}>
+              <SelectTrigger className="rounded-2xl w-32"><SelectValue/></SelectTrigger>
+              <SelectContent>
+                {(["related", "parent", "child"] as const).map((k) => (<SelectItem key={k} value={k}>{LINK_LABELS[k]}</SelectItem>))}
+              </SelectContent>
+            </Select>
+            <Input placeholder="Find a ticket by number or title" value={search} onChange={(e) => { setSearch(e.target.value); setError(""); }} className="rounded-2xl"/>
+          </div>
+          {matches.length > 0 && (
+            <ul className="rounded-xl border text-sm">
+              {matches.map((t) => (
+                <li key={t.id}>
+                  <button type="button" className="flex w-full items-center gap-2 px-3 py-1.5 text-left hover:bg-slate-50" onClick={() => add(t.id)}>
+                    <span className="font-mono text-xs text-slate-500">{ticketToken(t.id)}</span>
+                    <span className="flex-1 truncate">{t.title}</span>
+                    <span className="text-xs text-slate-500">{t.status}</span>
+                  </button>
+                </li>
+              ))}
+            </ul>
+          )}
+          {error && <p className="text-xs text-red-600" role="alert">{error}</p>}
+        </div>
+      )}
+    </div>
+  );
+}
 
-  const stats = useMemo(() => {
-    const total = tickets.length;
-    const byStatus = Object.fromEntries(STATUSES.map((s) => [s, tickets.filter((t) => t.status === s).length]));
-    const byPriority = Object.fromEntries(PRIORITIES.map((p) => [p, tickets.filter((t) => t.priority === p).length]));
-    return { total, byStatus, byPriority } as any;
-  }, [tickets]);
+function DuplicateList({ tickets, title, onOpen, onMerge }: { tickets: Ticket[]; title: string; onOpen?: (id: string) => void; onMerge?: (id: string) => void }) {
+  return (
+    <div className="space-y-1 rounded-2xl bg-amber-50 p-3 text-sm">
+      <div className="flex items-center gap-2 font-medium text-amber-900"><GitMerge className="w-4 h-4"/> {title}</div>
+      <ul className="space-y-1">
+        {tickets.map((t) => (
+          <li key={t.id} className="flex flex-wrap items-center gap-2">
+            <span className="font-mono text-xs text-slate-500">{ticketToken(t.id)}</span>
+            <span className="flex-1 truncate">{t.title}</span>
+            <span className="text-xs text-slate-500">{t.requester} · {new Date(t.createdAt).toLocaleString()}</span>
+            {onOpen && <Button type="button" size="sm" variant="ghost" className="rounded-xl" onClick={() => onOpen(t.id)}>Open</Button>}
+            {onMerge && <Button type="button" size="sm" variant="secondary" className="rounded-xl" onClick={() => onMerge(t.id)}>Merge…</Button>}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
 
-  const upsertTicket = (data: Partial<Ticket>, ticket?: Ticket) => {
-    if (ticket) {
-      const updated: Ticket = { ...ticket, ...data, updatedAt: new Date().toISOString() } as Ticket;
-      setTickets((prev) => prev.map((t) => (t.id === ticket.id ? updated : t)));
-      setEditing(null);
+// The oldest ticket is offered as the primary since it usually has the most history.
+function MergeForm({ tickets, onMerge, onCancel }: { tickets: Ticket[]; onMerge: (primaryId: string) => void; onCancel: () => void }) {
+  const [primaryId, setPrimaryId] = useState(() => [...tickets].sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0]?.id || "");
+  const primary = tickets.find((t) => t.id === primaryId);
+  const others = tickets.filter((t) => t.id !== primaryId);
+  const requesters = [...new Set(others.map((t) => t.requester).filter((r) => r !== primary?.requester))];
+
+  return (
+    <div className="space-y-4">
+      <fieldset className="space-y-2">
+        <legend className="mb-1 text-sm font-medium">Keep</legend>
+        {tickets.map((t) => (
+          <label key={t.id} className="flex items-center gap-2 rounded-xl border p-2 text-sm">
+            <input type="radio" name="merge-primary" checked={t.id === primaryId} onChange={() => setPrimaryId(t.id)} />
+            <span className="font-mono text-xs text-slate-500">{ticketToken(t.id)}</span>
+            <span className="flex-1 truncate">{t.title}</span>
+            <span className="text-xs text-slate-500">{t.requester} · {new Date(t.createdAt).toLocaleDateString()}</span>
+          </label>
+        ))}
+      </fieldset>
+      <p className="text-sm text-slate-600">
+        {others.length} ticket{others.length === 1 ? "" : "s"} will be closed and linked to {primary && ticketToken(primary.id)}, with
+        {others.length === 1 ? " its description" : " their descriptions"} added to it.
+        {requesters.length > 0 && ` ${requesters.join(", ")} will follow it as cc.`}
+      </p>
+      <div className="flex justify-end gap-2">
+        <Button variant="secondary" className="rounded-2xl" onClick={onCancel}>Cancel</Button>
+        <Button className="rounded-2xl gap-2" disabled={!primary || !others.length} onClick={() => onMerge(primaryId)}><GitMerge className="w-4 h-4"/> Merge</Button>
+      </div>
+    </div>
+  );
+}
+
+// Object URL for a stored file (or its thumbnail), revoked again on unmount.
+function useStoredFile(files: FileStore | null, id: string, thumb = false) {
+  const [state, setState] = useState<{ url?: string; blob?: Blob; missing?: boolean }>({});
+  useEffect(() => {
+    let live = true;
+    let url: string | undefined;
+    if (!files) {
+      setState({ missing: true });
       return;
     }
-    const now = new Date().toISOString();
-    const newTicket: Ticket = {
-      id: uuidv4(),
-      title: data.title || "Untitled",
-      description: data.description || "",
-      category: (data.category as string) || "Other",
-      priority: (data.priority as Priority) || "Medium",
-      status: (data.status as Status) || "Open",
-      requester: (data.requester as string) || "Anonymous",
-      assignee: (data.assignee as string) || "",
-      createdAt: now,
-      updatedAt: now,
+    files
+      .get(id)
+      .then((stored) => {
+        if (!live) return;
+        const blob = thumb ? stored?.thumb : stored?.blob;
+        if (!stored) return setState({ missing: true });
+        if (!blob) return setState({});
+        url = URL.createObjectURL(blob);
+        setState({ url, blob });
+      })
+      .catch(() => live && setState({ missing: true }));
+    return () => {
+      live = false;
+      if (url) URL.revokeObjectURL(url);
     };
-    setTickets((prev) => [newTicket, ...prev]);
-  };
+  }, [files, id, thumb]);
+  return state;
+}
 
-  const removeTicket = (id: string) => setTickets((prev) => prev.filter((t) => t.id !== id));
-  const quickStatus = (id: string, status: Status) => setTickets((prev) => prev.map((t) => (t.id === id ? { ...t, status, updatedAt: new Date().toISOString() } : t)));
-  
-  const clearAll = () => {
-    if (confirm("Clear all tickets?")) setTickets([]);
+// Wraps a text field: files can be dropped on it, pasted into it, or picked with the button below it.
+function AttachmentDrop({ pending, onChange, used = 0, disabled, children }: { pending: File[]; onChange: (files: File[]) => void; used?: number; disabled?: boolean; children: React.ReactNode }) {
+  const [dragging, setDragging] = useState(false);
+  const [errors, setErrors] = useState<string[]>([]);
+  const input = useRef<HTMLInputElement>(null);
+
+  const add = (incoming: File[]) => {
+    if (!incoming.length) return;
+    const result = checkFiles(incoming, used + pending.reduce((n, f) => n + f.size, 0));
+    setErrors(result.errors);
+    if (result.accepted.length) onChange([...pending, ...result.accepted]);
   };
 
+  if (disabled) {
+    return (
+      <div className="space-y-1">
+        {children}
+        <p className="text-xs text-slate-400">Attachments need IndexedDB, which this browser doesn't provide.</p>
+      </div>
+    );
+  }
+
   return (
-    <div className="min-h-screen w-full bg-gradient-to-b from-slate-50 to-white p-6">
-      <div className="mx-auto max-w-7xl space-y-6">
-        <header className="flex flex-col md:flex-row items-start md:items-center justify-between gap-4">
-          <div>
-            <h1 className="text-3xl font-bold">IT Support Helpdesk</h1>
-            <p className="text-slate-600">Lightweight ticketing app – local only, no server required.</p>
-          </div>
+    <div
+      onDragOver={(e) => {
+        if (!e.dataTransfer.types.includes("Files")) return;
+        e.preventDefault();
+        setDragging(true);
+      }}
+      onDragLeave={() => setDragging(false)}
+      onDrop={(e) => {
+        if (!e.dataTransfer.files.length) return;
+        e.preventDefault();
+        setDragging(false);
+        add(Array.from(e.dataTransfer.files));
+      }}
+      onPaste={(e) => {
+        const pasted = pastedFiles(e);
+        if (!pasted.length) return;
+        // Office apps put an image and the text on the clipboard; keep the text paste in that case.
+        if (!e.clipboardData.getData("text/plain")) e.preventDefault();
+        add(pasted);
+      }}
+      className={`space-y-2 rounded-2xl ${dragging ? "ring-2 ring-sky-300 bg-sky-50" : ""}`}
+    >
+      {children}
+      <div className="flex flex-wrap items-center gap-2 text-xs text-slate-500">
+        <Button type="button" size="sm" variant="ghost" className="rounded-xl gap-1" onClick={() => input.current?.click()}>
+          <Paperclip className="w-3 h-3"/> Attach
+        </Button>
+        <span>or drop / paste files, up to {formatBytes(MAX_FILE_BYTES)} each</span>
+        <input
+          ref={input}
+          type="file"
+          multiple
+          hidden
+          onChange={(e) => {
+            add(Array.from(e.target.files || []));
+            e.target.value = "";
+          }}
+        />
+      </div>
+      {pending.length > 0 && (
+        <ul className="flex flex-wrap gap-2">
+          {pending.map((f, i) => (
+            <li key={`${f.name}-${i}`} className="flex items-center gap-1 rounded-xl bg-slate-100 px-2 py-1 text-xs">
+              {isImage(f) ? <ImageIcon className="w-3 h-3"/> : <FileText className="w-3 h-3"/>}
+              {f.name} <span className="text-slate-400">{formatBytes(f.size)}</span>
+              <button type="button" aria-label={`Remove ${f.name}`} onClick={() => onChange(pending.filter((_, j) => j !== i))}>
+                <X className="w-3 h-3"/>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+      {errors.map((m) => (
+        <p key={m} className="text-xs text-red-600">{m}</p>
+      ))}
+    </div>
+  );
+}
 
-          <div className="flex items-center gap-2">
-            <Dialog>
-              <DialogTrigger asChild>
-                <Button className="rounded-2xl px-4 py-2 gap-2 flex items-center"><Plus className="w-4 h-4"/> New Ticket</Button>
-              </DialogTrigger>
-              <DialogContent className="sm:max-w-2xl">
-                <DialogHeader>
-                  <DialogTitle>Create Ticket</DialogTitle>
-                </DialogHeader>
-                <TicketForm onSubmit={(data) => upsertTicket(data)} />
-              </DialogContent>
-            </Dialog>
-
-            <TooltipProvider>
-              <Tooltip>
-                <TooltipTrigger asChild>
-                  <Button variant="secondary" className="rounded-2xl" onClick={clearAll}><Trash2 className="w-4 h-4"/></Button>
-                </TooltipTrigger>
-                <TooltipContent>Clear all tickets</TooltipContent>
-              </Tooltip>
-            </TooltipProvider>
-          </div>
-        </header>
+function AttachmentList({
+  ticket,
+  attachments,
+  files,
+  previewId,
+  onPreview,
+  onRemove,
+}: {
+  ticket: Ticket;
+  attachments: Attachment[];
+  files: FileStore | null;
+  previewId: string | null;
+  onPreview: (id: string | null) => void;
+  onRemove?: (id: string) => void;
+}) {
+  const [busy, setBusy] = useState(false);
+  const preview = attachments.find((a) => a.id === previewId);
 
-        {/* Filters */}
-        <Card className="border-none shadow-sm">
-          <CardContent className="p-4">
-            <div className="grid grid-cols-1 md:grid-cols-12 gap-3 items-center">
-              <div className="md:col-span-4">
-                <div className="relative">
-                  <Search className="w-4 h-4 absolute left-3 top-1/2 -translate-y-1/2 text-slate-400"/>
-                  <Input placeholder="Search tickets..." className="pl-9 rounded-2xl" value={query} onChange={(e) => setQuery(e.target.value)} />
-                </div>
-              </div>
-              <div className="md:col-span-2">
-                <Label className="text-xs text-slate-500">Priority</Label>
-                <Select value={priorityFilter} onValueChange={setPriorityFilter}>
-                  <SelectTrigger className="rounded-2xl"><SelectValue placeholder="All"/></SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="All">All</SelectItem>
-                    {PRIORITIES.map((p) => (<SelectItem key={p} value={p}>{p}</SelectItem>))}
-                  </SelectContent>
-                </Select>
-              </div>
-              <div className="md:col-span-2">
-                <Label className="text-xs text-slate-500">Status</Label>
-                <Select value={statusFilter} onValueChange={setStatusFilter}>
-                  <SelectTrigger className="rounded-2xl"><SelectValue placeholder="All"/></SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="All">All</SelectItem>
-                    {STATUSES.map((s) => (<SelectItem key={s} value={s}>{s}</SelectItem>))}
-                  </SelectContent>
-                </Select>
-              </div>
-              <div className="md:col-span-2">
-                <Label className="text-xs text-slate-500">Category</Label>
-                <Select value={categoryFilter} onValueChange={setCategoryFilter}>
-                  <SelectTrigger className="rounded-2xl"><SelectValue placeholder="All"/></SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="All">All</SelectItem>
-                    {CATEGORIES.map((c) => (<SelectItem key={c} value={c}>{c}</SelectItem>))}
-                  </SelectContent>
-                </Select>
-              </div>
-              <div className="md:col-span-2">
-                <Label className="text-xs text-slate-500">Sort by</Label>
-                <Select value={sortBy} onValueChange={setSortBy}>
-                  <SelectTrigger className="rounded-2xl"><SelectValue /></SelectTrigger>
-                  <SelectContent>
-                    <SelectItem value="updatedAt_desc">Last updated (newest)</SelectItem>
-                    <SelectItem value="updatedAt_asc">Last updated (oldest)</SelectItem>
-                    <SelectItem value="createdAt_desc">Created (newest)</SelectItem>
-                    <SelectItem value="createdAt_asc">Created (oldest)</SelectItem>
-                    <SelectItem value="priority_desc">Priority (high → low)</SelectItem>
-                    <SelectItem value="priority_asc">Priority (low → high)</SelectItem>
-                  </SelectContent>
-                </Select>
-              </div>
-            </div>
-          </CardContent>
-        </Card>
+  const downloadOne = async (a: Attachment) => {
+    const stored = await files?.get(a.id);
+    if (stored) downloadFile(a.name, a.type, stored.blob);
+  };
+  // Files added on another device are listed (their metadata synced) but can't be included.
+  const downloadAll = async () => {
+    if (!files) return;
+    setBusy(true);
+    try {
+      const stored = (await Promise.all(attachments.map(async (a) => ({ a, stored: await files.get(a.id) })))).filter((x) => x.stored);
+      const names = uniqueNames(stored.map((x) => x.a.name));
+      const entries = await Promise.all(stored.map(async (x, i) => ({ name: names[i], data: await x.stored!.blob.arrayBuffer(), date: new Date(x.a.addedAt) })));
+      downloadFile(`${ticketToken(ticket.id)}-attachments.zip`, "application/zip", zipFiles(entries));
+    } finally {
+      setBusy(false);
+    }
+  };
 
-        {/* Stats */}
-        <div className="grid grid-cols-1 md:grid-cols-5 gap-3">
-          <Kpi title="Total" value={stats.total} />
-          {STATUSES.map((s) => (
-            <Kpi key={s} title={s} value={(stats.byStatus?.[s] as number) || 0} />
-          )).slice(0,4)}
-        </div>
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2 text-sm font-medium">
+        <Paperclip className="w-4 h-4"/> Attachments ({attachments.length})
+        {attachments.length > 1 && (
+          <Button size="sm" variant="ghost" className="ml-auto rounded-xl gap-1" disabled={busy || !files} onClick={downloadAll}>
+            <Download className="w-3 h-3"/> Download all (.zip)
+          </Button>
+        )}
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {attachments.map((a) => (
+          <AttachmentTile
+            key={a.id}
+            attachment={a}
+            files={files}
+            active={a.id === previewId}
+            onOpen={() => onPreview(a.id === previewId ? null : a.id)}
+            onDownload={() => downloadOne(a)}
+            onRemove={onRemove && (() => confirm(`Remove ${a.name}?`) && onRemove(a.id))}
+          />
+        ))}
+      </div>
+      {preview && <AttachmentPreview key={preview.id} attachment={preview} files={files} onClose={() => onPreview(null)} />}
+    </div>
+  );
+}
 
-        {/* Table */}
-        <Card className="border-none shadow-sm">
-          <CardHeader className="pb-2">
-            <CardTitle className="flex items-center gap-2">
-              <Filter className="w-4 h-4"/> Tickets
-            </CardTitle>
-          </CardHeader>
-          <CardContent className="p-0">
-            <div className="overflow-auto">
-              <Table>
-                <TableCaption>Local tickets are saved to your browser storage.</TableCaption>
-                <TableHeader>
-                  <TableRow>
-                    <TableHead>Title</TableHead>
-                    <TableHead className="min-w-[120px]">Category</TableHead>
-                    <TableHead>Priority</TableHead>
-                    <TableHead>Status</TableHead>
-                    <TableHead className="min-w-[120px]">Requester</TableHead>
-                    <TableHead className="min-w-[120px]">Assignee</TableHead>
-                    <TableHead className="min-w-[160px]">Updated</TableHead>
-                    <TableHead className="w-[160px]">Actions</TableHead>
-                  </TableRow>
-                </TableHeader>
-                <TableBody>
-                  <AnimatePresence>
-                    {filtered.map((t) => (
-                      <motion.tr key={t.id} initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -6 }}>
-                        <TableCell className="font-medium">{t.title}</TableCell>
-                        <TableCell>{t.category}</TableCell>
-                        <TableCell>
-                          <span className={`px-2 py-1 rounded-2xl text-xs ${priorityBadgeStyle[t.priority]}`}>{t.priority}</span>
-                        </TableCell>
-                        <TableCell>
-                          <span className={`px-2 py-1 rounded-2xl text-xs ${statusBadgeStyle[t.status]}`}>{t.status}</span>
-                        </TableCell>
-                        <TableCell>{t.requester}</TableCell>
-                        <TableCell>{t.assignee || "–"}</TableCell>
-                        <TableCell title={new Date(t.updatedAt).toLocaleString()}>{new Date(t.updatedAt).toLocaleString()}</TableCell>
-                        <TableCell>
-                          <div className="flex items-center gap-2">
-                            <TooltipProvider>
-                              <Tooltip>
-                                <TooltipTrigger asChild>
-                                  <Button size="sm" variant="secondary" className="rounded-xl" onClick={() => setEditing(t)}>
-                                    <Edit3 className="w-4 h-4"/>
-                                  </Button>
-                                </TooltipTrigger>
-                                <TooltipContent>Edit</TooltipContent>
-                              </Tooltip>
-                            </TooltipProvider>
-
-                            <QuickStatusMenu onChange={(s) => quickStatus(t.id, s)} />
-
-                            <TooltipProvider>
-                              <Tooltip>
-                                <TooltipTrigger asChild>
-                                  <Button size="sm" variant="destructive" className="rounded-xl" onClick={() => removeTicket(t.id)}>
-                                    <Trash2 className="w-4 h-4"/>
-                                  </Button>
-                                </TooltipTrigger>
-                                <TooltipContent>Delete</TooltipContent>
-                              </Tooltip>
-                            </TooltipProvider>
-                          </div>
-                        </TableCell>
-                      </motion.tr>
-                    ))}
-                  </AnimatePresence>
-                </TableBody>
-              </Table>
-            </div>
-          </CardContent>
-        </Card>
+function AttachmentTile({
+  attachment,
+  files,
+  active,
+  onOpen,
+  onDownload,
+  onRemove,
+}: {
+  attachment: Attachment;
+  files: FileStore | null;
+  active: boolean;
+  onOpen: () => void;
+  onDownload: () => void;
+  onRemove?: () => void;
+}) {
+  const thumb = useStoredFile(files, attachment.id, true);
+  return (
+    <div className={`w-36 rounded-xl border p-2 text-xs ${active ? "border-sky-400" : ""} ${thumb.missing ? "opacity-60" : ""}`}>
+      <button type="button" onClick={onOpen} className="flex h-20 w-full items-center justify-center overflow-hidden rounded-lg bg-slate-50" title={`Preview ${attachment.name}`}>
+        {thumb.url ? (
+          <img src={thumb.url} alt={attachment.name} className="max-h-20 object-contain"/>
+        ) : isImage(attachment) ? (
+          <ImageIcon className="w-6 h-6 text-slate-400"/>
+        ) : (
+          <FileText className="w-6 h-6 text-slate-400"/>
+        )}
+      </button>
+      <div className="mt-1 truncate font-medium" title={attachment.name}>{attachment.name}</div>
+      <div className="flex items-center gap-1 text-slate-500">
+        {formatBytes(attachment.size)}
+        {!thumb.missing && (
+          <button type="button" className="ml-auto" aria-label={`Download ${attachment.name}`} onClick={onDownload}><Download className="w-3 h-3"/></button>
+        )}
+        {onRemove && (
+          <button type="button" className={thumb.missing ? "ml-auto" : ""} aria-label={`Remove ${attachment.name}`} onClick={onRemove}><Trash2 className="w-3 h-3"/></button>
+        )}
+      </div>
+    </div>
+  );
+}
 
-        {/* Edit Dialog */}
-        <Dialog open={!!editing} onOpenChange={(open) => !open && setEditing(null)}>
-          <DialogContent className="sm:max-w-2xl">
-            <DialogHeader>
-              <DialogTitle>Edit Ticket</DialogTitle>
-            </DialogHeader>
-            {editing && (
-              <TicketForm
-                initial={editing}
-                onSubmit={(data) => upsertTicket(data, editing)}
-                onCancel={() => setEditing(null)}
-              />
-            )}
-          </DialogContent>
-        </Dialog>
+function AttachmentPreview({ attachment, files, onClose }: { attachment: Attachment; files: FileStore | null; onClose: () => void }) {
+  const { url, blob, missing } = useStoredFile(files, attachment.id);
+  const [text, setText] = useState<string | null>(null);
+  const [unreadable, setUnreadable] = useState(false);
+  useEffect(() => {
+    setUnreadable(false);
+    if (blob && isTextLike(attachment))
+      blob
+        .slice(0, TEXT_PREVIEW_BYTES)
+        .text()
+        .then(setText)
+        .catch(() => setUnreadable(true));
+  }, [blob, attachment]);
 
-        {/* Footer */}
-        <div className="text-xs text-slate-400 text-center py-6">Local demo app • Export/Sync to a server can be added later.</div>
+  return (
+    <div className="rounded-2xl border p-3 space-y-2">
+      <div className="flex items-center gap-2 text-xs text-slate-500">
+        <span className="font-medium text-slate-700">{attachment.name}</span>
+        added by {attachment.addedBy} • {new Date(attachment.addedAt).toLocaleString()}
+        <button type="button" className="ml-auto" aria-label="Close preview" onClick={onClose}><X className="w-4 h-4"/></button>
       </div>
+      {missing ? (
+        <p className="text-sm text-slate-500">This file was added on another device and isn't stored here.</p>
+      ) : unreadable ? (
+        <p className="text-sm text-slate-500">This file could not be read for a preview; download it to open.</p>
+      ) : isImage(attachment) && url ? (
+        <img src={url} alt={attachment.name} className="mx-auto max-h-96 rounded-xl object-contain"/>
+      ) : text !== null ? (
+        <pre className="max-h-72 overflow-auto whitespace-pre-wrap rounded-xl bg-slate-950 p-3 text-xs text-slate-100">
+          {text}
+          {attachment.size > TEXT_PREVIEW_BYTES && `\n… showing the first ${formatBytes(TEXT_PREVIEW_BYTES)} of ${formatBytes(attachment.size)}`}
+        </pre>
+      ) : (
+        <p className="text-sm text-slate-500">{blob ? "No preview for this file type; download it to open." : "Loading…"}</p>
+      )}
     </div>
   );
 }
 
-function Kpi({ title, value }: { title: string; value: number }) {
+const NO_USER = "__none";
+const NO_OPTION = "__none";
+
+// Keeps a value that isn't in the directory (legacy free text) selectable so editing doesn't silently drop it.
+function UserSelect({ users, value, onChange, allowNone }: { users: User[]; value: string; onChange: (name: string) => void; allowNone?: boolean }) {
+  const names = users.map((u) => u.name);
   return (
-    <Card className="border-none shadow-sm">
-      <CardContent className="p-4">
-        <div className="space-y-1">
-          <div className="text-sm text-slate-500">{title}</div>
-          <div className="text-2xl font-semibold">{value}</div>
-        </div>
-      </CardContent>
-    </Card>
+    <Select value={value || NO_USER} onValueChange={(v) => onChange(v === NO_USER ? "" : v)}>
+      <SelectTrigger className="rounded-2xl"><SelectValue placeholder="Select a user"/></SelectTrigger>
+      <SelectContent>
+        {allowNone && <SelectItem value={NO_USER}>Unassigned</SelectItem>}
+        {value && !names.includes(value) && <SelectItem value={value}>{value} (not in directory)</SelectItem>}
+        {users.map((u) => (<SelectItem key={u.id} value={u.name}>{u.name} · {u.role}</SelectItem>))}
+      </SelectContent>
+    </Select>
   );
 }
 
-function QuickStatusMenu({ onChange }: { onChange: (s: Status) => void }) {
-  const [open, setOpen] = useState(false);
+function CustomFieldInput({ field, value, onChange }: { field: CustomFieldDef; value: string; onChange: (value: string) => void }) {
+  if (field.type === "select") {
+    return (
+      <Select value={value || NO_OPTION} onValueChange={(v) => onChange(v === NO_OPTION ? "" : v)}>
+        <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
+        <SelectContent>
+          <SelectItem value={NO_OPTION}>–</SelectItem>
+          {value && !field.options.includes(value) && <SelectItem value={value}>{value}</SelectItem>}
+          {field.options.map((o) => (<SelectItem key={o} value={o}>{o}</SelectItem>))}
+        </SelectContent>
+      </Select>
+    );
+  }
+  return <Input type={field.type} value={value} onChange={(e) => onChange(e.target.value)} className="rounded-2xl"/>;
+}
+
+// Asks only for what the target status still needs; the values are saved together with the status change.
+function TransitionForm({
+  ticket,
+  to,
+  config,
+  onSubmit,
+  onCancel,
+}: {
+  ticket: Ticket;
+  to: Status;
+  config: HelpdeskConfig;
+  onSubmit: (fields: Record<string, string>, comment: string) => void;
+  onCancel: () => void;
+}) {
+  const [fields, setFields] = useState(ticket.fields);
+  const [comment, setComment] = useState("");
+  const [asked] = useState(() => checkTransition(config, ticket, to).missing);
+  const missing = checkTransition(config, ticket, to, fields, comment).missing;
+
+  const submit = (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!missing.length) onSubmit(fields, comment);
+  };
+
   return (
-    <div className="relative">
-      <Button size="sm" variant="outline" className="rounded-xl gap-1" onClick={() => setOpen((v) => !v)}>
-        <ChevronDown className="w-4 h-4"/>
-        Status
-      </Button>
-      <AnimatePresence>
-        {open && (
-          <motion.div initial={{ opacity: 0, y: -4 }} animate={{ opacity: 1, y: 0 }} exit={{ opacity: 0, y: -4 }}
-            className="absolute z-10 mt-2 w-40 rounded-2xl border bg-white p-2 shadow-lg">
-            {STATUSES.map((s) => (
-              <button key={s} onClick={() => { onChange(s); setOpen(false); }}
-                className="w-full text-left px-3 py-2 rounded-xl hover:bg-slate-50">
-                {s}
-              </button>
-            ))}
-          </motion.div>
-        )}
-      </AnimatePresence>
-    </div>
+    <form onSubmit={submit} className="space-y-4">
+      <p className="text-sm text-slate-500">"{ticket.title}" needs {asked.map((m) => requirementLabel(config, m)).join(", ")} before it can move to {to}.</p>
+      {config.fields.filter((f) => asked.includes(f.id)).map((field) => (
+        <div key={field.id} className="space-y-2">
+          <Label>{field.label}</Label>
+          <CustomFieldInput field={field} value={fields[field.id] || ""} onChange={(v) => setFields((prev) => ({ ...prev, [field.id]: v }))} />
+        </div>
+      ))}
+      {asked.includes(COMMENT_REQUIREMENT) && (
+        <div className="space-y-2">
+          <Label>Comment</Label>
+          <Textarea rows={3} value={comment} onChange={(e) => setComment(e.target.value)} className="rounded-2xl"/>
+        </div>
+      )}
+      <div className="flex items-center gap-2 justify-end">
+        <Button type="button" variant="secondary" onClick={onCancel} className="rounded-2xl">Cancel</Button>
+        <Button type="submit" disabled={missing.length > 0} className="rounded-2xl gap-2"><CheckCircle2 className="w-4 h-4"/> Move to {to}</Button>
+      </div>
+    </form>
   );
 }
 
-function TicketForm({ initial, onSubmit, onCancel }: { initial?: Partial<Ticket>; onSubmit: (data: Partial<Ticket>) => void; onCancel?: () => void }) {
+function TicketForm({
+  initial,
+  users,
+  assets,
+  config,
+  canTriage,
+  files,
+  duplicateCandidates,
+  onOpenTicket,
+  onSubmit,
+  onCancel,
+}: {
+  initial?: Ticket;
+  users: User[];
+  assets: Asset[];
+  config: HelpdeskConfig;
+  canTriage: boolean;
+  files: FileStore | null;
+  duplicateCandidates?: Ticket[]; // new tickets only: suggest these when the draft looks like one of them
+  onOpenTicket?: (id: string) => void;
+  onSubmit: (data: Partial<Ticket>, files: File[], comment: string) => void;
+  onCancel?: () => void;
+}) {
   const [form, setForm] = useState<Partial<Ticket>>({
     title: initial?.title || "",
     description: initial?.description || "",
-    category: initial?.category || CATEGORIES[0],
-    priority: initial?.priority || "Medium",
-    status: initial?.status || "Open",
+    category: initial?.category || config.categories[0].name,
+    subcategory: initial?.subcategory || "",
+    priority: initial?.priority || defaultPriority(config),
+    status: initial?.status || initialStatus(config),
     requester: initial?.requester || "",
     assignee: initial?.assignee || "",
+    fields: initial?.fields || {},
+    assetIds: initial?.assetIds || [],
   });
 
+  const [error, setError] = useState("");
+  const [pending, setPending] = useState<File[]>([]);
+  const [comment, setComment] = useState("");
+  // A new ticket is treated as starting in the first status, so the workflow applies to it too.
+  const from = initial || ({ status: initialStatus(config), fields: {} } as unknown as Ticket);
+  const statusOptions = allowedStatuses(config, from);
+  const subcategories = config.categories.find((c) => c.name === form.category)?.subcategories || [];
+  const askComment = form.status !== from.status && !!config.statuses.find((s) => s.name === form.status)?.requires.includes(COMMENT_REQUIREMENT);
+  const setField = (id: string, value: string) => setForm((f) => ({ ...f, fields: { ...f.fields, [id]: value } }));
+  const draftTitle = useDebouncedValue(form.title || "", SEARCH_DEBOUNCE_MS);
+  const draftDescription = useDebouncedValue(form.description || "", SEARCH_DEBOUNCE_MS);
+  const duplicates = useMemo(
+    () => (duplicateCandidates ? findDuplicates(duplicateCandidates, { title: draftTitle, description: draftDescription, category: form.category || "" }, config) : []),
+    [duplicateCandidates, draftTitle, draftDescription, form.category, config]
+  );
+
   const submit = (e: React.FormEvent) => {
     e.preventDefault();
-    onSubmit(form);
+    if (canTriage && !form.requester) return setError("Pick a requester.");
+    const check = checkTransition(config, from, form.status!, form.fields, comment);
+    const missing = [
+      ...config.fields.filter((f) => f.required && !(form.fields![f.id] || "").trim()).map((f) => f.id),
+      ...check.missing.filter((m) => !config.fields.some((f) => f.required && f.id === m)),
+    ];
+    if (!check.allowed) return setError(`${from.status} can't move to ${form.status}.`);
+    if (missing.length) return setError(`Still needed: ${missing.map((m) => requirementLabel(config, m)).join(", ")}.`);
+    onSubmit(form, pending, askComment ? comment : "");
+    setPending([]);
+    setComment("");
   };
 
   return (
@@ -427,48 +6482,88 @@ function TicketForm({ initial, onSubmit, onCancel }: { initial?: Partial<Ticket>
           <Label>Title</Label>
           <Input required value={form.title as string} onChange={(e) => setForm((f) => ({ ...f, title: e.target.value }))} className="rounded-2xl"/>
         </div>
-        <div className="space-y-2">
-          <Label>Requester</Label>
-          <Input required value={form.requester as string} onChange={(e) => setForm((f) => ({ ...f, requester: e.target.value }))} className="rounded-2xl"/>
-        </div>
-        <div className="space-y-2">
-          <Label>Assignee</Label>
-          <Input value={form.assignee as string} onChange={(e) => setForm((f) => ({ ...f, assignee: e.target.value }))} className="rounded-2xl"/>
-        </div>
+        {canTriage && (
+          <>
+            <div className="space-y-2">
+              <Label>Requester</Label>
+              <UserSelect users={users} value={form.requester as string} onChange={(requester) => setForm((f) => ({ ...f, requester }))} />
+            </div>
+            <div className="space-y-2">
+              <Label>Assignee</Label>
+              <UserSelect users={users.filter(isAssignable)} value={form.assignee as string} allowNone onChange={(assignee) => setForm((f) => ({ ...f, assignee }))} />
+            </div>
+          </>
+        )}
         <div className="space-y-2">
           <Label>Category</Label>
-          <Select value={form.category as string} onValueChange={(v) => setForm((f) => ({ ...f, category: v }))}>
+          <Select value={form.category as string} onValueChange={(v) => setForm((f) => ({ ...f, category: v, subcategory: "" }))}>
             <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
             <SelectContent>
-              {CATEGORIES.map((c) => (<SelectItem key={c} value={c}>{c}</SelectItem>))}
+              {namesOf(config.categories).map((c) => (<SelectItem key={c} value={c}>{c}</SelectItem>))}
             </SelectContent>
           </Select>
         </div>
+        {subcategories.length > 0 && (
+          <div className="space-y-2">
+            <Label>Sub-category</Label>
+            <Select value={form.subcategory || NO_OPTION} onValueChange={(v) => setForm((f) => ({ ...f, subcategory: v === NO_OPTION ? "" : v }))}>
+              <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
+              <SelectContent>
+                <SelectItem value={NO_OPTION}>None</SelectItem>
+                {subcategories.map((s) => (<SelectItem key={s} value={s}>{s}</SelectItem>))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
         <div className="space-y-2">
           <Label>Priority</Label>
           <Select value={form.priority as string} onValueChange={(v) => setForm((f) => ({ ...f, priority: v as Priority }))}>
             <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
             <SelectContent>
-              {PRIORITIES.map((p) => (<SelectItem key={p} value={p}>{p}</SelectItem>))}
+              {namesOf(config.priorities).map((p) => (<SelectItem key={p} value={p}>{p}</SelectItem>))}
             </SelectContent>
           </Select>
         </div>
+        {canTriage && (
+          <div className="space-y-2">
+            <Label>Status</Label>
+            <Select value={form.status as string} onValueChange={(v) => setForm((f) => ({ ...f, status: v as Status }))}>
+              <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
+              <SelectContent>
+                {statusOptions.map((s) => (<SelectItem key={s} value={s}>{s}</SelectItem>))}
+              </SelectContent>
+            </Select>
+          </div>
+        )}
+        {config.fields.map((field) => (
+          <div key={field.id} className="space-y-2">
+            <Label>{field.label}{field.required && " *"}</Label>
+            <CustomFieldInput field={field} value={form.fields?.[field.id] || ""} onChange={(v) => setField(field.id, v)} />
+          </div>
+        ))}
+      </div>
+      {askComment && (
         <div className="space-y-2">
-          <Label>Status</Label>
-          <Select value={form.status as string} onValueChange={(v) => setForm((f) => ({ ...f, status: v as Status }))}>
-            <SelectTrigger className="rounded-2xl"><SelectValue/></SelectTrigger>
-            <SelectContent>
-              {STATUSES.map((s) => (<SelectItem key={s} value={s}>{s}</SelectItem>))}
-            </SelectContent>
-          </Select>
+          <Label>Comment for moving to {form.status}</Label>
+          <Textarea rows={2} value={comment} onChange={(e) => setComment(e.target.value)} className="rounded-2xl"/>
         </div>
-      </div>
+      )}
       <div className="space-y-2">
         <Label>Description</Label>
-        <Textarea rows={5} value={form.description as string} onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))} className="rounded-2xl"/>
+        <AttachmentDrop pending={pending} onChange={setPending} used={initial?.attachments.reduce((n, a) => n + a.size, 0)} disabled={!files}>
+          <Textarea rows={5} value={form.description as string} onChange={(e) => setForm((f) => ({ ...f, description: e.target.value }))} className="rounded-2xl"/>
+        </AttachmentDrop>
       </div>
+      {(assets.length > 0 || form.assetIds!.length > 0) && (
+        <div className="space-y-2">
+          <Label>Devices</Label>
+          <AssetPicker assets={assets} owner={form.requester || ""} value={form.assetIds!} onChange={(assetIds) => setForm((f) => ({ ...f, assetIds }))} />
+        </div>
+      )}
+      {duplicates.length > 0 && <DuplicateList tickets={duplicates} title="Possibly already reported" onOpen={onOpenTicket} />}
 
       <div className="flex items-center gap-2 justify-end">
+        {error && <span className="mr-auto text-sm text-red-600">{error}</span>}
         {onCancel && (
           <Button type="button" variant="secondary" onClick={onCancel} className="rounded-2xl">Cancel</Button>
         )}
@@ -477,3 +6572,176 @@ function TicketForm({ initial, onSubmit, onCancel }: { initial?: Partial<Ticket>
     </form>
   );
 }
+
+// --- Keyboard ---
+type PickItem = { id: string; label: string; group?: string; hint?: string };
+
+// Filter box over a list, driven by arrows and Enter; the command palette and the triage pickers share it.
+function PickList({ placeholder, search, onPick }: { placeholder: string; search: (query: string) => PickItem[]; onPick: (item: PickItem) => void }) {
+  const [query, setQuery] = useState("");
+  const [active, setActive] = useState(0);
+  const items = useMemo(() => search(query), [search, query]);
+  const current = Math.min(active, items.length - 1);
+
+  const onKeyDown = (e: React.KeyboardEvent) => {
+    if (e.key === "ArrowDown" || e.key === "ArrowUp") {
+      e.preventDefault();
+      setActive(Math.max(0, Math.min(items.length - 1, current + (e.key === "ArrowDown" ? 1 : -1))));
+    } else if (e.key === "Enter" && items[current]) {
+      e.preventDefault();
+      onPick(items[current]);
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <Input
+        autoFocus
+        placeholder={placeholder}
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActive(0);
+        }}
+        onKeyDown={onKeyDown}
+        role="combobox"
+        aria-expanded
+        aria-controls="pick-list"
+        aria-activedescendant={items[current] ? `pick-${current}` : undefined}
+        className="rounded-2xl"
+      />
+      <ul id="pick-list" role="listbox" className="max-h-80 overflow-auto">
+        {items.map((item, i) => (
+          <li
+            key={item.id}
+            id={`pick-${i}`}
+            role="option"
+            aria-selected={i === current}
+            onMouseEnter={() => setActive(i)}
+            onClick={() => onPick(item)}
+            className={`flex cursor-pointer items-center gap-2 rounded-xl px-3 py-2 text-sm ${i === current ? "bg-slate-100" : ""}`}
+          >
+            {item.group && <span className="text-xs text-slate-500">{item.group}</span>}
+            <span className="flex-1 truncate">{item.label}</span>
+            {item.hint && <kbd className="rounded border bg-white px-1.5 text-xs text-slate-500">{item.hint}</kbd>}
+          </li>
+        ))}
+        {items.length === 0 && <li className="px-3 py-2 text-sm text-slate-400">Nothing matches.</li>}
+      </ul>
+    </div>
+  );
+}
+
+function TriagePanel({
+  ticket,
+  index,
+  total,
+  sla,
+  config,
+  keymap,
+  onMove,
+  onExit,
+}: {
+  ticket: Ticket | null;
+  index: number;
+  total: number;
+  sla?: ReturnType<typeof slaFor>;
+  config: HelpdeskConfig;
+  keymap: Keymap;
+  onMove: (step: number) => void;
+  onExit: () => void;
+}) {
+  const lastComment = ticket && [...ticket.history].reverse().find((e) => e.kind === "comment");
+  return (
+    <Card className="border-none shadow-sm">
+      <CardHeader className="pb-2 flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center gap-2"><ListChecks className="w-4 h-4"/> Triage {total > 0 && <span className="text-sm font-normal text-slate-500">{index + 1} of {total}</span>}</CardTitle>
+        <div className="flex items-center gap-1">
+          <Button size="sm" variant="ghost" className="rounded-xl" aria-label="Previous ticket" disabled={index <= 0} onClick={() => onMove(-1)}><ChevronLeft className="w-4 h-4"/></Button>
+          <Button size="sm" variant="ghost" className="rounded-xl" aria-label="Next ticket" disabled={index >= total - 1} onClick={() => onMove(1)}><ChevronRight className="w-4 h-4"/></Button>
+          <Button size="sm" variant="secondary" className="rounded-xl" onClick={onExit}>Done</Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-3" aria-live="polite">
+        {!ticket ? (
+          <p className="text-sm text-slate-500">Nothing left in the current filter.</p>
+        ) : (
+          <>
+            <div className="flex flex-wrap items-center gap-2 text-sm">
+              <span className="font-mono text-xs text-slate-500">{ticketToken(ticket.id)}</span>
+              <span className={`px-2 py-1 rounded-2xl text-xs ${badgeClass(config.priorities, ticket.priority)}`}>{ticket.priority}</span>
+              <span className={`px-2 py-1 rounded-2xl text-xs ${badgeClass(config.statuses, ticket.status)}`}>{ticket.status}</span>
+              {sla && <SlaBadge clock={sla.current} />}
+              <span className="text-slate-500">{ticket.category}{ticket.subcategory && ` › ${ticket.subcategory}`}</span>
+              <span className="text-slate-500">• {ticket.requester} → {ticket.assignee || "unassigned"}</span>
+            </div>
+            <h2 className="text-lg font-semibold">{ticket.title}</h2>
+            {ticket.description && <p className="max-h-48 overflow-auto whitespace-pre-wrap text-sm text-slate-700">{ticket.description}</p>}
+            {lastComment && (
+              <div className="rounded-xl bg-slate-50 p-2 text-sm">
+                <span className="text-xs text-slate-500">{lastComment.author}, {new Date(lastComment.at).toLocaleString()}</span>
+                <p className="whitespace-pre-wrap">{lastComment.body}</p>
+              </div>
+            )}
+          </>
+        )}
+        <div className="flex flex-wrap gap-x-3 gap-y-1 border-t pt-2 text-xs text-slate-500">
+          {SHORTCUTS.filter((s) => s.scope === "triage").map((s) => (
+            <span key={s.id}><kbd className="rounded border bg-white px-1">{formatKeys(keymap[s.id])}</kbd> {shortcutLabel(s, config)}</span>
+          ))}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+function ShortcutHelp({ keymap, config, onChange }: { keymap: Keymap; config: HelpdeskConfig; onChange: (keymap: Keymap) => void }) {
+  const [recording, setRecording] = useState<string | null>(null);
+  const [error, setError] = useState("");
+  // Listens ahead of the dialog (window, capture phase) so the keys being recorded don't also act on the page.
+  useEffect(() => {
+    if (!recording) return;
+    const onKey = (e: KeyboardEvent) => {
+      const keys = keyOf(e);
+      if (!keys) return;
+      e.preventDefault();
+      e.stopImmediatePropagation();
+      if (keys === "escape") return setRecording(null);
+      const taken = keymapConflict(keymap, recording, keys);
+      if (taken) return setError(`${formatKeys(keys)} is already used for "${shortcutLabel(taken, config)}".`);
+      onChange({ ...keymap, [recording]: keys });
+      setRecording(null);
+      setError("");
+    };
+    window.addEventListener("keydown", onKey, true);
+    return () => window.removeEventListener("keydown", onKey, true);
+  }, [recording, keymap, config, onChange]);
+
+  return (
+    <div className="space-y-4">
+      {(["global", "triage"] as const).map((scope) => (
+        <section key={scope} className="space-y-1">
+          <h3 className="text-sm font-medium">{scope === "global" ? "Anywhere" : "In triage mode"}</h3>
+          <ul className="divide-y rounded-xl border">
+            {SHORTCUTS.filter((s) => s.scope === scope).map((s) => (
+              <li key={s.id} className="flex items-center gap-2 px-3 py-1.5 text-sm">
+                <span className="flex-1">{shortcutLabel(s, config)}</span>
+                <kbd className={`rounded border px-1.5 text-xs ${recording === s.id ? "border-blue-400 text-blue-600" : "bg-white text-slate-600"}`}>
+                  {recording === s.id ? "Press keys…" : formatKeys(keymap[s.id])}
+                </kbd>
+                <Button size="sm" variant="ghost" className="rounded-xl" onClick={() => { setRecording(recording === s.id ? null : s.id); setError(""); }}>
+                  {recording === s.id ? "Cancel" : "Change"}
+                </Button>
+              </li>
+            ))}
+          </ul>
+        </section>
+      ))}
+      {recording && <p className="text-xs text-slate-500">Press the new keys, or Escape to keep the current ones.</p>}
+      {error && <p className="text-xs text-red-600" role="alert">{error}</p>}
+      <div className="flex justify-end">
+        <Button variant="secondary" className="rounded-2xl" onClick={() => { onChange({ ...DEFAULT_KEYMAP }); setRecording(null); setError(""); }}>Reset to defaults</Button>
+      </div>
+    </div>
+  );
+}